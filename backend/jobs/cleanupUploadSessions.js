@@ -0,0 +1,27 @@
+const fs = require('fs');
+const UploadSession = require('../models/UploadSession');
+
+// Remove upload sessions that have been idle past their expiry, along with
+// the partial data they left on disk. Sessions a request has claimed are
+// left alone until the claim is released or lapses.
+async function cleanupUploadSessions() {
+  const now = new Date();
+  const expired = { expiresAt: { $lte: now }, claimedUntil: { $not: { $gt: now } } };
+  const candidates = await UploadSession.find(expired).select('_id');
+  let removed = 0;
+
+  for (const candidate of candidates) {
+    // Checked again as it is deleted, in case it was claimed in between
+    const session = await UploadSession.findOneAndDelete({ _id: candidate._id, ...expired });
+    if (!session) continue;
+
+    if (fs.existsSync(session.tempPath)) {
+      fs.unlinkSync(session.tempPath);
+    }
+    removed++;
+  }
+
+  return removed;
+}
+
+module.exports = cleanupUploadSessions;
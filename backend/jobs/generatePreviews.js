@@ -0,0 +1,9 @@
+const { queuePendingPreviews } = require('../services/previews');
+
+// Queue previews that were asked for but never generated, for example
+// because the server restarted while they were waiting
+async function generatePreviews() {
+  return queuePendingPreviews();
+}
+
+module.exports = generatePreviews;
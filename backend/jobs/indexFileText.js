@@ -0,0 +1,9 @@
+const { queuePendingTextIndexes } = require('../services/textIndex');
+
+// Queue text extraction that was asked for but never done, for example
+// because the server restarted while it was waiting
+async function indexFileText() {
+  return queuePendingTextIndexes();
+}
+
+module.exports = indexFileText;
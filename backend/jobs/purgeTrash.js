@@ -0,0 +1,12 @@
+const { IN_TRASH, getRetentionDays, purgeWhere } = require('../services/trash');
+
+// Permanently delete items that have been in the trash longer than the
+// configured retention period
+async function purgeTrash() {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - getRetentionDays());
+
+  return purgeWhere({ deletedAt: { ...IN_TRASH, $lte: cutoff } });
+}
+
+module.exports = purgeTrash;
@@ -0,0 +1,36 @@
+const Folder = require('../models/Folder');
+const { computeFolderStats } = require('../services/folderStats');
+
+// Recompute the size and item count aggregates of every live folder from
+// scratch. Subfolders are done before their parent so the parent's totals
+// are built from fresh values. Returns the number of folders updated.
+async function reconcileFolderStats() {
+  const folders = await Folder.find().select('owner parentFolder');
+  const liveIds = new Set(folders.map(folder => String(folder._id)));
+
+  const childrenOf = new Map();
+  for (const folder of folders) {
+    const parentId = String(folder.parentFolder);
+    if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+    childrenOf.get(parentId).push(folder);
+  }
+
+  let updated = 0;
+  const reconcile = async folder => {
+    for (const child of childrenOf.get(String(folder._id)) || []) {
+      await reconcile(child);
+    }
+    await computeFolderStats(folder);
+    updated++;
+  };
+
+  for (const folder of folders) {
+    if (!folder.parentFolder || !liveIds.has(String(folder.parentFolder))) {
+      await reconcile(folder);
+    }
+  }
+
+  return updated;
+}
+
+module.exports = reconcileFolderStats;
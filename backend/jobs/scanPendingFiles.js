@@ -0,0 +1,9 @@
+const { queuePendingScans } = require('../services/malwareScan');
+
+// Queue content still waiting for its malware scan, retrying scans that
+// failed and picking up those interrupted by a restart
+async function scanPendingFiles() {
+  return queuePendingScans();
+}
+
+module.exports = scanPendingFiles;
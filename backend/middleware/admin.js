@@ -0,0 +1,12 @@
+// Restrict a route to administrators. Must run after auth.
+const admin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Administrator access required'
+    });
+  }
+  next();
+};
+
+module.exports = admin;
@@ -0,0 +1,182 @@
+const { query } = require('express-validator');
+
+// Query strings of list routes are parsed the same way everywhere. Every
+// parameter must be given once as a plain value, so nested values such as
+// ?search[$ne]= can never reach a database query as operators. Search text
+// is only ever matched literally, folder IDs are checked before use and
+// pagination is kept within bounds.
+//
+// Lists can also be paged with cursors. A list is sorted by its sort field
+// and then by _id, so every item has a unique position, and a cursor holds
+// the sort values of the last item of a page. The next page starts right
+// after that position, so it neither skips nor repeats items when others
+// are added or removed in between, and it is found through an index rather
+// than by skipping over every earlier item.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Keeps the number of items skipped a safe integer
+const MAX_PAGE = 1000000;
+
+// Escape a value so it matches itself literally in a regular expression
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Get a case-insensitive pattern matching text anywhere in a value
+function containsText(text) {
+  return new RegExp(escapeRegex(text), 'i');
+}
+
+// Validate the query string of a list route. ids names the parameters
+// holding a folder ID, which may also be 'root'.
+function listQuery({ ids = [] } = {}) {
+  const rules = [
+    query('*')
+      .custom(value => typeof value === 'string')
+      .withMessage('Query parameters must be given once, as plain values')
+  ];
+
+  if (ids.length > 0) {
+    rules.push(
+      query(ids)
+        .optional()
+        .custom(value => value === 'root' || /^[a-f\d]{24}$/i.test(value))
+        .withMessage('Folder must be a valid ID or root')
+    );
+  }
+
+  return rules;
+}
+
+// Validate the sort order and cursor of a list route. fields are the names
+// it can be sorted by.
+function sortQuery(fields) {
+  return [
+    query('sort')
+      .optional()
+      .isIn(fields)
+      .withMessage(`Sort must be one of: ${fields.join(', ')}`),
+    query('order')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('Order must be asc or desc'),
+    query('cursor')
+      .optional()
+      .custom(value => decodeCursor(value) !== null)
+      .withMessage('Cursor is invalid')
+  ];
+}
+
+// Get the keys a list is sorted by, as [field, direction] pairs: any
+// leading keys, the field asked for and _id to tell equal values apart
+function getSortKeys(field, order, leading = []) {
+  const direction = order === 'asc' ? 1 : -1;
+  return [...leading, [field, direction], ['_id', direction]];
+}
+
+// Turn sort keys into a sort for a query
+function toSort(keys) {
+  return Object.fromEntries(keys);
+}
+
+function describeKeys(keys) {
+  return keys.map(([field, direction]) => `${field}:${direction}`).join(',');
+}
+
+// Make the cursor of the position of an item in a list sorted by keys
+function encodeCursor(item, keys) {
+  const values = keys.map(([field]) => item.get(field));
+  return Buffer.from(JSON.stringify({ keys: describeKeys(keys), values })).toString('base64url');
+}
+
+// Check whether a cursor value is a plain value. Anything else, such as an
+// object holding query operators, cannot have come from encodeCursor.
+function isCursorValue(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+// Read a cursor, or return null if it is not one
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return decoded !== null &&
+      typeof decoded.keys === 'string' &&
+      Array.isArray(decoded.values) &&
+      decoded.values.every(isCursorValue)
+      ? decoded
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Conditions matching values of a field that sort after a value. Missing
+// values sort before all others, as they do in MongoDB.
+function sortsAfter(field, direction, value) {
+  if (value === null) {
+    return direction === 1 ? [{ [field]: { $ne: null } }] : [];
+  }
+
+  return direction === 1
+    ? [{ [field]: { $gt: value } }]
+    : [{ [field]: { $lt: value } }, { [field]: null }];
+}
+
+// Limit a list filter to the items after a cursor. Returns null if the
+// cursor was made for a list sorted another way.
+function applyCursor(filter, keys, cursor) {
+  const decoded = decodeCursor(cursor);
+  if (!decoded || decoded.keys !== describeKeys(keys) || decoded.values.length !== keys.length) {
+    return null;
+  }
+
+  // After the cursor means equal on the first keys and after it on the next
+  const after = [];
+  keys.forEach(([field, direction], i) => {
+    const equal = {};
+    keys.slice(0, i).forEach(([previous], j) => {
+      equal[previous] = decoded.values[j];
+    });
+    sortsAfter(field, direction, decoded.values[i]).forEach(condition => {
+      after.push({ ...equal, ...condition });
+    });
+  });
+
+  // The filter stays at the top level, where text search must be
+  return { ...filter, $and: [...(filter.$and || []), { $or: after }] };
+}
+
+// Split a page fetched with one item more than its limit into its items
+// and the cursor of the next page, which is null on the last page
+function takePage(found, keys, limit) {
+  const items = found.slice(0, limit);
+  const nextCursor = found.length > limit ? encodeCursor(items[items.length - 1], keys) : null;
+  return { items, nextCursor };
+}
+
+// Get the page and page size asked for, clamped to sensible bounds.
+// Values that are not numbers fall back to the defaults.
+function getPagination({ page, limit } = {}, defaultLimit = DEFAULT_LIMIT) {
+  const pageNumber = Math.min(Math.max(parseInt(page) || 1, 1), MAX_PAGE);
+  const pageSize = Math.min(Math.max(parseInt(limit) || defaultLimit, 1), MAX_LIMIT);
+
+  return {
+    page: pageNumber,
+    limit: pageSize,
+    skip: (pageNumber - 1) * pageSize
+  };
+}
+
+module.exports = {
+  escapeRegex,
+  containsText,
+  listQuery,
+  sortQuery,
+  getSortKeys,
+  toSort,
+  applyCursor,
+  takePage,
+  getPagination
+};
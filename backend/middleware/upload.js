@@ -1,6 +1,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { getUploadPolicy, getViolation, checkFile, formatSize } = require('../services/uploadPolicies');
 
 // Ensure upload directory exists
 const uploadDir = 'uploads';
@@ -8,70 +9,123 @@ if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// Uploads land in a staging directory until they are moved into the blob store
+const incomingDir = path.join(uploadDir, '.incoming');
+if (!fs.existsSync(incomingDir)) {
+  fs.mkdirSync(incomingDir, { recursive: true });
+}
+
 // Configure storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const userDir = path.join(uploadDir, req.user._id.toString());
-    if (!fs.existsSync(userDir)) {
-      fs.mkdirSync(userDir, { recursive: true });
-    }
-    cb(null, userDir);
+    cb(null, incomingDir);
   },
   filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    const name = path.basename(file.originalname, ext);
-    cb(null, `${name}-${uniqueSuffix}${ext}`);
+    cb(null, generateFilename(file.originalname));
   }
 });
 
-// File filter
-const fileFilter = (req, file, cb) => {
-  // Allowed file types
-  const allowedTypes = [
-    'image/jpeg',
-    'image/jpg',
-    'image/png',
-    'image/gif',
-    'image/webp',
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'text/plain',
-    'text/csv'
-  ];
+// Build a unique on-disk filename that keeps the original name and extension
+function generateFilename(originalName) {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const ext = path.extname(originalName);
+  const name = path.basename(originalName, ext);
+  return `${name}-${uniqueSuffix}${ext}`;
+}
+
+// Configure multer to enforce an upload policy
+function createUpload(policy) {
+  return multer({
+    storage: storage,
+    limits: {
+      fileSize: policy.maxFileSize,
+      files: policy.maxFilesPerRequest
+    },
+    fileFilter: (req, file, cb) => {
+      const violation = checkFile(policy, {
+        originalName: file.originalname,
+        mimeType: file.mimetype
+      });
 
-  if (allowedTypes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error('Invalid file type. Only images, PDFs, and documents are allowed.'), false);
-  }
+      if (violation) {
+        const error = new Error(violation.message);
+        error.violation = violation;
+        return cb(error, false);
+      }
+      cb(null, true);
+    }
+  });
+}
+
+// Get the largest ZIP archive that may be uploaded for import
+function getMaxArchiveSize() {
+  return parseInt(process.env.ZIP_IMPORT_MAX_SIZE) || 500 * 1024 * 1024;
+}
+
+// Configure multer for a single ZIP archive to import. The policy applies
+// to its entries, which are checked once it is opened.
+function createArchiveUpload() {
+  return multer({
+    storage: storage,
+    limits: {
+      fileSize: getMaxArchiveSize(),
+      files: 1
+    }
+  });
+}
+
+// Wrap a multer middleware so it enforces the uploading user's policy.
+// Must run after auth; the policy is left on req.uploadPolicy.
+function withPolicy(select) {
+  return async (req, res, next) => {
+    try {
+      req.uploadPolicy = await getUploadPolicy(req.user);
+      select(createUpload(req.uploadPolicy), req)(req, res, next);
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+const upload = {
+  array: fieldName => withPolicy(policyUpload => policyUpload.array(fieldName)),
+  single: fieldName => withPolicy(policyUpload => policyUpload.single(fieldName)),
+  archive: fieldName => withPolicy((policyUpload, req) => {
+    req.maxArchiveSize = getMaxArchiveSize();
+    return createArchiveUpload().single(fieldName);
+  })
 };
 
-// Configure multer
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit
-    files: 10 // Maximum 10 files at once
-  },
-  fileFilter: fileFilter
-});
+// Answer with the policy an upload violated
+function sendPolicyViolation(res, violation) {
+  return res.status(400).json({
+    success: false,
+    message: violation.message,
+    data: {
+      policy: violation.policy,
+      limit: violation.limit
+    }
+  });
+}
 
 // Error handling middleware for multer
 const handleMulterError = (err, req, res, next) => {
+  if (err.violation) {
+    return sendPolicyViolation(res, err.violation);
+  }
+
   if (err instanceof multer.MulterError) {
-    if (err.code === 'LIMIT_FILE_SIZE') {
+    if (err.code === 'LIMIT_FILE_SIZE' && req.maxArchiveSize) {
       return res.status(400).json({
         success: false,
-        message: 'File too large. Maximum size is 50MB.'
+        message: `Archive too large. Maximum size is ${formatSize(req.maxArchiveSize)}.`
       });
     }
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return sendPolicyViolation(res, getViolation(req.uploadPolicy, 'maxFileSize'));
+    }
     if (err.code === 'LIMIT_FILE_COUNT') {
-      return res.status(400).json({
-        success: false,
-        message: 'Too many files. Maximum 10 files allowed.'
-      });
+      return sendPolicyViolation(res, getViolation(req.uploadPolicy, 'maxFilesPerRequest'));
     }
     if (err.code === 'LIMIT_UNEXPECTED_FILE') {
       return res.status(400).json({
@@ -81,17 +135,14 @@ const handleMulterError = (err, req, res, next) => {
     }
   }
   
-  if (err.message.includes('Invalid file type')) {
-    return res.status(400).json({
-      success: false,
-      message: err.message
-    });
-  }
-  
   next(err);
 };
 
 module.exports = {
   upload,
-  handleMulterError
+  handleMulterError,
+  sendPolicyViolation,
+  uploadDir,
+  incomingDir,
+  generateFilename
 };
\ No newline at end of file
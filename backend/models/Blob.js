@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const blobSchema = new mongoose.Schema({
+  hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  backend: {
+    type: String,
+    required: true
+  },
+  refCount: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  // Set once nothing references the blob and its data is being removed. No
+  // new references are taken to it from then on.
+  deleting: {
+    type: Boolean,
+    default: false
+  },
+  // Last scan verdict for the data, reused for every upload of the same bytes
+  scan: {
+    status: {
+      type: String,
+      enum: ['clean', 'infected', 'skipped'],
+      default: null
+    },
+    signature: {
+      type: String,
+      default: null
+    },
+    reason: {
+      type: String,
+      default: null
+    },
+    scanner: {
+      type: String,
+      default: null
+    },
+    scannedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Thumbnails and text snippet generated from the data in the background.
+  // The status stays null until a preview is first asked for.
+  preview: {
+    status: {
+      type: String,
+      enum: ['pending', 'ready', 'failed'],
+      default: null
+    },
+    mimeType: {
+      type: String,
+      default: null
+    },
+    thumbnails: [{
+      _id: false,
+      size: String,
+      key: String,
+      width: Number,
+      height: Number
+    }],
+    snippet: {
+      type: String,
+      default: null
+    },
+    error: {
+      type: String,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+blobSchema.index({ backend: 1 });
+blobSchema.index({ 'preview.status': 1 });
+
+module.exports = mongoose.model('Blob', blobSchema);
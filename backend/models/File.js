@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const fileSchema = new mongoose.Schema({
   name: {
@@ -27,9 +28,68 @@ const fileSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  url: {
+  hash: {
     type: String,
-    required: true
+    default: null
+  },
+  // When the stored content last changed. Renames and other edits leave it
+  // alone, so downloads are validated against it rather than updatedAt.
+  contentUpdatedAt: {
+    type: Date,
+    default: null
+  },
+  // Why the content is held back from being served, if it is
+  quarantineReason: {
+    type: String,
+    default: null
+  },
+  // Outcome of the malware scan of the content. The status stays null for
+  // content stored before scanning was introduced.
+  scan: {
+    status: {
+      type: String,
+      enum: ['pending', 'clean', 'infected', 'skipped', 'failed'],
+      default: null
+    },
+    signature: {
+      type: String,
+      default: null
+    },
+    scanner: {
+      type: String,
+      default: null
+    },
+    scannedAt: {
+      type: Date,
+      default: null
+    },
+    // Why the content was not scanned, when it was skipped
+    reason: {
+      type: String,
+      default: null
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    // Failed scans so far. Content that keeps failing is given up on.
+    attempts: {
+      type: Number,
+      default: 0
+    }
+  },
+  // State of the text extracted from the content for full-text search.
+  // The status stays null for content no text is extracted from.
+  textIndex: {
+    status: {
+      type: String,
+      enum: ['pending', 'ready', 'failed'],
+      default: null
+    },
+    error: {
+      type: String,
+      default: null
+    }
   },
   owner: {
     type: mongoose.Schema.Types.ObjectId,
@@ -61,22 +121,68 @@ const fileSchema = new mongoose.Schema({
   lastAccessed: {
     type: Date,
     default: Date.now
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  versionLimit: {
+    type: Number,
+    min: 0,
+    default: null
   }
 }, {
   timestamps: true
 });
 
+// Trash support
+fileSchema.plugin(softDelete);
+
 // Index for faster queries
 fileSchema.index({ owner: 1, type: 1 });
 fileSchema.index({ owner: 1, folder: 1 });
 fileSchema.index({ owner: 1, isFavorite: 1 });
+fileSchema.index({ hash: 1 });
+fileSchema.index({ 'scan.status': 1 });
+fileSchema.index({ 'textIndex.status': 1 });
+
+// Indexes for the sort orders of file listings, with _id to page through
+// equal values
+fileSchema.index({ owner: 1, name: 1, _id: 1 });
+fileSchema.index({ owner: 1, size: 1, _id: 1 });
+fileSchema.index({ owner: 1, createdAt: 1, _id: 1 });
+fileSchema.index({ owner: 1, updatedAt: 1, _id: 1 });
+fileSchema.index({ owner: 1, lastAccessed: 1, _id: 1 });
+fileSchema.index({ owner: 1, downloadCount: 1, _id: 1 });
+
+// Record when the content is first stored or replaced
+fileSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('hash') || this.isModified('path')) {
+    this.contentUpdatedAt = new Date();
+  }
+  next();
+});
+
+// Static to map a mime type onto one of the file type categories
+fileSchema.statics.getFileType = function(mimeType) {
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType === 'application/pdf') return 'pdf';
+  if (mimeType.includes('document') || mimeType.includes('text')) return 'document';
+  return 'other';
+};
 
 // Method to get file type from mime type
 fileSchema.methods.getFileType = function() {
-  if (this.mimeType.startsWith('image/')) return 'image';
-  if (this.mimeType === 'application/pdf') return 'pdf';
-  if (this.mimeType.includes('document') || this.mimeType.includes('text')) return 'document';
-  return 'other';
+  return this.constructor.getFileType(this.mimeType);
+};
+
+// Method to get how many previous versions are kept for this file
+fileSchema.methods.getVersionLimit = function() {
+  if (this.versionLimit !== null && this.versionLimit !== undefined) {
+    return this.versionLimit;
+  }
+  const defaultLimit = parseInt(process.env.FILE_VERSION_LIMIT);
+  return isNaN(defaultLimit) ? 10 : defaultLimit;
 };
 
 // Method to format file size
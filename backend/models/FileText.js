@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Text extracted from the current content of a file, kept apart from the
+// file so listings never load it. The text index is prefixed by owner, so
+// every search is scoped to one user's files.
+const fileTextSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hash of the content the text was extracted from
+  hash: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    default: ''
+  },
+  // Whether the text was cut off at the length limit
+  truncated: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+fileTextSchema.index({ file: 1 }, { unique: true });
+fileTextSchema.index({ hash: 1 });
+fileTextSchema.index({ owner: 1, text: 'text' });
+
+module.exports = mongoose.model('FileText', fileTextSchema);
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+const fileVersionSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['image', 'pdf', 'document', 'other']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    default: null
+  },
+  // When the content was stored, carried over from the file
+  contentUpdatedAt: {
+    type: Date,
+    default: null
+  },
+  // Why the content is held back from being served, if it is
+  quarantineReason: {
+    type: String,
+    default: null
+  },
+  // Outcome of the malware scan of the content. The status stays null for
+  // content stored before scanning was introduced.
+  scan: {
+    status: {
+      type: String,
+      enum: ['pending', 'clean', 'infected', 'skipped', 'failed'],
+      default: null
+    },
+    signature: {
+      type: String,
+      default: null
+    },
+    scanner: {
+      type: String,
+      default: null
+    },
+    scannedAt: {
+      type: Date,
+      default: null
+    },
+    // Why the content was not scanned, when it was skipped
+    reason: {
+      type: String,
+      default: null
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    // Failed scans so far. Content that keeps failing is given up on.
+    attempts: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+fileVersionSchema.index({ file: 1, version: -1 }, { unique: true });
+fileVersionSchema.index({ owner: 1 });
+fileVersionSchema.index({ 'scan.status': 1 });
+
+// Fields that describe the stored content of a file revision
+fileVersionSchema.statics.CONTENT_FIELDS = ['type', 'mimeType', 'size', 'path', 'hash', 'quarantineReason', 'scan'];
+
+// Static to snapshot the current content of a file as a version record
+fileVersionSchema.statics.fromFile = function(file) {
+  const snapshot = {
+    file: file._id,
+    owner: file.owner,
+    version: file.version,
+    name: file.name,
+    originalName: file.originalName,
+    contentUpdatedAt: file.contentUpdatedAt
+  };
+
+  for (const field of this.CONTENT_FIELDS) {
+    snapshot[field] = file[field];
+  }
+
+  return new this(snapshot);
+};
+
+module.exports = mongoose.model('FileVersion', fileVersionSchema);
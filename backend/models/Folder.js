@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const folderSchema = new mongoose.Schema({
   name: {
@@ -34,6 +35,12 @@ const folderSchema = new mongoose.Schema({
     type: String,
     default: '#3B82F6'
   },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  // Aggregates of the folder's contents, kept up to date by the folder
+  // stats service: direct contents first, then the whole subtree
   size: {
     type: Number,
     default: 0
@@ -41,14 +48,32 @@ const folderSchema = new mongoose.Schema({
   itemCount: {
     type: Number,
     default: 0
+  },
+  totalSize: {
+    type: Number,
+    default: 0
+  },
+  totalItemCount: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
 });
 
+// Trash support
+folderSchema.plugin(softDelete);
+
 // Index for faster queries
 folderSchema.index({ owner: 1, parentFolder: 1 });
-folderSchema.index({ owner: 1, name: 1 });
+
+// Indexes for the sort orders of folder listings, with _id to page through
+// equal values
+folderSchema.index({ owner: 1, name: 1, _id: 1 });
+folderSchema.index({ owner: 1, size: 1, _id: 1 });
+folderSchema.index({ owner: 1, totalSize: -1, _id: -1 });
+folderSchema.index({ owner: 1, createdAt: 1, _id: 1 });
+folderSchema.index({ owner: 1, updatedAt: 1, _id: 1 });
 
 // Virtual for getting subfolders
 folderSchema.virtual('subfolders', {
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Progress of a deep folder duplication. Large folders are copied in the
+// background and the client polls this record until it is done.
+const folderCopySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    required: true
+  },
+  folder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  totalItems: {
+    type: Number,
+    default: 0
+  },
+  copiedItems: {
+    type: Number,
+    default: 0
+  },
+  totalSize: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Copy records are only useful while the client is watching them
+folderCopySchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+folderCopySchema.index({ user: 1, createdAt: -1 });
+
+folderCopySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.progress = doc.totalItems > 0
+      ? Math.min(100, Math.round((doc.copiedItems / doc.totalItems) * 100))
+      : 100;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('FolderCopy', folderCopySchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Roles that can be granted, in increasing order of access
+const ROLES = ['viewer', 'commenter', 'editor'];
+
+// Access to a file, folder or note given by its owner to another user.
+// A grant on a folder also covers everything inside it.
+const grantSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  grantee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  resourceModel: {
+    type: String,
+    required: true,
+    enum: ['File', 'Folder', 'Note']
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'resourceModel',
+    required: true
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ROLES
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+grantSchema.index({ resource: 1, grantee: 1 }, { unique: true });
+grantSchema.index({ grantee: 1, createdAt: -1 });
+grantSchema.index({ owner: 1 });
+
+grantSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('Grant', grantSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const noteSchema = new mongoose.Schema({
   title: {
@@ -46,11 +47,21 @@ const noteSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Trash support
+noteSchema.plugin(softDelete);
+
 // Index for faster queries
-noteSchema.index({ owner: 1, isPinned: -1, updatedAt: -1 });
+noteSchema.index({ owner: 1, isPinned: -1, updatedAt: -1, _id: -1 });
 noteSchema.index({ owner: 1, folder: 1 });
 noteSchema.index({ owner: 1, isFavorite: 1 });
 
+// Indexes for the sort orders of note listings, with _id to page through
+// equal values
+noteSchema.index({ owner: 1, title: 1, _id: 1 });
+noteSchema.index({ owner: 1, createdAt: 1, _id: 1 });
+noteSchema.index({ owner: 1, updatedAt: 1, _id: 1 });
+noteSchema.index({ owner: 1, lastAccessed: 1, _id: 1 });
+
 // Text search index
 noteSchema.index({ title: 'text', content: 'text' });
 
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One entry per anonymous access through a share link, used for analytics
+const shareAccessSchema = new mongoose.Schema({
+  shareLink: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShareLink',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    default: null
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['view', 'download']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+shareAccessSchema.index({ owner: 1, createdAt: -1 });
+shareAccessSchema.index({ shareLink: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ShareAccess', shareAccessSchema);
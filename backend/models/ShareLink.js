@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const shareLinkSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('base64url')
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  resourceModel: {
+    type: String,
+    required: true,
+    enum: ['File', 'Folder']
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'resourceModel',
+    required: true
+  },
+  passwordHash: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  maxDownloads: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  lastAccessed: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+shareLinkSchema.index({ owner: 1, createdAt: -1 });
+shareLinkSchema.index({ resource: 1 });
+
+// Never expose the password hash
+shareLinkSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    ret.hasPassword = !!doc.passwordHash;
+    ret.isActive = doc.isActive();
+    return ret;
+  }
+});
+
+// Method to set or clear the link password
+shareLinkSchema.methods.setPassword = async function(password) {
+  if (!password) {
+    this.passwordHash = null;
+    return;
+  }
+  const salt = await bcrypt.genSalt(12);
+  this.passwordHash = await bcrypt.hash(password, salt);
+};
+
+// Compare password method
+shareLinkSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.passwordHash) return true;
+  return bcrypt.compare(candidatePassword || '', this.passwordHash);
+};
+
+// Method to get what unlock tokens for the link are issued for. The
+// password hash is part of it, so setting a new password invalidates the
+// tokens issued for the old one.
+shareLinkSchema.methods.getAccessSubject = function() {
+  return `${this._id}:${this.passwordHash || ''}`;
+};
+
+// Method to check whether the link can still be used
+shareLinkSchema.methods.isActive = function() {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt <= new Date()) return false;
+  if (this.maxDownloads !== null && this.downloadCount >= this.maxDownloads) return false;
+  return true;
+};
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A saved search shown among a user's folders. Its query is written in the
+// syntax of the search endpoint and is run again each time the smart
+// folder is opened, so its contents are always current.
+const smartFolderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  query: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The folder it is listed in, or null for the top level
+  parentFolder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  color: {
+    type: String,
+    default: '#8B5CF6'
+  },
+  isFavorite: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+smartFolderSchema.index({ owner: 1, parentFolder: 1 });
+
+module.exports = mongoose.model('SmartFolder', smartFolderSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A tag of a user's own. Files, folders and notes carry the names of their
+// tags, and the tags service keeps those names in step with this
+// collection when tags are renamed, merged or deleted.
+const tagSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  // Lower case name, so tags differing only in case are one tag
+  key: {
+    type: String,
+    required: true
+  },
+  color: {
+    type: String,
+    default: '#6B7280'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+tagSchema.index({ owner: 1, key: 1 }, { unique: true });
+
+// Get the key of a tag name
+tagSchema.statics.toKey = function(name) {
+  return name.trim().toLowerCase();
+};
+
+tagSchema.pre('validate', function(next) {
+  if (this.name) this.key = this.constructor.toKey(this.name);
+  next();
+});
+
+module.exports = mongoose.model('Tag', tagSchema);
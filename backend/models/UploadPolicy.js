@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Upload limits for a plan or a single user. Fields left null or empty are
+// taken from the plan, and from the built-in defaults after that.
+const uploadPolicySchema = new mongoose.Schema({
+  plan: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  allowedTypes: {
+    type: [String],
+    default: null
+  },
+  allowedExtensions: {
+    type: [String],
+    default: null
+  },
+  maxFileSize: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  maxFilesPerRequest: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // 0 lifts the daily limit
+  maxBytesPerDay: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One policy per plan and one per user
+uploadPolicySchema.index(
+  { plan: 1 },
+  { unique: true, partialFilterExpression: { plan: { $type: 'string' } } }
+);
+uploadPolicySchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } }
+);
+
+module.exports = mongoose.model('UploadPolicy', uploadPolicySchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// How long a request may hold a session before its claim lapses
+const CLAIM_TTL = 15 * 60 * 1000;
+
+const uploadSessionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  offset: {
+    type: Number,
+    default: 0
+  },
+  tempPath: {
+    type: String,
+    required: true
+  },
+  folder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set while a request writes a chunk or completes the upload, so only one
+  // can at a time. A claim left behind by a crashed request lapses.
+  claimedUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+uploadSessionSchema.index({ owner: 1, createdAt: -1 });
+uploadSessionSchema.index({ expiresAt: 1 });
+
+// Method to check whether every byte has been received
+uploadSessionSchema.methods.isComplete = function() {
+  return this.offset >= this.size;
+};
+
+// Method to push the expiry forward after activity
+uploadSessionSchema.methods.touch = function() {
+  this.expiresAt = new Date(Date.now() + this.constructor.getTTL());
+};
+
+// Static to get how long an idle session is kept, in milliseconds
+uploadSessionSchema.statics.getTTL = function() {
+  const hours = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+  return hours * 60 * 60 * 1000;
+};
+
+// Static to claim a session matching the filter for one request. Resolves
+// to the claimed session, or null if none matches or it is claimed already.
+uploadSessionSchema.statics.claim = function(filter) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { ...filter, $or: [{ claimedUntil: null }, { claimedUntil: { $lte: now } }] },
+    { claimedUntil: new Date(now.getTime() + CLAIM_TTL) },
+    { new: true }
+  );
+};
+
+// Static to release a claim
+uploadSessionSchema.statics.release = function(id) {
+  return this.updateOne({ _id: id }, { claimedUntil: null });
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
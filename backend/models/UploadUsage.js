@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Bytes a user has uploaded on a given day, counted against the daily
+// limit of their upload policy
+const uploadUsageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // UTC date as YYYY-MM-DD
+  day: {
+    type: String,
+    required: true
+  },
+  bytes: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+uploadUsageSchema.index({ user: 1, day: 1 }, { unique: true });
+// Only today's usage matters; keep a week for reference
+uploadUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('UploadUsage', uploadUsageSchema);
@@ -30,6 +30,17 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 1024 * 1024 * 1024 // 1GB in bytes
   },
+  // Plan the user is on, which decides their upload policy
+  plan: {
+    type: String,
+    trim: true,
+    default: 'free'
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   resetPasswordToken: String,
   resetPasswordExpires: Date,
   isVerified: {
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Adds trash support to a schema. Documents are moved to the trash by setting
+// deletedAt; items trashed together with a folder also record that folder in
+// deletedWith so they are listed and restored as part of it.
+//
+// Reads (find, findOne, countDocuments, aggregate) only see live documents
+// unless the filter or first $match stage mentions deletedAt explicitly, or
+// the query is run with setOptions({ withDeleted: true }).
+function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedWith: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Folder',
+      default: null
+    }
+  });
+
+  schema.index({ owner: 1, deletedAt: 1 });
+  schema.index({ deletedWith: 1 });
+
+  schema.pre(['find', 'findOne', 'countDocuments'], function() {
+    const options = this.getOptions();
+    if (options.withDeleted) {
+      // Mongoose-only option, keep it away from the driver
+      delete options.withDeleted;
+      return;
+    }
+    if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const [firstStage] = this.pipeline();
+    if (firstStage && firstStage.$match && Object.prototype.hasOwnProperty.call(firstStage.$match, 'deletedAt')) {
+      return;
+    }
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  // Method to check whether the document is in the trash
+  schema.methods.isTrashed = function() {
+    return this.deletedAt !== null && this.deletedAt !== undefined;
+  };
+}
+
+module.exports = softDelete;
@@ -0,0 +1,316 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const UploadPolicy = require('../models/UploadPolicy');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const {
+  DEFAULT_POLICY,
+  POLICY_FIELDS,
+  getUploadPolicy,
+  getUploadedToday
+} = require('../services/uploadPolicies');
+
+const router = express.Router();
+
+// Every route here is for administrators only
+router.use(auth, admin);
+
+const planValidation = param('plan')
+  .trim()
+  .matches(/^[\w-]{1,50}$/)
+  .withMessage('Plan names may only contain letters, numbers, dashes and underscores');
+
+const userValidation = param('userId')
+  .isMongoId()
+  .withMessage('User ID is invalid');
+
+// Fields may be set to null to fall back to the plan or the defaults
+const policyValidation = [
+  body('allowedTypes')
+    .optional({ nullable: true })
+    .isArray({ min: 1 })
+    .withMessage('Allowed types must be a non-empty list'),
+  body('allowedTypes.*')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .matches(/^[\w.+-]+\/[\w.+-]+$/)
+    .withMessage('Allowed types must be mime types such as image/png'),
+  body('allowedExtensions')
+    .optional({ nullable: true })
+    .isArray({ min: 1 })
+    .withMessage('Allowed extensions must be a non-empty list'),
+  body('allowedExtensions.*')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .customSanitizer(value => value.replace(/^\./, ''))
+    .matches(/^[a-z0-9]+$/)
+    .withMessage('Allowed extensions must be extensions such as pdf'),
+  body('maxFileSize')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Maximum file size must be a positive number of bytes')
+    .toInt(),
+  body('maxFilesPerRequest')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Maximum files per request must be between 1 and 100')
+    .toInt(),
+  body('maxBytesPerDay')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Maximum bytes per day must be 0 or more')
+    .toInt()
+];
+
+// Helper function to create or update the policy matching a filter with
+// the policy fields present in the request body
+async function savePolicy(filter, req) {
+  const policy = await UploadPolicy.findOne(filter) || new UploadPolicy(filter);
+
+  for (const field of POLICY_FIELDS) {
+    if (field in req.body) {
+      policy[field] = req.body[field];
+    }
+  }
+  policy.updatedBy = req.user._id;
+
+  const isNew = policy.isNew;
+  await policy.save();
+  return { policy, isNew };
+}
+
+// Get the default policy and every plan and user policy
+router.get('/upload-policies', async (req, res) => {
+  try {
+    const policies = await UploadPolicy.find()
+      .populate('user', 'username email plan')
+      .sort({ plan: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        defaults: DEFAULT_POLICY,
+        plans: policies.filter(policy => policy.plan),
+        users: policies.filter(policy => policy.user)
+      }
+    });
+  } catch (error) {
+    console.error('Get upload policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create or update the policy of a plan
+router.put('/upload-policies/plans/:plan', [planValidation, ...policyValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { policy, isNew } = await savePolicy({ plan: req.params.plan }, req);
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: 'Upload policy saved successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    console.error('Save plan upload policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Delete the policy of a plan, so its users fall back to the defaults
+router.delete('/upload-policies/plans/:plan', [planValidation], async (req, res) => {
+  try {
+    const policy = await UploadPolicy.findOneAndDelete({ plan: req.params.plan });
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Upload policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete plan upload policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get the policy that applies to a user and their own overrides
+router.get('/users/:userId/upload-policy', [userValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select('username email plan');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [effective, override, uploadedToday] = await Promise.all([
+      getUploadPolicy(user),
+      UploadPolicy.findOne({ user: user._id }),
+      getUploadedToday(user._id)
+    ]);
+
+    res.json({
+      success: true,
+      data: { user, effective, override, uploadedToday }
+    });
+  } catch (error) {
+    console.error('Get user upload policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create or update the policy of a single user
+router.put('/users/:userId/upload-policy', [userValidation, ...policyValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!(await User.exists({ _id: req.params.userId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { policy, isNew } = await savePolicy({ user: req.params.userId }, req);
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: 'Upload policy saved successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    console.error('Save user upload policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Delete the policy of a user, so their plan's policy applies again
+router.delete('/users/:userId/upload-policy', [userValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await UploadPolicy.findOneAndDelete({ user: req.params.userId });
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Upload policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete user upload policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Move a user to another plan
+router.put('/users/:userId/plan', [
+  userValidation,
+  body('plan')
+    .trim()
+    .matches(/^[\w-]{1,50}$/)
+    .withMessage('Plan names may only contain letters, numbers, dashes and underscores')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { plan: req.body.plan },
+      { new: true }
+    ).select('username email plan');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Plan updated successfully',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Update user plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
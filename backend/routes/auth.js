@@ -77,7 +77,9 @@ router.post('/register', [
           email: user.email,
           storageUsed: user.storageUsed,
           storageLimit: user.storageLimit,
-          storagePercentage: user.getStoragePercentage()
+          storagePercentage: user.getStoragePercentage(),
+          plan: user.plan,
+          role: user.role
         }
       }
     });
@@ -143,7 +145,9 @@ router.post('/login', [
           email: user.email,
           storageUsed: user.storageUsed,
           storageLimit: user.storageLimit,
-          storagePercentage: user.getStoragePercentage()
+          storagePercentage: user.getStoragePercentage(),
+          plan: user.plan,
+          role: user.role
         }
       }
     });
@@ -169,7 +173,9 @@ router.get('/me', auth, async (req, res) => {
           email: user.email,
           storageUsed: user.storageUsed,
           storageLimit: user.storageLimit,
-          storagePercentage: user.getStoragePercentage()
+          storagePercentage: user.getStoragePercentage(),
+          plan: user.plan,
+          role: user.role
         }
       }
     });
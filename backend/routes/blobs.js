@@ -0,0 +1,87 @@
+const express = require('express');
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const { verifyFileUrl } = require('../services/signedUrls');
+const { getDownloadBlock, openDownload, sendDownload } = require('../services/downloads');
+const { getRole } = require('../services/access');
+
+const router = express.Router();
+
+// Serve file data through a signed link. No bearer token is needed so the
+// links work in <img> tags and new tabs; the signature stands in for it.
+router.get('/:fileId', async (req, res) => {
+  try {
+    const link = verifyFileUrl(req.params.fileId, req.query);
+
+    if (!link) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired link'
+      });
+    }
+
+    const file = await File.findById(link.fileId);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    // Links bound to a user stop working as soon as that user loses access
+    if (link.userId && !(await getRole(file, link.userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    let content = file;
+    if (link.versionId) {
+      content = await FileVersion.findOne({ _id: link.versionId, file: file._id });
+
+      if (!content) {
+        return res.status(404).json({
+          success: false,
+          message: 'Version not found'
+        });
+      }
+    }
+
+    // Pending and infected content is held back
+    const block = getDownloadBlock(content);
+    if (block) {
+      return res.status(block.status).json({
+        success: false,
+        message: block.message,
+        data: block.data
+      });
+    }
+
+    const download = await openDownload(req, content);
+    if (!download) {
+      return res.status(404).json({
+        success: false,
+        message: 'Physical file not found'
+      });
+    }
+
+    // Let the frontend embed the data from its own origin
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+
+    const maxAge = Math.max(0, link.expires - Math.floor(Date.now() / 1000));
+    sendDownload(res, content, download, {
+      disposition: 'inline',
+      cacheControl: `private, max-age=${maxAge}`
+    });
+  } catch (error) {
+    console.error('Serve blob error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,34 +1,92 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const File = require('../models/File');
-const User = require('../models/User');
+const FileVersion = require('../models/FileVersion');
+const Folder = require('../models/Folder');
+const Note = require('../models/Note');
 const auth = require('../middleware/auth');
-const { upload, handleMulterError } = require('../middleware/upload');
+const { upload, handleMulterError, sendPolicyViolation } = require('../middleware/upload');
+const {
+  containsText,
+  listQuery,
+  sortQuery,
+  getSortKeys,
+  toSort,
+  applyCursor,
+  takePage,
+  getPagination
+} = require('../middleware/listQuery');
+const { ingestUpload, copyFile, pruneVersions } = require('../services/files');
+const { getDownloadBlock, openDownload, sendDownload } = require('../services/downloads');
+const { inspectUpload } = require('../services/contentTypes');
+const { getPendingScan, requestScan } = require('../services/malwareScan');
+const { getDefaultTTL, createFileUrl, withFileUrl, withVersionUrl } = require('../services/signedUrls');
+const { trashItem } = require('../services/trash');
+const { hasRole, findAccessible, findWritableFolder } = require('../services/access');
+const { reserveStorage, releaseStorage } = require('../services/quota');
+const { reserveDailyUpload, releaseDailyUpload } = require('../services/uploadPolicies');
+const { findMoveTarget, findMovableItems } = require('../services/folders');
+const { refreshFolderStats, refreshFolderTree } = require('../services/folderStats');
+const { THUMBNAIL_SIZES, requestPreview, getPreview, openThumbnail } = require('../services/previews');
+const { getSelectionEntries, sendArchive } = require('../services/archives');
+const { tagsValidation, resolveTags } = require('../services/tags');
+const { requestTextIndex, searchText, getSnippets } = require('../services/textIndex');
+const {
+  planImport,
+  findCollisions,
+  extractFiles,
+  discardImport,
+  createImport
+} = require('../services/zipImport');
 
 const router = express.Router();
 
+const MAX_LINK_TTL = 7 * 24 * 60 * 60; // 7 days, in seconds
+
+// Fields file listings can be sorted by
+const sortFields = ['name', 'size', 'createdAt', 'updatedAt', 'lastAccessed', 'downloadCount'];
+
 // Get all files for user
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, listQuery({ ids: ['folder'] }), sortQuery(sortFields), async (req, res) => {
   try {
-    const { folder, type, search, favorite, limit = 20, page = 1 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { folder, type, search, favorite, sort = 'createdAt', order = 'desc', cursor } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+    const sortKeys = getSortKeys(sort, order);
     
     let query = { owner: req.user._id };
     
     if (folder) {
       query.folder = folder === 'root' ? null : folder;
     }
+
+    // Files in a folder shared with the user belong to the folder's owner
+    if (folder && folder !== 'root') {
+      const access = await findAccessible(Folder, folder, req.user._id);
+      if (access) query.owner = access.item.owner;
+    }
     
     if (type) {
       query.type = type;
     }
     
     if (search) {
+      const pattern = containsText(search);
       query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { originalName: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
+        { name: pattern },
+        { originalName: pattern },
+        { tags: pattern },
+        { _id: { $in: await searchText(query.owner, search) } }
       ];
     }
     
@@ -36,27 +94,47 @@ router.get('/', auth, async (req, res) => {
       query.isFavorite = true;
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const [files, total] = await Promise.all([
-      File.find(query)
+    // A cursor picks up after the last file of the previous page
+    const pageQuery = cursor ? applyCursor(query, sortKeys, cursor) : query;
+    if (!pageQuery) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cursor does not match the sort order'
+      });
+    }
+
+    const [found, total] = await Promise.all([
+      File.find(pageQuery)
         .populate('owner', 'username email')
         .populate('folder', 'name path')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit)),
+        .sort(toSort(sortKeys))
+        .skip(cursor ? 0 : skip)
+        .limit(limit + 1),
       File.countDocuments(query)
     ]);
+    const { items: files, nextCursor } = takePage(found, sortKeys, limit);
+
+    let results = files.map(file => withFileUrl(file, req.user._id));
+
+    // Show where the text of files matched, with the matches to highlight
+    if (search) {
+      const snippets = await getSnippets(files.map(file => file._id), search);
+      results = results.map(file => ({
+        ...file,
+        snippet: snippets.get(String(file._id)) || null
+      }));
+    }
 
     res.json({
       success: true,
       data: {
-        files,
+        files: results,
         pagination: {
-          current: parseInt(page),
-          total: Math.ceil(total / parseInt(limit)),
+          current: page,
+          total: Math.ceil(total / limit),
           count: files.length,
-          totalFiles: total
+          totalFiles: total,
+          nextCursor
         }
       }
     });
@@ -72,27 +150,28 @@ router.get('/', auth, async (req, res) => {
 // Get file by ID
 router.get('/:id', auth, async (req, res) => {
   try {
-    const file = await File.findOne({
-      _id: req.params.id,
-      owner: req.user._id
-    })
-    .populate('owner', 'username email')
-    .populate('folder', 'name path');
-
-    if (!file) {
+    const access = await findAccessible(File, req.params.id, req.user._id);
+
+    if (!access) {
       return res.status(404).json({
         success: false,
         message: 'File not found'
       });
     }
 
-    // Update last accessed
+    const file = access.item;
+
+    // Update last accessed, without counting it as a change to the file
     file.lastAccessed = new Date();
-    await file.save();
+    await file.save({ timestamps: false });
+    await file.populate([
+      { path: 'owner', select: 'username email' },
+      { path: 'folder', select: 'name path' }
+    ]);
 
     res.json({
       success: true,
-      data: { file }
+      data: { file: withFileUrl(file, req.user._id), role: access.role }
     });
   } catch (error) {
     console.error('Get file error:', error);
@@ -104,7 +183,10 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // Upload files
-router.post('/upload', auth, upload.array('files', 10), handleMulterError, async (req, res) => {
+router.post('/upload', auth, upload.array('files'), handleMulterError, tagsValidation, async (req, res) => {
+  // Storage reserved for this upload that no file has been created for yet
+  let reserved = null;
+
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -113,6 +195,16 @@ router.post('/upload', auth, upload.array('files', 10), handleMulterError, async
       });
     }
 
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      req.files.forEach(removeUploadedFile);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { folder, tags, description } = req.body;
     const uploadedFiles = [];
     let totalSize = 0;
@@ -122,8 +214,51 @@ router.post('/upload', auth, upload.array('files', 10), handleMulterError, async
       totalSize += file.size;
     });
 
-    // Check storage limit
-    if (!req.user.hasEnoughStorage(totalSize)) {
+    // Check what each file really contains before storing any of them
+    const inspections = req.files.map(file => inspectUpload(file.path, file.mimetype));
+    const rejected = req.files.filter((file, i) => inspections[i].action === 'reject');
+
+    if (rejected.length > 0) {
+      req.files.forEach(removeUploadedFile);
+      return res.status(400).json({
+        success: false,
+        message: 'File content does not match its declared type',
+        data: {
+          files: rejected.map(file => ({
+            name: file.originalname,
+            reason: inspections[req.files.indexOf(file)].mismatch
+          }))
+        }
+      });
+    }
+
+    let targetFolder = null;
+    if (folder) {
+      targetFolder = await findWritableFolder(folder, req.user._id);
+
+      if (!targetFolder) {
+        req.files.forEach(removeUploadedFile);
+        return res.status(404).json({
+          success: false,
+          message: 'Folder not found'
+        });
+      }
+    }
+
+    // The uploader's daily limit applies wherever the files go
+    const { violation, day } = await reserveDailyUpload(req.user._id, req.uploadPolicy, totalSize);
+    if (violation) {
+      req.files.forEach(removeUploadedFile);
+      return sendPolicyViolation(res, violation);
+    }
+
+    // Files uploaded into a shared folder count against its owner's storage
+    const owner = targetFolder ? targetFolder.owner : req.user._id;
+
+    // Reserve the storage up front so parallel uploads cannot exceed the limit
+    if (!(await reserveStorage(owner, totalSize))) {
+      await releaseDailyUpload(req.user._id, day, totalSize);
+
       // Delete uploaded files
       req.files.forEach(file => {
         if (fs.existsSync(file.path)) {
@@ -136,38 +271,42 @@ router.post('/upload', auth, upload.array('files', 10), handleMulterError, async
         message: 'Not enough storage space'
       });
     }
+    reserved = { owner, size: totalSize, day };
+
+    // Tags belong to the owner of the files
+    const fileTags = await resolveTags(owner, tags);
 
-    // Process each file
-    for (const file of req.files) {
-      const fileType = getFileType(file.mimetype);
+    // Process each file, storing it under the type its content was detected
+    // as. Mismatched files only get this far when they are quarantined.
+    for (const [i, file] of req.files.entries()) {
+      const { mimeType, mismatch } = inspections[i];
+      const content = await ingestUpload(file.path, mimeType);
       
       const newFile = new File({
-        name: file.filename,
+        ...content,
+        quarantineReason: mismatch,
+        scan: getPendingScan(),
+        name: file.originalname,
         originalName: file.originalname,
-        type: fileType,
-        mimeType: file.mimetype,
-        size: file.size,
-        path: file.path,
-        url: `/uploads/${req.user._id}/${file.filename}`,
-        owner: req.user._id,
+        owner,
         folder: folder || null,
-        tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
+        tags: [...fileTags],
         description: description || ''
       });
 
       await newFile.save();
+      reserved.size -= file.size;
       await newFile.populate('folder', 'name path');
       uploadedFiles.push(newFile);
+      requestScan(newFile);
     }
 
-    // Update user storage
-    req.user.storageUsed += totalSize;
-    await req.user.save();
+    await refreshFolderStats(targetFolder && targetFolder._id);
 
     res.status(201).json({
       success: true,
       message: `${uploadedFiles.length} file(s) uploaded successfully`,
-      data: { files: uploadedFiles }
+      data: { files: uploadedFiles.map(file => withFileUrl(file, req.user._id)) }
     });
   } catch (error) {
     console.error('Upload files error:', error);
@@ -181,6 +320,14 @@ router.post('/upload', auth, upload.array('files', 10), handleMulterError, async
       });
     }
 
+    // Give back the storage and daily allowance of files that were not created
+    if (reserved) {
+      releaseStorage(reserved.owner, reserved.size)
+        .catch(releaseError => console.error('Release storage error:', releaseError));
+      releaseDailyUpload(req.user._id, reserved.day, reserved.size)
+        .catch(releaseError => console.error('Release daily upload error:', releaseError));
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error during file upload'
@@ -188,6 +335,272 @@ router.post('/upload', auth, upload.array('files', 10), handleMulterError, async
   }
 });
 
+// Import a ZIP archive, recreating its folders and files in a folder or
+// at the top level
+router.post('/import', auth, upload.archive('archive'), handleMulterError, async (req, res) => {
+  let plan = null;
+  // Storage reserved for this import until all of it is created
+  let reserved = null;
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No archive uploaded'
+      });
+    }
+
+    let targetFolder = null;
+    if (req.body.folder) {
+      targetFolder = await findWritableFolder(req.body.folder, req.user._id);
+
+      if (!targetFolder) {
+        removeUploadedFile(req.file);
+        return res.status(404).json({
+          success: false,
+          message: 'Folder not found'
+        });
+      }
+    }
+
+    // Everything is checked before anything is extracted or created
+    const planned = await planImport(req.file.path, req.uploadPolicy);
+
+    if (planned.problem) {
+      removeUploadedFile(req.file);
+      return res.status(planned.problem.status).json({
+        success: false,
+        message: planned.problem.message,
+        data: planned.problem.data
+      });
+    }
+    plan = planned;
+
+    // Imported files belong to the owner of the folder they are imported into
+    const owner = targetFolder ? targetFolder.owner : req.user._id;
+
+    const collisions = await findCollisions(plan, targetFolder, owner);
+    if (collisions.length > 0) {
+      discardImport(plan);
+      return res.status(409).json({
+        success: false,
+        message: 'Items with the same names already exist in this folder',
+        data: { names: collisions }
+      });
+    }
+
+    const { violation, day } = await reserveDailyUpload(req.user._id, req.uploadPolicy, plan.totalSize);
+    if (violation) {
+      discardImport(plan);
+      return sendPolicyViolation(res, violation);
+    }
+
+    if (!(await reserveStorage(owner, plan.totalSize))) {
+      await releaseDailyUpload(req.user._id, day, plan.totalSize);
+      discardImport(plan);
+      return res.status(400).json({
+        success: false,
+        message: 'Not enough storage space'
+      });
+    }
+    reserved = { owner, size: plan.totalSize, day };
+
+    const problem = await extractFiles(plan, req.uploadPolicy);
+    if (problem) {
+      discardImport(plan);
+      await releaseStorage(owner, plan.totalSize);
+      await releaseDailyUpload(req.user._id, day, plan.totalSize);
+      reserved = null;
+
+      return res.status(problem.status).json({
+        success: false,
+        message: problem.message,
+        data: problem.data
+      });
+    }
+
+    const { folders, fileCount } = await createImport(plan, targetFolder, owner);
+    reserved = null;
+    discardImport(plan);
+
+    for (const folder of folders) {
+      await refreshFolderTree(folder);
+    }
+    await refreshFolderStats(targetFolder && targetFolder._id);
+
+    res.status(201).json({
+      success: true,
+      message: `${plan.folders.length} folder(s) and ${fileCount} file(s) imported successfully`,
+      data: {
+        folders,
+        folderCount: plan.folders.length,
+        fileCount
+      }
+    });
+  } catch (error) {
+    console.error('Import archive error:', error);
+    removeUploadedFile(req.file);
+    if (plan) discardImport(plan);
+
+    // A failed import leaves nothing behind, so the whole reservation and
+    // daily allowance are given back
+    if (reserved) {
+      releaseStorage(reserved.owner, reserved.size)
+        .catch(releaseError => console.error('Release storage error:', releaseError));
+      releaseDailyUpload(req.user._id, reserved.day, reserved.size)
+        .catch(releaseError => console.error('Release daily upload error:', releaseError));
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during import'
+    });
+  }
+});
+
+// Move several files into a folder, or to the top level
+router.post('/move', auth, [
+  body('ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Between 1 and 100 file IDs are required'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('File ID is invalid'),
+  body('folder')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('Folder ID is invalid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const target = await findMoveTarget(req.body.folder, req.user._id);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    // Either every file is moved or none is
+    const { items, rejected } = await findMovableItems(File, req.body.ids, target, req.user._id);
+
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${rejected.length} file(s) could not be moved to this folder`,
+        data: { ids: rejected }
+      });
+    }
+
+    await File.updateMany(
+      { _id: { $in: items.map(item => item._id) } },
+      { folder: target.folder ? target.folder._id : null }
+    );
+    await refreshFolderStats(...items.map(item => item.folder), target.folder && target.folder._id);
+
+    res.json({
+      success: true,
+      message: `${items.length} file(s) moved successfully`,
+      data: { count: items.length }
+    });
+  } catch (error) {
+    console.error('Move files error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Download several files and notes as a ZIP archive
+router.post('/archive', auth, [
+  body('files')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('At most 500 file IDs are allowed'),
+  body('files.*')
+    .isMongoId()
+    .withMessage('File ID is invalid'),
+  body('notes')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('At most 500 note IDs are allowed'),
+  body('notes.*')
+    .isMongoId()
+    .withMessage('Note ID is invalid'),
+  body()
+    .custom(value => (value.files || []).length + (value.notes || []).length > 0)
+    .withMessage('At least one file or note ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const selection = { files: [], notes: [] };
+    const missing = [];
+    const blocked = [];
+
+    for (const [Model, key] of [[File, 'files'], [Note, 'notes']]) {
+      for (const id of new Set(req.body[key] || [])) {
+        const access = await findAccessible(Model, id, req.user._id);
+
+        if (!access) {
+          missing.push(id);
+        } else if (Model === File && getDownloadBlock(access.item)) {
+          blocked.push(id);
+        } else {
+          selection[key].push(access.item);
+        }
+      }
+    }
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: `${missing.length} item(s) not found`,
+        data: { ids: missing }
+      });
+    }
+
+    if (blocked.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${blocked.length} file(s) are quarantined or still being scanned`,
+        data: { ids: blocked }
+      });
+    }
+
+    const entries = getSelectionEntries(selection.files, selection.notes);
+
+    await sendArchive(res, 'archive.zip', entries);
+  } catch (error) {
+    console.error('Download archive error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
 // Update file
 router.put('/:id', auth, [
   body('name')
@@ -199,7 +612,12 @@ router.put('/:id', auth, [
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Description must be less than 500 characters')
+    .withMessage('Description must be less than 500 characters'),
+  body('versionLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Version limit must be between 0 and 100'),
+  tagsValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -211,34 +629,76 @@ router.put('/:id', auth, [
       });
     }
 
-    const file = await File.findOne({
-      _id: req.params.id,
-      owner: req.user._id
-    });
+    const access = await findAccessible(File, req.params.id, req.user._id);
 
-    if (!file) {
+    if (!access) {
       return res.status(404).json({
         success: false,
         message: 'File not found'
       });
     }
 
-    const { name, description, tags, isFavorite, folder } = req.body;
+    if (!hasRole(access.role, 'editor')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to edit this file'
+      });
+    }
+
+    const file = access.item;
+    const previousFolder = file.folder;
+    const { name, description, tags, isFavorite, folder, versionLimit } = req.body;
+
+    // Files can only move between folders of the same owner, and only
+    // the owner can move them to the top level
+    if (folder) {
+      const targetFolder = await findWritableFolder(folder, req.user._id);
+
+      if (!targetFolder || !targetFolder.owner.equals(file.owner)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Folder not found'
+        });
+      }
+    } else if (folder !== undefined && access.role !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can move this file out of its folder'
+      });
+    }
+
+    // Favorites are the owner's own
+    if (isFavorite !== undefined && access.role !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can mark this file as a favorite'
+      });
+    }
 
     // Update file fields
     if (name) file.name = name;
     if (description !== undefined) file.description = description;
-    if (tags) file.tags = tags.split(',').map(tag => tag.trim());
+    if (tags !== undefined) file.tags = await resolveTags(file.owner, tags);
     if (isFavorite !== undefined) file.isFavorite = isFavorite;
     if (folder !== undefined) file.folder = folder || null;
+    if (versionLimit !== undefined) file.versionLimit = versionLimit === null ? null : parseInt(versionLimit);
+
+    // A lower limit applies straight away to the versions already kept
+    if (versionLimit !== undefined) {
+      const freedSize = await pruneVersions(file);
+      await releaseStorage(file.owner, freedSize);
+    }
 
     await file.save();
+    if (folder !== undefined) {
+      await refreshFolderStats(previousFolder, file.folder);
+    }
     await file.populate('folder', 'name path');
 
     res.json({
       success: true,
       message: 'File updated successfully',
-      data: { file }
+      data: { file: withFileUrl(file, req.user._id) }
     });
   } catch (error) {
     console.error('Update file error:', error);
@@ -249,36 +709,31 @@ router.put('/:id', auth, [
   }
 });
 
-// Delete file
+// Delete file (moves it to the trash)
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const file = await File.findOne({
-      _id: req.params.id,
-      owner: req.user._id
-    });
+    const access = await findAccessible(File, req.params.id, req.user._id);
 
-    if (!file) {
+    if (!access) {
       return res.status(404).json({
         success: false,
         message: 'File not found'
       });
     }
 
-    // Delete physical file
-    if (fs.existsSync(file.path)) {
-      fs.unlinkSync(file.path);
+    if (!hasRole(access.role, 'editor')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this file'
+      });
     }
 
-    // Update user storage
-    req.user.storageUsed = Math.max(0, req.user.storageUsed - file.size);
-    await req.user.save();
-
-    // Delete from database
-    await File.findByIdAndDelete(file._id);
+    // Trashed files go to their owner's trash
+    await trashItem(access.item);
 
     res.json({
       success: true,
-      message: 'File deleted successfully'
+      message: 'File moved to trash'
     });
   } catch (error) {
     console.error('Delete file error:', error);
@@ -289,40 +744,89 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// Get a signed link to a file's data
+router.get('/:id/url', auth, async (req, res) => {
+  try {
+    const access = await findAccessible(File, req.params.id, req.user._id);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const file = access.item;
+    const expiresIn = Math.min(
+      Math.max(parseInt(req.query.expiresIn) || getDefaultTTL(), 60),
+      MAX_LINK_TTL
+    );
+
+    // Links are bound to the requesting user unless an open link is asked for
+    const url = createFileUrl(file._id, {
+      userId: req.query.bind === 'false' ? undefined : req.user._id,
+      expiresIn
+    });
+
+    res.json({
+      success: true,
+      data: {
+        url,
+        expiresAt: new Date(Date.now() + expiresIn * 1000)
+      }
+    });
+  } catch (error) {
+    console.error('Get file url error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Download file
 router.get('/:id/download', auth, async (req, res) => {
   try {
-    const file = await File.findOne({
-      _id: req.params.id,
-      owner: req.user._id
-    });
+    const access = await findAccessible(File, req.params.id, req.user._id);
 
-    if (!file) {
+    if (!access) {
       return res.status(404).json({
         success: false,
         message: 'File not found'
       });
     }
 
-    if (!fs.existsSync(file.path)) {
+    const file = access.item;
+
+    // Pending and infected content is held back
+    const block = getDownloadBlock(file);
+    if (block) {
+      return res.status(block.status).json({
+        success: false,
+        message: block.message,
+        data: block.data
+      });
+    }
+
+    const download = await openDownload(req, file);
+    if (!download) {
       return res.status(404).json({
         success: false,
         message: 'Physical file not found'
       });
     }
 
-    // Update download count
-    file.downloadCount += 1;
-    file.lastAccessed = new Date();
-    await file.save();
-
-    // Set headers for download
-    res.setHeader('Content-Disposition', `attachment; filename="${file.originalName}"`);
-    res.setHeader('Content-Type', file.mimeType);
+    // Update download count, once per download rather than per range
+    // request, without counting it as a change to the file
+    if (download.isNewDownload) {
+      await File.updateOne(
+        { _id: file._id },
+        { $inc: { downloadCount: 1 }, lastAccessed: new Date() },
+        { timestamps: false }
+      );
+    }
 
-    // Stream file
-    const fileStream = fs.createReadStream(file.path);
-    fileStream.pipe(res);
+    sendDownload(res, file, download);
   } catch (error) {
     console.error('Download file error:', error);
     res.status(500).json({
@@ -332,23 +836,128 @@ router.get('/:id/download', auth, async (req, res) => {
   }
 });
 
+// Get the preview state of a file: its thumbnail sizes, or a snippet of
+// the start of text files
+router.get('/:id/preview', auth, async (req, res) => {
+  try {
+    const access = await findAccessible(File, req.params.id, req.user._id);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const preview = await getPreview(access.item);
+
+    if (!preview) {
+      return res.status(404).json({
+        success: false,
+        message: 'No preview is available for this file type'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: preview.status,
+        thumbnails: preview.thumbnails.map(({ size, width, height }) => ({ size, width, height })),
+        snippet: preview.snippet
+      }
+    });
+  } catch (error) {
+    console.error('Get file preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get a thumbnail of an image or PDF file
+router.get('/:id/thumbnail', auth, [
+  query('size')
+    .optional()
+    .isIn(Object.keys(THUMBNAIL_SIZES))
+    .withMessage(`Size must be one of: ${Object.keys(THUMBNAIL_SIZES).join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const access = await findAccessible(File, req.params.id, req.user._id);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const file = access.item;
+    const preview = await getPreview(file);
+
+    // Thumbnails are generated in the background; ask the client to retry
+    if (preview && preview.status === 'pending') {
+      res.setHeader('Retry-After', '5');
+      return res.status(202).json({
+        success: true,
+        message: 'Thumbnail is being generated',
+        data: { status: preview.status }
+      });
+    }
+
+    const stream = preview && await openThumbnail(file, req.query.size || 'medium');
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        message: 'No thumbnail is available for this file'
+      });
+    }
+
+    res.setHeader('Content-Type', 'image/webp');
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Get file thumbnail error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Duplicate file
 router.post('/:id/duplicate', auth, async (req, res) => {
   try {
-    const originalFile = await File.findOne({
-      _id: req.params.id,
-      owner: req.user._id
-    });
+    const access = await findAccessible(File, req.params.id, req.user._id);
 
-    if (!originalFile) {
+    if (!access) {
       return res.status(404).json({
         success: false,
         message: 'File not found'
       });
     }
 
-    // Check storage limit
-    if (!req.user.hasEnoughStorage(originalFile.size)) {
+    if (!hasRole(access.role, 'editor')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to duplicate this file'
+      });
+    }
+
+    // The copy sits next to the original, so it has the same owner
+    const originalFile = access.item;
+
+    // Reserve storage for the copy
+    if (!(await reserveStorage(originalFile.owner, originalFile.size))) {
       return res.status(400).json({
         success: false,
         message: 'Not enough storage space'
@@ -360,40 +969,26 @@ router.post('/:id/duplicate', auth, async (req, res) => {
     const nameWithoutExt = path.basename(originalFile.originalName, ext);
     let duplicateName = `${nameWithoutExt} (Copy)${ext}`;
     
-    // Copy physical file
-    const userDir = path.join('uploads', req.user._id.toString());
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const newFileName = `${nameWithoutExt}-copy-${uniqueSuffix}${ext}`;
-    const newFilePath = path.join(userDir, newFileName);
-
-    fs.copyFileSync(originalFile.path, newFilePath);
-
-    // Create duplicate file record
-    const duplicateFile = new File({
-      name: newFileName,
-      originalName: duplicateName,
-      type: originalFile.type,
-      mimeType: originalFile.mimeType,
-      size: originalFile.size,
-      path: newFilePath,
-      url: `/uploads/${req.user._id}/${newFileName}`,
-      owner: req.user._id,
-      folder: originalFile.folder,
-      tags: [...originalFile.tags],
-      description: originalFile.description
-    });
-
-    await duplicateFile.save();
-    await duplicateFile.populate('folder', 'name path');
+    // Create duplicate file record, sharing the stored data instead of
+    // copying it
+    let duplicateFile;
+    try {
+      duplicateFile = await copyFile(originalFile, {
+        name: duplicateName,
+        originalName: duplicateName
+      });
+    } catch (error) {
+      await releaseStorage(originalFile.owner, originalFile.size);
+      throw error;
+    }
 
-    // Update user storage
-    req.user.storageUsed += originalFile.size;
-    await req.user.save();
+    await refreshFolderStats(duplicateFile.folder);
+    await duplicateFile.populate('folder', 'name path');
 
     res.status(201).json({
       success: true,
       message: 'File duplicated successfully',
-      data: { file: duplicateFile }
+      data: { file: withFileUrl(duplicateFile, req.user._id) }
     });
   } catch (error) {
     console.error('Duplicate file error:', error);
@@ -404,12 +999,285 @@ router.post('/:id/duplicate', auth, async (req, res) => {
   }
 });
 
-// Helper function to determine file type
-function getFileType(mimeType) {
-  if (mimeType.startsWith('image/')) return 'image';
-  if (mimeType === 'application/pdf') return 'pdf';
-  if (mimeType.includes('document') || mimeType.includes('text')) return 'document';
-  return 'other';
+// Get file versions
+router.get('/:id/versions', auth, async (req, res) => {
+  try {
+    const access = await findAccessible(File, req.params.id, req.user._id);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const file = access.item;
+    const versions = await FileVersion.find({ file: file._id })
+      .sort({ version: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        current: {
+          version: file.version,
+          originalName: file.originalName,
+          mimeType: file.mimeType,
+          size: file.size,
+          updatedAt: file.updatedAt
+        },
+        versions: versions.map(version => withVersionUrl(version, req.user._id)),
+        versionLimit: file.getVersionLimit()
+      }
+    });
+  } catch (error) {
+    console.error('Get file versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Upload new version of a file
+router.post('/:id/versions', auth, upload.single('file'), handleMulterError, async (req, res) => {
+  // Storage reserved for the new version until it is saved
+  let reserved = null;
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const access = await findAccessible(File, req.params.id, req.user._id);
+
+    if (!access) {
+      removeUploadedFile(req.file);
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (!hasRole(access.role, 'editor')) {
+      removeUploadedFile(req.file);
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to edit this file'
+      });
+    }
+
+    const file = access.item;
+
+    // Check what the new version really contains
+    const { mimeType, mismatch, action } = inspectUpload(req.file.path, req.file.mimetype);
+    if (action === 'reject') {
+      removeUploadedFile(req.file);
+      return res.status(400).json({
+        success: false,
+        message: 'File content does not match its declared type',
+        data: { reason: mismatch }
+      });
+    }
+
+    const { violation, day } = await reserveDailyUpload(req.user._id, req.uploadPolicy, req.file.size);
+    if (violation) {
+      removeUploadedFile(req.file);
+      return sendPolicyViolation(res, violation);
+    }
+
+    // Reserve storage for the new version
+    if (!(await reserveStorage(file.owner, req.file.size))) {
+      await releaseDailyUpload(req.user._id, day, req.file.size);
+      removeUploadedFile(req.file);
+      return res.status(400).json({
+        success: false,
+        message: 'Not enough storage space'
+      });
+    }
+    reserved = { owner: file.owner, size: req.file.size, day };
+
+    const content = await ingestUpload(req.file.path, mimeType);
+
+    // Keep the current content as a previous version
+    const previousVersion = FileVersion.fromFile(file);
+    await previousVersion.save();
+
+    Object.assign(file, content, { quarantineReason: mismatch, scan: getPendingScan() });
+    file.version += 1;
+
+    const freedSize = await pruneVersions(file);
+    await file.save();
+    reserved = null;
+
+    // Versions dropped beyond the retention limit free their storage
+    await releaseStorage(file.owner, freedSize);
+    await refreshFolderStats(file.folder);
+    requestScan(file);
+    await file.populate('folder', 'name path');
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${file.version} uploaded successfully`,
+      data: { file: withFileUrl(file, req.user._id) }
+    });
+  } catch (error) {
+    console.error('Upload file version error:', error);
+    removeUploadedFile(req.file);
+
+    if (reserved) {
+      releaseStorage(reserved.owner, reserved.size)
+        .catch(releaseError => console.error('Release storage error:', releaseError));
+      releaseDailyUpload(req.user._id, reserved.day, reserved.size)
+        .catch(releaseError => console.error('Release daily upload error:', releaseError));
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during file upload'
+    });
+  }
+});
+
+// Download a previous version of a file
+router.get('/:id/versions/:versionId/download', auth, async (req, res) => {
+  try {
+    const access = await findAccessible(File, req.params.id, req.user._id);
+
+    const version = access && await FileVersion.findOne({
+      _id: req.params.versionId,
+      file: access.item._id
+    });
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    // Pending and infected content is held back
+    const block = getDownloadBlock(version);
+    if (block) {
+      return res.status(block.status).json({
+        success: false,
+        message: block.message,
+        data: block.data
+      });
+    }
+
+    const download = await openDownload(req, version);
+    if (!download) {
+      return res.status(404).json({
+        success: false,
+        message: 'Physical file not found'
+      });
+    }
+
+    sendDownload(res, version, download);
+  } catch (error) {
+    console.error('Download file version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Restore a previous version as the current one
+router.post('/:id/versions/:versionId/restore', auth, async (req, res) => {
+  try {
+    const access = await findAccessible(File, req.params.id, req.user._id);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (!hasRole(access.role, 'editor')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to edit this file'
+      });
+    }
+
+    const file = access.item;
+    const version = await FileVersion.findOne({
+      _id: req.params.versionId,
+      file: file._id
+    });
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    // The restored content moves out of the history and becomes a new
+    // current version, so no bytes are copied and storage is unchanged. The
+    // current content is recorded first and the restored version only
+    // removed once the file holds it, so a failure loses neither.
+    const previousVersion = FileVersion.fromFile(file);
+    await previousVersion.save();
+
+    try {
+      for (const field of FileVersion.CONTENT_FIELDS) {
+        file[field] = version[field];
+      }
+      file.version += 1;
+
+      await file.save();
+    } catch (error) {
+      await FileVersion.findByIdAndDelete(previousVersion._id)
+        .catch(rollbackError => console.error('Roll back version error:', rollbackError));
+      throw error;
+    }
+
+    await FileVersion.findByIdAndDelete(version._id);
+    await refreshFolderStats(file.folder);
+    requestScan(file);
+    queuePreview(file);
+    queueTextIndex(file);
+    await file.populate('folder', 'name path');
+
+    res.json({
+      success: true,
+      message: `Version ${version.version} restored as version ${file.version}`,
+      data: { file: withFileUrl(file, req.user._id) }
+    });
+  } catch (error) {
+    console.error('Restore file version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Helper function to start generating the preview of new content without
+// holding up the response
+function queuePreview(file) {
+  requestPreview(file)
+    .catch(error => console.error('Request preview error:', error));
+}
+
+// Helper function to start extracting the text of new content without
+// holding up the response
+function queueTextIndex(file) {
+  requestTextIndex(file)
+    .catch(error => console.error('Request text index error:', error));
+}
+
+// Helper function to remove a file multer already wrote to disk
+function removeUploadedFile(file) {
+  if (file && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path);
+  }
 }
 
 module.exports = router;
\ No newline at end of file
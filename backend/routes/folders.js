@@ -1,38 +1,165 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Folder = require('../models/Folder');
 const File = require('../models/File');
 const Note = require('../models/Note');
+const FolderCopy = require('../models/FolderCopy');
+const SmartFolder = require('../models/SmartFolder');
 const auth = require('../middleware/auth');
+const {
+  containsText,
+  listQuery,
+  sortQuery,
+  getSortKeys,
+  toSort,
+  applyCursor,
+  takePage,
+  getPagination
+} = require('../middleware/listQuery');
+const { trashFolder } = require('../services/trash');
+const { withFileUrl } = require('../services/signedUrls');
+const { hasRole, findAccessible, findWritableFolder } = require('../services/access');
+const { reserveStorage } = require('../services/quota');
+const {
+  buildPath,
+  isInSubtree,
+  rewriteDescendantPaths,
+  moveFolder,
+  findMoveTarget,
+  getSubtreeStats,
+  runFolderCopy
+} = require('../services/folders');
+const { refreshFolderStats } = require('../services/folderStats');
+const { getFolderEntries, sendArchive } = require('../services/archives');
+const { tagsValidation, resolveTags } = require('../services/tags');
 
 const router = express.Router();
 
+// Fields folder listings can be sorted by
+const sortFields = ['createdAt', 'updatedAt', 'name', 'size', 'itemCount', 'totalSize', 'totalItemCount'];
+
+const listValidation = [
+  ...listQuery({ ids: ['parentFolder'] }),
+  ...sortQuery(sortFields),
+  query(['minSize', 'maxSize'])
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Size filters must be a number of bytes')
+];
+
+// Helper function to get the sort order and size filter of a folder
+// listing. Sizes filter on the size of the whole subtree.
+function getListOptions({ sort = 'createdAt', order = 'desc', minSize, maxSize }) {
+  const filter = {};
+
+  if (minSize !== undefined || maxSize !== undefined) {
+    filter.totalSize = {};
+    if (minSize !== undefined) filter.totalSize.$gte = parseInt(minSize);
+    if (maxSize !== undefined) filter.totalSize.$lte = parseInt(maxSize);
+  }
+
+  return {
+    filter,
+    sortKeys: getSortKeys(sort, order)
+  };
+}
+
+// Get how many items a folder may hold to be duplicated within the request.
+// Larger folders are copied in the background.
+function getSyncCopyLimit() {
+  const limit = parseInt(process.env.FOLDER_COPY_SYNC_LIMIT);
+  return isNaN(limit) ? 100 : limit;
+}
+
 // Get all folders for user
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, listValidation, async (req, res) => {
   try {
-    const { parentFolder, search, favorite } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { parentFolder, search, favorite, cursor } = req.query;
+    const { filter, sortKeys } = getListOptions(req.query);
+
+    // Folders are only paged when a limit or cursor is given
+    const paged = req.query.limit !== undefined || cursor !== undefined;
+    const { page, limit, skip } = getPagination(req.query);
     
-    let query = { owner: req.user._id };
+    let query = { owner: req.user._id, ...filter };
     
     if (parentFolder) {
       query.parentFolder = parentFolder === 'root' ? null : parentFolder;
     }
+
+    // Subfolders of a folder shared with the user belong to its owner
+    if (parentFolder && parentFolder !== 'root') {
+      const access = await findAccessible(Folder, parentFolder, req.user._id);
+      if (access) query.owner = access.item.owner;
+    }
     
     if (search) {
-      query.name = { $regex: search, $options: 'i' };
+      query.name = containsText(search);
     }
     
     if (favorite === 'true') {
       query.isFavorite = true;
     }
 
-    const folders = await Folder.find(query)
+    // A cursor picks up after the last folder of the previous page
+    const pageQuery = cursor ? applyCursor(query, sortKeys, cursor) : query;
+    if (!pageQuery) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cursor does not match the sort order'
+      });
+    }
+
+    // The user's smart folders are listed next to the real ones, on the
+    // first page only
+    const firstPage = !paged || (!cursor && page === 1);
+    const smartQuery = { owner: req.user._id };
+    if (query.parentFolder !== undefined) smartQuery.parentFolder = query.parentFolder;
+    if (query.name) smartQuery.name = query.name;
+    if (query.isFavorite) smartQuery.isFavorite = true;
+
+    const folderQuery = Folder.find(pageQuery)
       .populate('owner', 'username email')
-      .sort({ createdAt: -1 });
+      .sort(toSort(sortKeys));
+    if (paged) folderQuery.skip(cursor ? 0 : skip).limit(limit + 1);
+
+    const [found, smartFolders, total] = await Promise.all([
+      folderQuery,
+      firstPage ? SmartFolder.find(smartQuery).sort({ name: 1 }) : [],
+      paged ? Folder.countDocuments(query) : null
+    ]);
+
+    if (!paged) {
+      return res.json({
+        success: true,
+        data: { folders: found, smartFolders }
+      });
+    }
+
+    const { items: folders, nextCursor } = takePage(found, sortKeys, limit);
 
     res.json({
       success: true,
-      data: { folders }
+      data: {
+        folders,
+        smartFolders,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: folders.length,
+          totalFolders: total,
+          nextCursor
+        }
+      }
     });
   } catch (error) {
     console.error('Get folders error:', error);
@@ -44,34 +171,48 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Get folder by ID
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, listValidation, async (req, res) => {
   try {
-    const folder = await Folder.findOne({
-      _id: req.params.id,
-      owner: req.user._id
-    }).populate('owner', 'username email');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const access = await findAccessible(Folder, req.params.id, req.user._id);
 
-    if (!folder) {
+    if (!access) {
       return res.status(404).json({
         success: false,
         message: 'Folder not found'
       });
     }
 
+    const folder = access.item;
+    const { filter, sortKeys } = getListOptions(req.query);
+
     // Get folder contents
-    const [subfolders, files, notes] = await Promise.all([
-      Folder.find({ parentFolder: folder._id, owner: req.user._id }),
-      File.find({ folder: folder._id, owner: req.user._id }),
-      Note.find({ folder: folder._id, owner: req.user._id })
+    const [subfolders, smartFolders, files, notes] = await Promise.all([
+      Folder.find({ parentFolder: folder._id, owner: folder.owner, ...filter }).sort(toSort(sortKeys)),
+      SmartFolder.find({ parentFolder: folder._id, owner: req.user._id }).sort({ name: 1 }),
+      File.find({ folder: folder._id, owner: folder.owner }),
+      Note.find({ folder: folder._id, owner: folder.owner })
     ]);
 
+    await folder.populate('owner', 'username email');
+
     res.json({
       success: true,
       data: {
+        role: access.role,
         folder,
         contents: {
           subfolders,
-          files,
+          smartFolders,
+          files: files.map(file => withFileUrl(file, req.user._id)),
           notes
         }
       }
@@ -85,6 +226,35 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// Download a folder and everything in it as a ZIP archive
+router.get('/:id/archive', auth, async (req, res) => {
+  try {
+    const access = await findAccessible(Folder, req.params.id, req.user._id);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    const folder = access.item;
+    const entries = await getFolderEntries(folder);
+
+    await sendArchive(res, `${folder.name}.zip`, entries);
+  } catch (error) {
+    console.error('Download folder archive error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
 // Create folder
 router.post('/', auth, [
   body('name')
@@ -95,7 +265,8 @@ router.post('/', auth, [
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Description must be less than 500 characters')
+    .withMessage('Description must be less than 500 characters'),
+  tagsValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -107,12 +278,26 @@ router.post('/', auth, [
       });
     }
 
-    const { name, description, parentFolder, color } = req.body;
+    const { name, description, parentFolder, color, tags } = req.body;
+
+    // Folders created in a shared folder belong to the folder's owner
+    let parent = null;
+    if (parentFolder) {
+      parent = await findWritableFolder(parentFolder, req.user._id);
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent folder not found'
+        });
+      }
+    }
+    const owner = parent ? parent.owner : req.user._id;
 
     // Check if folder with same name exists in same parent
     const existingFolder = await Folder.findOne({
       name,
-      owner: req.user._id,
+      owner,
       parentFolder: parentFolder || null
     });
 
@@ -124,33 +309,20 @@ router.post('/', auth, [
     }
 
     // Build path
-    let path = name;
-    if (parentFolder) {
-      const parent = await Folder.findOne({
-        _id: parentFolder,
-        owner: req.user._id
-      });
-      
-      if (!parent) {
-        return res.status(404).json({
-          success: false,
-          message: 'Parent folder not found'
-        });
-      }
-      
-      path = `${parent.path}/${name}`;
-    }
+    const path = buildPath(parent, name);
 
     const folder = new Folder({
       name,
       description,
-      owner: req.user._id,
+      owner,
       parentFolder: parentFolder || null,
       path,
-      color: color || '#3B82F6'
+      color: color || '#3B82F6',
+      tags: await resolveTags(owner, tags)
     });
 
     await folder.save();
+    await refreshFolderStats(folder.parentFolder);
     await folder.populate('owner', 'username email');
 
     res.status(201).json({
@@ -178,7 +350,8 @@ router.put('/:id', auth, [
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Description must be less than 500 characters')
+    .withMessage('Description must be less than 500 characters'),
+  tagsValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -190,25 +363,38 @@ router.put('/:id', auth, [
       });
     }
 
-    const folder = await Folder.findOne({
-      _id: req.params.id,
-      owner: req.user._id
-    });
+    const access = await findAccessible(Folder, req.params.id, req.user._id);
 
-    if (!folder) {
+    if (!access) {
       return res.status(404).json({
         success: false,
         message: 'Folder not found'
       });
     }
 
-    const { name, description, color, isFavorite } = req.body;
+    if (!hasRole(access.role, 'editor')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to edit this folder'
+      });
+    }
+
+    const folder = access.item;
+    const { name, description, color, isFavorite, tags } = req.body;
+
+    // Favorites are the owner's own
+    if (isFavorite !== undefined && access.role !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can mark this folder as a favorite'
+      });
+    }
 
     // If name is being changed, check for duplicates
     if (name && name !== folder.name) {
       const existingFolder = await Folder.findOne({
         name,
-        owner: req.user._id,
+        owner: folder.owner,
         parentFolder: folder.parentFolder,
         _id: { $ne: folder._id }
       });
@@ -227,15 +413,7 @@ router.put('/:id', auth, [
       folder.path = pathParts.join('/');
 
       // Update paths of all subfolders
-      const subfolders = await Folder.find({
-        owner: req.user._id,
-        path: { $regex: `^${oldPath}/` }
-      });
-
-      for (const subfolder of subfolders) {
-        subfolder.path = subfolder.path.replace(oldPath, folder.path);
-        await subfolder.save();
-      }
+      await rewriteDescendantPaths(folder, oldPath);
     }
 
     // Update folder fields
@@ -243,6 +421,7 @@ router.put('/:id', auth, [
     if (description !== undefined) folder.description = description;
     if (color) folder.color = color;
     if (isFavorite !== undefined) folder.isFavorite = isFavorite;
+    if (tags !== undefined) folder.tags = await resolveTags(folder.owner, tags);
 
     await folder.save();
     await folder.populate('owner', 'username email');
@@ -261,26 +440,129 @@ router.put('/:id', auth, [
   }
 });
 
-// Delete folder
-router.delete('/:id', auth, async (req, res) => {
+// Move folder under another parent folder, or to the top level
+router.post('/:id/move', auth, [
+  body('parentFolder')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('Parent folder ID is invalid')
+], async (req, res) => {
   try {
-    const folder = await Folder.findOne({
-      _id: req.params.id,
-      owner: req.user._id
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const access = await findAccessible(Folder, req.params.id, req.user._id);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    if (!hasRole(access.role, 'editor')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to move this folder'
+      });
+    }
+
+    const folder = access.item;
+    const target = await findMoveTarget(req.body.parentFolder, req.user._id);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent folder not found'
+      });
+    }
+
+    if (!target.owner.equals(folder.owner)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Folders can only be moved between folders of the same owner'
+      });
+    }
+
+    const parentId = target.folder ? target.folder._id : null;
+
+    // A folder cannot end up inside its own subtree
+    if (parentId && await isInSubtree(parentId, folder._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A folder cannot be moved into itself or one of its subfolders'
+      });
+    }
+
+    if (String(folder.parentFolder) !== String(parentId)) {
+      // Check if folder with same name exists in the destination
+      const existingFolder = await Folder.findOne({
+        name: folder.name,
+        owner: folder.owner,
+        parentFolder: parentId,
+        _id: { $ne: folder._id }
+      });
+
+      if (existingFolder) {
+        return res.status(400).json({
+          success: false,
+          message: 'Folder with this name already exists in this location'
+        });
+      }
+
+      const previousParent = folder.parentFolder;
+      await moveFolder(folder, target.folder);
+      await refreshFolderStats(previousParent, folder.parentFolder);
+    }
+
+    await folder.populate('owner', 'username email');
+
+    res.json({
+      success: true,
+      message: 'Folder moved successfully',
+      data: { folder }
+    });
+  } catch (error) {
+    console.error('Move folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
     });
+  }
+});
 
-    if (!folder) {
+// Delete folder (moves it to the trash)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const access = await findAccessible(Folder, req.params.id, req.user._id);
+
+    if (!access) {
       return res.status(404).json({
         success: false,
         message: 'Folder not found'
       });
     }
 
+    if (!hasRole(access.role, 'editor')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this folder'
+      });
+    }
+
+    const folder = access.item;
+
     // Check if folder has contents
     const [subfolders, files, notes] = await Promise.all([
-      Folder.countDocuments({ parentFolder: folder._id, owner: req.user._id }),
-      File.countDocuments({ folder: folder._id, owner: req.user._id }),
-      Note.countDocuments({ folder: folder._id, owner: req.user._id })
+      Folder.countDocuments({ parentFolder: folder._id, owner: folder.owner }),
+      File.countDocuments({ folder: folder._id, owner: folder.owner }),
+      Note.countDocuments({ folder: folder._id, owner: folder.owner })
     ]);
 
     const totalItems = subfolders + files + notes;
@@ -293,12 +575,12 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // Delete folder and all its contents recursively
-    await deleteFolder(folder._id, req.user._id);
+    // Move folder and all its contents to the owner's trash
+    await trashFolder(folder);
 
     res.json({
       success: true,
-      message: 'Folder deleted successfully'
+      message: 'Folder moved to trash'
     });
   } catch (error) {
     console.error('Delete folder error:', error);
@@ -309,73 +591,120 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// Helper function to recursively delete folder and contents
-async function deleteFolder(folderId, userId) {
-  // Get all subfolders
-  const subfolders = await Folder.find({ parentFolder: folderId, owner: userId });
-  
-  // Recursively delete subfolders
-  for (const subfolder of subfolders) {
-    await deleteFolder(subfolder._id, userId);
+// Get the progress of a folder duplication
+router.get('/copies/:copyId', auth, async (req, res) => {
+  try {
+    const copy = await FolderCopy.findOne({
+      _id: req.params.copyId,
+      user: req.user._id
+    }).populate('folder', 'name path');
+
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder copy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { copy }
+    });
+  } catch (error) {
+    console.error('Get folder copy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
   }
-  
-  // Delete files in folder
-  await File.deleteMany({ folder: folderId, owner: userId });
-  
-  // Delete notes in folder
-  await Note.deleteMany({ folder: folderId, owner: userId });
-  
-  // Delete the folder itself
-  await Folder.findByIdAndDelete(folderId);
-}
+});
 
-// Duplicate folder
+// Duplicate folder, with everything in it
 router.post('/:id/duplicate', auth, async (req, res) => {
   try {
-    const originalFolder = await Folder.findOne({
-      _id: req.params.id,
-      owner: req.user._id
-    });
+    const access = await findAccessible(Folder, req.params.id, req.user._id);
 
-    if (!originalFolder) {
+    if (!access) {
       return res.status(404).json({
         success: false,
         message: 'Folder not found'
       });
     }
 
+    if (!hasRole(access.role, 'editor')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to duplicate this folder'
+      });
+    }
+
+    // The copy sits next to the original, so it has the same owner
+    const originalFolder = access.item;
+
     // Create duplicate name
     let duplicateName = `${originalFolder.name} (Copy)`;
     let counter = 1;
     
     while (await Folder.findOne({
       name: duplicateName,
-      owner: req.user._id,
+      owner: originalFolder.owner,
       parentFolder: originalFolder.parentFolder
     })) {
       duplicateName = `${originalFolder.name} (Copy ${counter})`;
       counter++;
     }
 
-    // Create duplicate folder
-    const duplicateFolder = new Folder({
-      name: duplicateName,
-      description: originalFolder.description,
-      owner: req.user._id,
-      parentFolder: originalFolder.parentFolder,
-      path: originalFolder.parentFolder 
-        ? `${originalFolder.path.split('/').slice(0, -1).join('/')}/${duplicateName}`
-        : duplicateName,
-      color: originalFolder.color
+    // Reserve storage for everything that will be copied before starting
+    const { itemCount, totalSize } = await getSubtreeStats(originalFolder);
+
+    if (!(await reserveStorage(originalFolder.owner, totalSize))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Not enough storage space'
+      });
+    }
+
+    const copy = new FolderCopy({
+      user: req.user._id,
+      owner: originalFolder.owner,
+      source: originalFolder._id,
+      totalItems: itemCount,
+      totalSize
     });
+    await copy.save();
+
+    const copying = runFolderCopy(copy, originalFolder, duplicateName);
+
+    // Large folders are copied in the background; the client polls the
+    // copy for progress
+    if (itemCount > getSyncCopyLimit()) {
+      copying.catch(error => console.error('Folder copy error:', error));
+      return res.status(202)
+        .set('Location', `${req.baseUrl}/copies/${copy._id}`)
+        .json({
+          success: true,
+          message: 'Folder duplication started',
+          data: { copy }
+        });
+    }
+
+    await copying;
+
+    if (copy.status === 'failed') {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error during folder duplication',
+        data: { copy }
+      });
+    }
 
-    await duplicateFolder.save();
-    await duplicateFolder.populate('owner', 'username email');
+    const duplicateFolder = await Folder.findById(copy.folder)
+      .populate('owner', 'username email');
 
     res.status(201).json({
       success: true,
       message: 'Folder duplicated successfully',
-      data: { folder: duplicateFolder }
+      data: { folder: duplicateFolder, copy }
     });
   } catch (error) {
     console.error('Duplicate folder error:', error);
@@ -0,0 +1,282 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Grant = require('../models/Grant');
+const User = require('../models/User');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const Note = require('../models/Note');
+const auth = require('../middleware/auth');
+const { listQuery } = require('../middleware/listQuery');
+const { findAccessible, getFolderChain, getParentId } = require('../services/access');
+const { withFileUrl } = require('../services/signedUrls');
+
+const router = express.Router();
+
+// Resource types accepted by the API, mapped to their models
+const resourceModels = {
+  file: File,
+  folder: Folder,
+  note: Note
+};
+
+const resourceValidation = (location) => [
+  location('resourceType')
+    .isIn(Object.keys(resourceModels))
+    .withMessage('Resource type must be file, folder or note'),
+  location('resourceId')
+    .isMongoId()
+    .withMessage('Resource ID is invalid')
+];
+
+const roleValidation = body('role')
+  .isIn(Grant.ROLES)
+  .withMessage(`Role must be one of: ${Grant.ROLES.join(', ')}`);
+
+// Get everything other users have shared with the current user
+router.get('/shared-with-me', auth, async (req, res) => {
+  try {
+    const grants = await Grant.find({ grantee: req.user._id })
+      .populate('resource')
+      .populate('owner', 'username email')
+      .sort({ createdAt: -1 });
+
+    const shared = { folders: [], files: [], notes: [] };
+
+    for (const grant of grants) {
+      // Trashed items drop out of the listing until they are restored
+      if (!grant.resource) continue;
+
+      const key = `${grant.resourceModel.toLowerCase()}s`;
+      const resource = grant.resourceModel === 'File'
+        ? withFileUrl(grant.resource, req.user._id)
+        : grant.resource.toJSON();
+      shared[key].push({
+        ...resource,
+        role: grant.role,
+        sharedBy: grant.owner,
+        sharedAt: grant.createdAt
+      });
+    }
+
+    res.json({
+      success: true,
+      data: shared
+    });
+  } catch (error) {
+    console.error('Get shared with me error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get the users who have access to an item
+router.get('/', auth, listQuery(), resourceValidation(query), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { resourceType, resourceId } = req.query;
+    const access = await findAccessible(resourceModels[resourceType], resourceId, req.user._id);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: `${resourceModels[resourceType].modelName} not found`
+      });
+    }
+
+    // Grants on the folders above the item apply to it as well
+    const folderIds = await getFolderChain(getParentId(access.item));
+
+    const [grants, inheritedGrants] = await Promise.all([
+      Grant.find({ resource: access.item._id })
+        .populate('grantee', 'username email')
+        .sort({ createdAt: 1 }),
+      Grant.find({ resource: { $in: folderIds } })
+        .populate('grantee', 'username email')
+        .populate('resource', 'name path')
+        .sort({ createdAt: 1 })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        role: access.role,
+        grants,
+        inheritedGrants
+      }
+    });
+  } catch (error) {
+    console.error('Get grants error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Share an item with another user, or change the role they already have
+router.post('/', auth, [
+  ...resourceValidation(body),
+  body('user')
+    .trim()
+    .notEmpty()
+    .withMessage('User email or username is required'),
+  roleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { resourceType, resourceId, user, role } = req.body;
+    const Model = resourceModels[resourceType];
+
+    const resource = await Model.findOne({
+      _id: resourceId,
+      owner: req.user._id
+    });
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: `${Model.modelName} not found`
+      });
+    }
+
+    const grantee = await User.findOne({
+      $or: [{ email: user.toLowerCase() }, { username: user }]
+    });
+
+    if (!grantee) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (grantee._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot share an item with yourself'
+      });
+    }
+
+    let grant = await Grant.findOne({ resource: resource._id, grantee: grantee._id });
+    const isNew = !grant;
+
+    if (isNew) {
+      grant = new Grant({
+        owner: req.user._id,
+        grantee: grantee._id,
+        resourceModel: Model.modelName,
+        resource: resource._id,
+        role
+      });
+    } else {
+      grant.role = role;
+    }
+
+    await grant.save();
+    await grant.populate('grantee', 'username email');
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Item shared successfully' : 'Access updated successfully',
+      data: { grant }
+    });
+  } catch (error) {
+    console.error('Create grant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Change the role of a grant
+router.put('/:id', auth, [roleValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const grant = await Grant.findOne({
+      _id: req.params.id,
+      owner: req.user._id
+    });
+
+    if (!grant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grant not found'
+      });
+    }
+
+    grant.role = req.body.role;
+    await grant.save();
+    await grant.populate('grantee', 'username email');
+
+    res.json({
+      success: true,
+      message: 'Access updated successfully',
+      data: { grant }
+    });
+  } catch (error) {
+    console.error('Update grant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Revoke a grant. Owners revoke access; grantees can remove themselves.
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const grant = await Grant.findOne({
+      _id: req.params.id,
+      $or: [{ owner: req.user._id }, { grantee: req.user._id }]
+    });
+
+    if (!grant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grant not found'
+      });
+    }
+
+    await Grant.findByIdAndDelete(grant._id);
+
+    res.json({
+      success: true,
+      message: 'Access revoked successfully'
+    });
+  } catch (error) {
+    console.error('Delete grant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,66 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Note = require('../models/Note');
+const Folder = require('../models/Folder');
 const auth = require('../middleware/auth');
+const {
+  listQuery,
+  sortQuery,
+  getSortKeys,
+  toSort,
+  applyCursor,
+  takePage,
+  getPagination
+} = require('../middleware/listQuery');
+const { trashItem } = require('../services/trash');
+const { hasRole, findAccessible, findWritableFolder } = require('../services/access');
+const { findMoveTarget, findMovableItems } = require('../services/folders');
+const { refreshFolderStats } = require('../services/folderStats');
+const { tagsValidation, resolveTags } = require('../services/tags');
 
 const router = express.Router();
 
+// Fields note listings can be sorted by, mapped to the note field
+const sortFields = {
+  name: 'title',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  lastAccessed: 'lastAccessed'
+};
+
 // Get all notes for user
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, listQuery({ ids: ['folder'] }), sortQuery(Object.keys(sortFields)), async (req, res) => {
   try {
-    const { folder, search, favorite, pinned, limit = 20, page = 1 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { folder, search, favorite, pinned, sort, order = 'desc', cursor } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+
+    // Pinned notes come first unless another sort is asked for
+    const sortKeys = getSortKeys(
+      sortFields[sort || 'updatedAt'],
+      order,
+      sort || pinned === 'true' ? [] : [['isPinned', -1]]
+    );
     
     let query = { owner: req.user._id };
     
     if (folder) {
       query.folder = folder === 'root' ? null : folder;
     }
+
+    // Notes in a folder shared with the user belong to the folder's owner
+    if (folder && folder !== 'root') {
+      const access = await findAccessible(Folder, folder, req.user._id);
+      if (access) query.owner = access.item.owner;
+    }
     
     if (search) {
       query.$text = { $search: search };
@@ -28,34 +74,36 @@ router.get('/', auth, async (req, res) => {
       query.isPinned = true;
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    let sortQuery = {};
-    if (pinned !== 'true') {
-      sortQuery = { isPinned: -1, updatedAt: -1 };
-    } else {
-      sortQuery = { updatedAt: -1 };
+    // A cursor picks up after the last note of the previous page
+    const pageQuery = cursor ? applyCursor(query, sortKeys, cursor) : query;
+    if (!pageQuery) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cursor does not match the sort order'
+      });
     }
 
-    const [notes, total] = await Promise.all([
-      Note.find(query)
+    const [found, total] = await Promise.all([
+      Note.find(pageQuery)
         .populate('owner', 'username email')
         .populate('folder', 'name path')
-        .sort(sortQuery)
-        .skip(skip)
-        .limit(parseInt(limit)),
+        .sort(toSort(sortKeys))
+        .skip(cursor ? 0 : skip)
+        .limit(limit + 1),
       Note.countDocuments(query)
     ]);
+    const { items: notes, nextCursor } = takePage(found, sortKeys, limit);
 
     res.json({
       success: true,
       data: {
         notes,
         pagination: {
-          current: parseInt(page),
-          total: Math.ceil(total / parseInt(limit)),
+          current: page,
+          total: Math.ceil(total / limit),
           count: notes.length,
-          totalNotes: total
+          totalNotes: total,
+          nextCursor
         }
       }
     });
@@ -71,27 +119,28 @@ router.get('/', auth, async (req, res) => {
 // Get note by ID
 router.get('/:id', auth, async (req, res) => {
   try {
-    const note = await Note.findOne({
-      _id: req.params.id,
-      owner: req.user._id
-    })
-    .populate('owner', 'username email')
-    .populate('folder', 'name path');
+    const access = await findAccessible(Note, req.params.id, req.user._id);
 
-    if (!note) {
+    if (!access) {
       return res.status(404).json({
         success: false,
         message: 'Note not found'
       });
     }
 
+    const note = access.item;
+
     // Update last accessed
     note.lastAccessed = new Date();
     await note.save();
+    await note.populate([
+      { path: 'owner', select: 'username email' },
+      { path: 'folder', select: 'name path' }
+    ]);
 
     res.json({
       success: true,
-      data: { note }
+      data: { note, role: access.role }
     });
   } catch (error) {
     console.error('Get note error:', error);
@@ -111,7 +160,8 @@ router.post('/', auth, [
   body('content')
     .trim()
     .isLength({ min: 1, max: 10000 })
-    .withMessage('Content must be between 1 and 10000 characters')
+    .withMessage('Content must be between 1 and 10000 characters'),
+  tagsValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -125,17 +175,32 @@ router.post('/', auth, [
 
     const { title, content, folder, tags, color, isPinned } = req.body;
 
+    let targetFolder = null;
+    if (folder) {
+      targetFolder = await findWritableFolder(folder, req.user._id);
+
+      if (!targetFolder) {
+        return res.status(404).json({
+          success: false,
+          message: 'Folder not found'
+        });
+      }
+    }
+
+    // Notes created in a shared folder belong to the folder's owner
+    const owner = targetFolder ? targetFolder.owner : req.user._id;
     const note = new Note({
       title,
       content,
-      owner: req.user._id,
+      owner,
       folder: folder || null,
-      tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
+      tags: await resolveTags(owner, tags),
       color: color || '#FEF3C7',
       isPinned: isPinned || false
     });
 
     await note.save();
+    await refreshFolderStats(note.folder);
     await note.populate('folder', 'name path');
 
     res.status(201).json({
@@ -152,6 +217,69 @@ router.post('/', auth, [
   }
 });
 
+// Move several notes into a folder, or to the top level
+router.post('/move', auth, [
+  body('ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Between 1 and 100 note IDs are required'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Note ID is invalid'),
+  body('folder')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('Folder ID is invalid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const target = await findMoveTarget(req.body.folder, req.user._id);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    // Either every note is moved or none is
+    const { items, rejected } = await findMovableItems(Note, req.body.ids, target, req.user._id);
+
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${rejected.length} note(s) could not be moved to this folder`,
+        data: { ids: rejected }
+      });
+    }
+
+    await Note.updateMany(
+      { _id: { $in: items.map(item => item._id) } },
+      { folder: target.folder ? target.folder._id : null }
+    );
+    await refreshFolderStats(...items.map(item => item.folder), target.folder && target.folder._id);
+
+    res.json({
+      success: true,
+      message: `${items.length} note(s) moved successfully`,
+      data: { count: items.length }
+    });
+  } catch (error) {
+    console.error('Move notes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Update note
 router.put('/:id', auth, [
   body('title')
@@ -163,7 +291,8 @@ router.put('/:id', auth, [
     .optional()
     .trim()
     .isLength({ min: 1, max: 10000 })
-    .withMessage('Content must be between 1 and 10000 characters')
+    .withMessage('Content must be between 1 and 10000 characters'),
+  tagsValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -175,30 +304,65 @@ router.put('/:id', auth, [
       });
     }
 
-    const note = await Note.findOne({
-      _id: req.params.id,
-      owner: req.user._id
-    });
+    const access = await findAccessible(Note, req.params.id, req.user._id);
 
-    if (!note) {
+    if (!access) {
       return res.status(404).json({
         success: false,
         message: 'Note not found'
       });
     }
 
+    if (!hasRole(access.role, 'editor')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to edit this note'
+      });
+    }
+
+    const note = access.item;
+    const previousFolder = note.folder;
     const { title, content, tags, color, isFavorite, isPinned, folder } = req.body;
 
+    // Notes can only move between folders of the same owner, and only
+    // the owner can move them to the top level
+    if (folder) {
+      const targetFolder = await findWritableFolder(folder, req.user._id);
+
+      if (!targetFolder || !targetFolder.owner.equals(note.owner)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Folder not found'
+        });
+      }
+    } else if (folder !== undefined && access.role !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can move this note out of its folder'
+      });
+    }
+
+    // Favorites are the owner's own
+    if (isFavorite !== undefined && access.role !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can mark this note as a favorite'
+      });
+    }
+
     // Update note fields
     if (title) note.title = title;
     if (content) note.content = content;
-    if (tags) note.tags = tags.split(',').map(tag => tag.trim());
+    if (tags !== undefined) note.tags = await resolveTags(note.owner, tags);
     if (color) note.color = color;
     if (isFavorite !== undefined) note.isFavorite = isFavorite;
     if (isPinned !== undefined) note.isPinned = isPinned;
     if (folder !== undefined) note.folder = folder || null;
 
     await note.save();
+    if (folder !== undefined) {
+      await refreshFolderStats(previousFolder, note.folder);
+    }
     await note.populate('folder', 'name path');
 
     res.json({
@@ -215,26 +379,31 @@ router.put('/:id', auth, [
   }
 });
 
-// Delete note
+// Delete note (moves it to the trash)
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const note = await Note.findOne({
-      _id: req.params.id,
-      owner: req.user._id
-    });
+    const access = await findAccessible(Note, req.params.id, req.user._id);
 
-    if (!note) {
+    if (!access) {
       return res.status(404).json({
         success: false,
         message: 'Note not found'
       });
     }
 
-    await Note.findByIdAndDelete(note._id);
+    if (!hasRole(access.role, 'editor')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this note'
+      });
+    }
+
+    // Trashed notes go to their owner's trash
+    await trashItem(access.item);
 
     res.json({
       success: true,
-      message: 'Note deleted successfully'
+      message: 'Note moved to trash'
     });
   } catch (error) {
     console.error('Delete note error:', error);
@@ -248,29 +417,35 @@ router.delete('/:id', auth, async (req, res) => {
 // Duplicate note
 router.post('/:id/duplicate', auth, async (req, res) => {
   try {
-    const originalNote = await Note.findOne({
-      _id: req.params.id,
-      owner: req.user._id
-    });
+    const access = await findAccessible(Note, req.params.id, req.user._id);
 
-    if (!originalNote) {
+    if (!access) {
       return res.status(404).json({
         success: false,
         message: 'Note not found'
       });
     }
 
-    // Create duplicate note
+    if (!hasRole(access.role, 'editor')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to duplicate this note'
+      });
+    }
+
+    // Create duplicate note next to the original, with the same owner
+    const originalNote = access.item;
     const duplicateNote = new Note({
       title: `${originalNote.title} (Copy)`,
       content: originalNote.content,
-      owner: req.user._id,
+      owner: originalNote.owner,
       folder: originalNote.folder,
       tags: [...originalNote.tags],
       color: originalNote.color
     });
 
     await duplicateNote.save();
+    await refreshFolderStats(duplicateNote.folder);
     await duplicateNote.populate('folder', 'name path');
 
     res.status(201).json({
@@ -288,10 +463,19 @@ router.post('/:id/duplicate', auth, async (req, res) => {
 });
 
 // Search notes
-router.get('/search/:query', auth, async (req, res) => {
+router.get('/search/:query', auth, listQuery(), async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { query } = req.params;
-    const { limit = 10 } = req.query;
+    const { limit } = getPagination(req.query, 10);
 
     const notes = await Note.find({
       owner: req.user._id,
@@ -299,7 +483,7 @@ router.get('/search/:query', auth, async (req, res) => {
     })
     .populate('folder', 'name path')
     .sort({ score: { $meta: 'textScore' } })
-    .limit(parseInt(limit));
+    .limit(limit);
 
     res.json({
       success: true,
@@ -0,0 +1,330 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const ShareLink = require('../models/ShareLink');
+const ShareAccess = require('../models/ShareAccess');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const Note = require('../models/Note');
+const { listQuery } = require('../middleware/listQuery');
+const { getDownloadBlock, openDownload, sendDownload } = require('../services/downloads');
+const { createAccessToken, verifyAccessToken } = require('../services/signedUrls');
+
+// Unauthenticated access to shared files and folders, mounted at /s
+const router = express.Router();
+
+// Unlock a password protected share link
+router.post('/:token/unlock', [
+  body('password').notEmpty().withMessage('Password is required')
+], loadShareLink, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const isMatch = await req.shareLink.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password'
+      });
+    }
+
+    const expiresIn = 60 * 60; // 1 hour
+    res.json({
+      success: true,
+      data: {
+        access: createAccessToken(req.shareLink.getAccessSubject(), expiresIn),
+        expiresAt: new Date(Date.now() + expiresIn * 1000)
+      }
+    });
+  } catch (error) {
+    console.error('Unlock share link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Open a share link: downloads a shared file or lists a shared folder
+router.get('/:token', [
+  ...listQuery(),
+  query('folder')
+    .optional()
+    .isMongoId()
+    .withMessage('Folder ID is invalid')
+], loadShareLink, requireUnlocked, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { shareLink } = req;
+
+    if (shareLink.resourceModel === 'File') {
+      const file = await File.findById(shareLink.resource);
+      return await sendSharedFile(req, res, file);
+    }
+
+    const rootFolder = await Folder.findById(shareLink.resource);
+    let folder = rootFolder;
+
+    // Browse into subfolders of the shared folder
+    if (rootFolder && req.query.folder && req.query.folder !== String(rootFolder._id)) {
+      folder = await Folder.findOne({ _id: req.query.folder, owner: shareLink.owner });
+      if (folder && !(await isInsideFolder(folder.parentFolder, rootFolder))) {
+        folder = null;
+      }
+    }
+
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    const [subfolders, files, notes] = await Promise.all([
+      Folder.find({ parentFolder: folder._id, owner: shareLink.owner })
+        .select('name description color updatedAt')
+        .sort({ name: 1 }),
+      File.find({ folder: folder._id, owner: shareLink.owner })
+        .select('originalName type mimeType size updatedAt')
+        .sort({ originalName: 1 }),
+      Note.find({ folder: folder._id, owner: shareLink.owner })
+        .select('title content color updatedAt')
+        .sort({ title: 1 })
+    ]);
+
+    await recordAccess(shareLink, 'view');
+
+    res.json({
+      success: true,
+      data: {
+        folder: {
+          id: folder._id,
+          name: folder.name,
+          description: folder.description,
+          parentFolder: folder._id.equals(rootFolder._id) ? null : folder.parentFolder
+        },
+        contents: {
+          subfolders: subfolders.map(subfolder => ({
+            id: subfolder._id,
+            name: subfolder.name,
+            description: subfolder.description,
+            color: subfolder.color,
+            updatedAt: subfolder.updatedAt
+          })),
+          files: files.map(file => ({
+            id: file._id,
+            name: file.originalName,
+            type: file.type,
+            mimeType: file.mimeType,
+            size: file.size,
+            updatedAt: file.updatedAt
+          })),
+          notes: notes.map(note => ({
+            id: note._id,
+            title: note.title,
+            content: note.content,
+            color: note.color,
+            updatedAt: note.updatedAt
+          }))
+        },
+        shareLink: {
+          expiresAt: shareLink.expiresAt,
+          maxDownloads: shareLink.maxDownloads,
+          downloadCount: shareLink.downloadCount
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Open share link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Download a file inside a shared folder
+router.get('/:token/files/:fileId', loadShareLink, requireUnlocked, async (req, res) => {
+  try {
+    const { shareLink } = req;
+
+    if (shareLink.resourceModel !== 'Folder') {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const [rootFolder, file] = await Promise.all([
+      Folder.findById(shareLink.resource),
+      File.findOne({ _id: req.params.fileId, owner: shareLink.owner })
+    ]);
+
+    const isShared = rootFolder && file && await isInsideFolder(file.folder, rootFolder);
+    await sendSharedFile(req, res, isShared ? file : null);
+  } catch (error) {
+    console.error('Download shared file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Middleware to load an active share link from the URL token
+async function loadShareLink(req, res, next) {
+  try {
+    const shareLink = await ShareLink.findOne({ token: req.params.token });
+
+    if (!shareLink) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    if (!shareLink.isActive()) {
+      return res.status(410).json({
+        success: false,
+        message: 'This share link has expired or been revoked'
+      });
+    }
+
+    req.shareLink = shareLink;
+    next();
+  } catch (error) {
+    console.error('Load share link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+}
+
+// Middleware to require a valid access token for password protected links.
+// The token from /unlock may be sent as ?access= or the X-Share-Access header.
+function requireUnlocked(req, res, next) {
+  if (!req.shareLink.passwordHash) return next();
+
+  const access = req.query.access || req.get('X-Share-Access');
+  if (!verifyAccessToken(req.shareLink.getAccessSubject(), access)) {
+    return res.status(401).json({
+      success: false,
+      message: 'This share link is password protected',
+      data: { passwordRequired: true }
+    });
+  }
+
+  next();
+}
+
+// Helper function to check whether a folder is, or is inside, the root folder
+async function isInsideFolder(folderId, rootFolder) {
+  let currentId = folderId;
+
+  while (currentId) {
+    if (rootFolder._id.equals(currentId)) return true;
+
+    const current = await Folder.findOne({ _id: currentId, owner: rootFolder.owner })
+      .select('parentFolder');
+    currentId = current ? current.parentFolder : null;
+  }
+
+  return false;
+}
+
+// Helper function to stream a shared file, counting the download against
+// the link's limit
+async function sendSharedFile(req, res, file) {
+  const { shareLink } = req;
+
+  if (!file) {
+    return res.status(404).json({
+      success: false,
+      message: 'File not found'
+    });
+  }
+
+  // Pending and infected content is held back
+  const block = getDownloadBlock(file);
+  if (block) {
+    return res.status(block.status).json({
+      success: false,
+      message: block.message,
+      data: block.data
+    });
+  }
+
+  const download = await openDownload(req, file);
+  if (!download) {
+    return res.status(404).json({
+      success: false,
+      message: 'Physical file not found'
+    });
+  }
+
+  // Revalidating a cached copy or resuming a download is not a new download
+  if (!download.isNewDownload) {
+    return sendDownload(res, file, download);
+  }
+
+  // Count the download only while the limit has not been reached, so
+  // parallel requests cannot go over it
+  const counted = await ShareLink.findOneAndUpdate(
+    {
+      _id: shareLink._id,
+      $or: [
+        { maxDownloads: null },
+        { $expr: { $lt: ['$downloadCount', '$maxDownloads'] } }
+      ]
+    },
+    { $inc: { downloadCount: 1 }, lastAccessed: new Date() }
+  );
+
+  if (!counted) {
+    download.stream.destroy();
+    return res.status(410).json({
+      success: false,
+      message: 'This share link has reached its download limit'
+    });
+  }
+
+  await File.updateOne(
+    { _id: file._id },
+    { $inc: { downloadCount: 1 }, lastAccessed: new Date() },
+    { timestamps: false }
+  );
+  await recordAccess(shareLink, 'download', file);
+
+  sendDownload(res, file, download);
+}
+
+// Helper function to log a share link access for analytics
+async function recordAccess(shareLink, action, file = null) {
+  if (action === 'view') {
+    await ShareLink.updateOne({ _id: shareLink._id }, { lastAccessed: new Date() });
+  }
+
+  await ShareAccess.create({
+    shareLink: shareLink._id,
+    owner: shareLink.owner,
+    file: file ? file._id : null,
+    action
+  });
+}
+
+module.exports = router;
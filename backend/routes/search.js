@@ -0,0 +1,80 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { listQuery, getPagination } = require('../middleware/listQuery');
+const { parseSearchQuery, applyParams, getSearchScope, search, withFileUrls } = require('../services/search');
+
+const router = express.Router();
+
+// Search folders, files and notes at once
+router.get('/', auth, [
+  ...listQuery(),
+  query('q')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Search query must be less than 500 characters'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { text, filters, errors: queryErrors } = parseSearchQuery(req.query.q);
+    queryErrors.push(...applyParams(filters, req.query));
+
+    if (queryErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid search query',
+        errors: queryErrors
+      });
+    }
+
+    // Searching inside a folder shared with the user covers its owner's items
+    const scope = await getSearchScope(filters, req.user._id);
+    if (!scope) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    const { page, limit } = getPagination(req.query);
+    const { results, total } = await search(text, filters, scope, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        results: withFileUrls(results, req.user._id),
+        query: { text, filters },
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: results.length,
+          totalResults: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,252 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const ShareLink = require('../models/ShareLink');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const auth = require('../middleware/auth');
+const { listQuery } = require('../middleware/listQuery');
+
+const router = express.Router();
+
+// Share link resource types accepted by the API, mapped to their models
+const resourceModels = {
+  file: File,
+  folder: Folder
+};
+
+const shareSettingsValidation = [
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+  body('password')
+    .optional({ nullable: true })
+    .isLength({ min: 4, max: 128 })
+    .withMessage('Password must be between 4 and 128 characters'),
+  body('maxDownloads')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Maximum downloads must be a positive number')
+];
+
+// Get all share links for user
+router.get('/', auth, [
+  ...listQuery(),
+  query('resource')
+    .optional()
+    .isMongoId()
+    .withMessage('Resource ID is invalid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { resource, active } = req.query;
+
+    let query = { owner: req.user._id };
+
+    if (resource) {
+      query.resource = resource;
+    }
+
+    let shareLinks = await ShareLink.find(query)
+      .populate('resource', 'name originalName')
+      .sort({ createdAt: -1 });
+
+    if (active === 'true') {
+      shareLinks = shareLinks.filter(link => link.isActive());
+    }
+
+    res.json({
+      success: true,
+      data: { shareLinks }
+    });
+  } catch (error) {
+    console.error('Get share links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get share link by ID
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const shareLink = await ShareLink.findOne({
+      _id: req.params.id,
+      owner: req.user._id
+    }).populate('resource', 'name originalName');
+
+    if (!shareLink) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { shareLink }
+    });
+  } catch (error) {
+    console.error('Get share link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create share link
+router.post('/', auth, [
+  body('resourceType')
+    .isIn(Object.keys(resourceModels))
+    .withMessage('Resource type must be file or folder'),
+  body('resourceId')
+    .isMongoId()
+    .withMessage('Resource ID is invalid'),
+  ...shareSettingsValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { resourceType, resourceId, expiresAt, password, maxDownloads } = req.body;
+    const Model = resourceModels[resourceType];
+
+    const resource = await Model.findOne({
+      _id: resourceId,
+      owner: req.user._id
+    });
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: `${resourceType === 'file' ? 'File' : 'Folder'} not found`
+      });
+    }
+
+    const shareLink = new ShareLink({
+      owner: req.user._id,
+      resourceModel: Model.modelName,
+      resource: resource._id,
+      expiresAt: expiresAt || null,
+      maxDownloads: maxDownloads || null
+    });
+    await shareLink.setPassword(password);
+
+    await shareLink.save();
+    await shareLink.populate('resource', 'name originalName');
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created successfully',
+      data: { shareLink }
+    });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update share link
+router.put('/:id', auth, shareSettingsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const shareLink = await ShareLink.findOne({
+      _id: req.params.id,
+      owner: req.user._id
+    });
+
+    if (!shareLink) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    const { expiresAt, password, maxDownloads } = req.body;
+
+    // Update share link fields
+    if (expiresAt !== undefined) shareLink.expiresAt = expiresAt || null;
+    if (password !== undefined) await shareLink.setPassword(password);
+    if (maxDownloads !== undefined) shareLink.maxDownloads = maxDownloads || null;
+
+    await shareLink.save();
+    await shareLink.populate('resource', 'name originalName');
+
+    res.json({
+      success: true,
+      message: 'Share link updated successfully',
+      data: { shareLink }
+    });
+  } catch (error) {
+    console.error('Update share link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Revoke share link
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const shareLink = await ShareLink.findOne({
+      _id: req.params.id,
+      owner: req.user._id
+    });
+
+    if (!shareLink) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    // Revoked links are kept so their accesses still show up in analytics
+    if (!shareLink.revokedAt) {
+      shareLink.revokedAt = new Date();
+      await shareLink.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Share link revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,297 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const SmartFolder = require('../models/SmartFolder');
+const Folder = require('../models/Folder');
+const auth = require('../middleware/auth');
+const { containsText, listQuery, getPagination } = require('../middleware/listQuery');
+const { parseSearchQuery, withFileUrls } = require('../services/search');
+const { getSmartFolderLimit, openSmartFolder } = require('../services/smartFolders');
+
+const router = express.Router();
+
+const smartFolderValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Smart folder name must be between 1 and 255 characters'),
+  body('query')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Query must be between 1 and 500 characters'),
+  body('parentFolder')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('Parent folder ID is invalid'),
+  body('color')
+    .optional()
+    .isHexColor()
+    .withMessage('Color must be a hex color such as #8B5CF6')
+];
+
+// Find a smart folder of the current user by ID
+async function findSmartFolder(id, userId) {
+  if (!/^[a-f\d]{24}$/i.test(id)) return null;
+  return SmartFolder.findOne({ _id: id, owner: userId });
+}
+
+// Get all smart folders of the user, or those listed in one folder
+router.get('/', auth, listQuery({ ids: ['parentFolder'] }), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { parentFolder, search, favorite } = req.query;
+    const query = { owner: req.user._id };
+
+    if (parentFolder) {
+      query.parentFolder = parentFolder === 'root' ? null : parentFolder;
+    }
+
+    if (search) {
+      query.name = containsText(search);
+    }
+
+    if (favorite === 'true') {
+      query.isFavorite = true;
+    }
+
+    const smartFolders = await SmartFolder.find(query).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { smartFolders }
+    });
+  } catch (error) {
+    console.error('Get smart folders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Open a smart folder: runs its search and returns one page of results
+router.get('/:id', auth, listQuery(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const smartFolder = await findSmartFolder(req.params.id, req.user._id);
+
+    if (!smartFolder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Smart folder not found'
+      });
+    }
+
+    const { page, limit } = getPagination(req.query);
+    const opened = await openSmartFolder(smartFolder, { page, limit });
+
+    if (!opened) {
+      return res.status(404).json({
+        success: false,
+        message: 'The folder this smart folder searches in was not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        smartFolder,
+        results: withFileUrls(opened.results, req.user._id),
+        query: opened.query,
+        pagination: {
+          current: page,
+          total: Math.ceil(opened.total / limit),
+          count: opened.results.length,
+          totalResults: opened.total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Open smart folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create smart folder
+router.post('/', auth, [
+  body('name')
+    .exists()
+    .withMessage('Smart folder name is required'),
+  body('query')
+    .exists()
+    .withMessage('Query is required'),
+  ...smartFolderValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, query, parentFolder, color } = req.body;
+
+    const limit = getSmartFolderLimit();
+    if ((await SmartFolder.countDocuments({ owner: req.user._id })) >= limit) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${limit} smart folders`
+      });
+    }
+
+    const { errors: queryErrors } = parseSearchQuery(query);
+    if (queryErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid search query',
+        errors: queryErrors
+      });
+    }
+
+    // Smart folders can only be listed among the user's own folders
+    if (parentFolder && !(await Folder.exists({ _id: parentFolder, owner: req.user._id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent folder not found'
+      });
+    }
+
+    const smartFolder = new SmartFolder({
+      name,
+      query,
+      owner: req.user._id,
+      parentFolder: parentFolder || null,
+      color: color || undefined
+    });
+
+    await smartFolder.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Smart folder created successfully',
+      data: { smartFolder }
+    });
+  } catch (error) {
+    console.error('Create smart folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update smart folder
+router.put('/:id', auth, smartFolderValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const smartFolder = await findSmartFolder(req.params.id, req.user._id);
+
+    if (!smartFolder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Smart folder not found'
+      });
+    }
+
+    const { name, query, parentFolder, color, isFavorite } = req.body;
+
+    if (query !== undefined) {
+      const { errors: queryErrors } = parseSearchQuery(query);
+      if (queryErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid search query',
+          errors: queryErrors
+        });
+      }
+    }
+
+    if (parentFolder && !(await Folder.exists({ _id: parentFolder, owner: req.user._id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent folder not found'
+      });
+    }
+
+    if (name) smartFolder.name = name;
+    if (query !== undefined) smartFolder.query = query;
+    if (parentFolder !== undefined) smartFolder.parentFolder = parentFolder || null;
+    if (color) smartFolder.color = color;
+    if (isFavorite !== undefined) smartFolder.isFavorite = isFavorite;
+
+    await smartFolder.save();
+
+    res.json({
+      success: true,
+      message: 'Smart folder updated successfully',
+      data: { smartFolder }
+    });
+  } catch (error) {
+    console.error('Update smart folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Delete smart folder. The items it finds are not affected.
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const smartFolder = await findSmartFolder(req.params.id, req.user._id);
+
+    if (!smartFolder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Smart folder not found'
+      });
+    }
+
+    await smartFolder.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Smart folder deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete smart folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,13 @@
 const express = require('express');
+const { query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Folder = require('../models/Folder');
 const File = require('../models/File');
 const Note = require('../models/Note');
+const ShareAccess = require('../models/ShareAccess');
 const auth = require('../middleware/auth');
+const { listQuery } = require('../middleware/listQuery');
+const { countSmartFolders } = require('../services/smartFolders');
 
 const router = express.Router();
 
@@ -20,7 +24,8 @@ router.get('/', auth, async (req, res) => {
       recentFiles,
       recentNotes,
       favoriteItems,
-      storageByType
+      storageByType,
+      smartFolders
     ] = await Promise.all([
       // Total folders
       Folder.countDocuments({ owner: userId }),
@@ -83,7 +88,10 @@ router.get('/', auth, async (req, res) => {
             size: { $sum: '$size' }
           }
         }
-      ])
+      ]),
+
+      // Smart folders with what each holds right now
+      countSmartFolders(userId)
     ]);
 
     // Process file stats
@@ -132,6 +140,7 @@ router.get('/', auth, async (req, res) => {
           total: favoriteItems[0] + favoriteItems[1] + favoriteItems[2]
         }
       },
+      smartFolders,
       fileTypes: {
         images: fileStatsData.imageCount,
         pdfs: fileStatsData.pdfCount,
@@ -176,8 +185,23 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Get detailed analytics
-router.get('/analytics', auth, async (req, res) => {
+router.get('/analytics', auth, [
+  ...listQuery(),
+  query('period')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Period must be between 1 and 365 days')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const userId = req.user._id;
     const { period = '30' } = req.query; // days
     
@@ -249,6 +273,26 @@ router.get('/analytics', auth, async (req, res) => {
       .select('name originalName type downloadCount lastAccessed')
       .populate('folder', 'name');
 
+    // Share link views and downloads
+    const shareActivity = await ShareAccess.aggregate([
+      {
+        $match: {
+          owner: userId,
+          createdAt: { $gte: startDate }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }
+          },
+          views: { $sum: { $cond: [{ $eq: ['$action', 'view'] }, 1, 0] } },
+          downloads: { $sum: { $cond: [{ $eq: ['$action', 'download'] }, 1, 0] } }
+        }
+      },
+      { $sort: { '_id.date': 1 } }
+    ]);
+
     // Storage growth over time
     const storageGrowth = await File.aggregate([
       { $match: { owner: userId } },
@@ -288,6 +332,11 @@ router.get('/analytics', auth, async (req, res) => {
         folders: folderActivity.map(item => ({
           date: item._id.date,
           count: item.count
+        })),
+        shares: shareActivity.map(item => ({
+          date: item._id.date,
+          views: item.views,
+          downloads: item.downloads
         }))
       },
       popularFiles: popularFiles.map(file => ({
@@ -0,0 +1,223 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Tag = require('../models/Tag');
+const auth = require('../middleware/auth');
+const { MAX_TAG_LENGTH, listTags, renameTag, mergeTag, deleteTag } = require('../services/tags');
+
+const router = express.Router();
+
+const nameValidation = () => body('name')
+  .trim()
+  .isLength({ min: 1, max: MAX_TAG_LENGTH })
+  .withMessage(`Tag name must be between 1 and ${MAX_TAG_LENGTH} characters`)
+  .not()
+  .contains(',')
+  .withMessage('Tag name cannot contain commas');
+
+const colorValidation = body('color')
+  .optional()
+  .isHexColor()
+  .withMessage('Color must be a hex color such as #6B7280');
+
+// Find a tag of the current user by ID
+async function findTag(id, userId) {
+  if (!/^[a-f\d]{24}$/i.test(id)) return null;
+  return Tag.findOne({ _id: id, owner: userId });
+}
+
+// Get all tags of the user with how many items carry each
+router.get('/', auth, async (req, res) => {
+  try {
+    const tags = await listTags(req.user._id);
+
+    res.json({
+      success: true,
+      data: { tags }
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create tag
+router.post('/', auth, [nameValidation(), colorValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, color } = req.body;
+
+    const existingTag = await Tag.findOne({ owner: req.user._id, key: Tag.toKey(name) });
+    if (existingTag) {
+      return res.status(409).json({
+        success: false,
+        message: 'A tag with this name already exists',
+        data: { tag: existingTag }
+      });
+    }
+
+    const tag = new Tag({ owner: req.user._id, name, color });
+    await tag.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Tag created successfully',
+      data: { tag }
+    });
+  } catch (error) {
+    console.error('Create tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update tag. Renaming it renames it on every item carrying it.
+router.put('/:id', auth, [nameValidation().optional(), colorValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tag = await findTag(req.params.id, req.user._id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const { name, color } = req.body;
+
+    // Two tags cannot share a name; they can be merged instead
+    if (name && Tag.toKey(name) !== tag.key) {
+      const existingTag = await Tag.findOne({ owner: tag.owner, key: Tag.toKey(name) });
+      if (existingTag) {
+        return res.status(409).json({
+          success: false,
+          message: 'A tag with this name already exists. Merge the tags instead.',
+          data: { tag: existingTag }
+        });
+      }
+    }
+
+    if (color) tag.color = color;
+
+    let updatedItems = 0;
+    if (name && name !== tag.name) {
+      updatedItems = await renameTag(tag, name);
+    } else {
+      await tag.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Tag updated successfully',
+      data: { tag, updatedItems }
+    });
+  } catch (error) {
+    console.error('Update tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Merge a tag into another tag, which takes its place on every item
+router.post('/:id/merge', auth, [
+  body('into')
+    .isMongoId()
+    .withMessage('Tag to merge into is invalid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const [tag, into] = await Promise.all([
+      findTag(req.params.id, req.user._id),
+      findTag(req.body.into, req.user._id)
+    ]);
+
+    if (!tag || !into) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    if (tag._id.equals(into._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tag cannot be merged into itself'
+      });
+    }
+
+    const updatedItems = await mergeTag(tag, into);
+
+    res.json({
+      success: true,
+      message: `Tag "${tag.name}" merged into "${into.name}"`,
+      data: { tag: into, updatedItems }
+    });
+  } catch (error) {
+    console.error('Merge tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Delete tag and remove it from every item carrying it
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const tag = await findTag(req.params.id, req.user._id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const updatedItems = await deleteTag(tag);
+
+    res.json({
+      success: true,
+      message: `Tag deleted and removed from ${updatedItems} item(s)`,
+      data: { updatedItems }
+    });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const {
+  trashModels,
+  IN_TRASH,
+  getRetentionDays,
+  restoreItem,
+  purgeItem,
+  listTrash,
+  purgeWhere
+} = require('../services/trash');
+const { releaseStorage } = require('../services/quota');
+
+const router = express.Router();
+
+// Get trash contents
+router.get('/', auth, async (req, res) => {
+  try {
+    const trash = await listTrash(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        ...trash,
+        retentionDays: getRetentionDays()
+      }
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Empty trash
+router.delete('/', auth, async (req, res) => {
+  try {
+    const purged = await purgeWhere({ owner: req.user._id });
+
+    res.json({
+      success: true,
+      message: `${purged} item(s) permanently deleted`
+    });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Restore item from trash
+router.post('/:type/:id/restore', auth, findTrashedItem, async (req, res) => {
+  try {
+    const item = await restoreItem(req.trashedItem);
+
+    res.json({
+      success: true,
+      message: 'Item restored successfully',
+      data: { item }
+    });
+  } catch (error) {
+    console.error('Restore item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Permanently delete item from trash
+router.delete('/:type/:id', auth, findTrashedItem, async (req, res) => {
+  try {
+    const freedSize = await purgeItem(req.trashedItem);
+    await releaseStorage(req.user._id, freedSize);
+
+    res.json({
+      success: true,
+      message: 'Item permanently deleted'
+    });
+  } catch (error) {
+    console.error('Permanently delete item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Middleware to load a top-level trashed item owned by the user
+async function findTrashedItem(req, res, next) {
+  try {
+    const Model = trashModels[req.params.type];
+
+    if (!Model) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid item type. Use folders, files or notes.'
+      });
+    }
+
+    const item = await Model.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+      deletedAt: IN_TRASH,
+      deletedWith: null
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in trash'
+      });
+    }
+
+    req.trashedItem = item;
+    next();
+  } catch (error) {
+    console.error('Find trashed item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+}
+
+module.exports = router;
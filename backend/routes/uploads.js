@@ -0,0 +1,513 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { body, validationResult } = require('express-validator');
+const UploadSession = require('../models/UploadSession');
+const File = require('../models/File');
+const auth = require('../middleware/auth');
+const { uploadDir, sendPolicyViolation } = require('../middleware/upload');
+const { ingestUpload } = require('../services/files');
+const { inspectUpload } = require('../services/contentTypes');
+const { findWritableFolder, getStorageOwner } = require('../services/access');
+const { refreshFolderStats } = require('../services/folderStats');
+const { reserveStorage, releaseStorage } = require('../services/quota');
+const {
+  getViolation,
+  getUploadPolicy,
+  checkFile,
+  getUploadedToday,
+  reserveDailyUpload,
+  releaseDailyUpload
+} = require('../services/uploadPolicies');
+const { getPendingScan, requestScan } = require('../services/malwareScan');
+const { parseTags, tagsValidation, resolveTags } = require('../services/tags');
+const { withFileUrl } = require('../services/signedUrls');
+
+const router = express.Router();
+
+// Partial uploads live in a dot-directory so the static mount never serves them
+const sessionDir = path.join(uploadDir, '.sessions');
+if (!fs.existsSync(sessionDir)) {
+  fs.mkdirSync(sessionDir, { recursive: true });
+}
+
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+const DROPPED_CONNECTION_CODES = ['ECONNRESET', 'ERR_STREAM_PREMATURE_CLOSE'];
+
+// Create upload session
+router.post('/', auth, [
+  body('originalName')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('File name must be between 1 and 255 characters'),
+  body('size')
+    .isInt({ min: 1 })
+    .withMessage('File size must be at least 1 byte'),
+  body('mimeType')
+    .trim()
+    .notEmpty()
+    .withMessage('File type is required'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  tagsValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { originalName, mimeType, folder, tags, description } = req.body;
+    const size = parseInt(req.body.size);
+
+    // Check the upload against the user's policy before accepting any bytes
+    const policy = await getUploadPolicy(req.user);
+    let violation = checkFile(policy, { originalName, mimeType, size });
+
+    // The daily limit is only counted against on completion, but an upload
+    // that cannot fit in today's allowance is turned away up front
+    if (!violation && policy.maxBytesPerDay &&
+        (await getUploadedToday(req.user._id)) + size > policy.maxBytesPerDay) {
+      violation = getViolation(policy, 'maxBytesPerDay');
+    }
+
+    if (violation) {
+      return sendPolicyViolation(res, violation);
+    }
+
+    let targetFolder = null;
+    if (folder) {
+      targetFolder = await findWritableFolder(folder, req.user._id);
+
+      if (!targetFolder) {
+        return res.status(404).json({
+          success: false,
+          message: 'Folder not found'
+        });
+      }
+    }
+
+    // Check storage limit before accepting any bytes. Uploads into a
+    // shared folder count against the folder owner's storage.
+    const owner = await getStorageOwner(targetFolder ? targetFolder.owner : req.user._id, req.user);
+    if (!owner.hasEnoughStorage(size)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Not enough storage space'
+      });
+    }
+
+    const sessionId = new mongoose.Types.ObjectId();
+    const session = new UploadSession({
+      _id: sessionId,
+      owner: req.user._id,
+      originalName,
+      mimeType,
+      size,
+      folder: folder || null,
+      tags: parseTags(tags),
+      description: description || '',
+      tempPath: path.join(sessionDir, `${sessionId}.part`)
+    });
+    session.touch();
+
+    fs.writeFileSync(session.tempPath, '');
+    await session.save();
+
+    res.status(201)
+      .set('Location', `${req.baseUrl}/${session._id}`)
+      .set('Upload-Offset', '0')
+      .set('Upload-Length', String(size))
+      .json({
+        success: true,
+        message: 'Upload session created successfully',
+        data: { session }
+      });
+  } catch (error) {
+    console.error('Create upload session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get the upload policy that applies to the current user and how much of
+// today's allowance is used
+router.get('/policy', auth, async (req, res) => {
+  try {
+    const [policy, uploadedToday] = await Promise.all([
+      getUploadPolicy(req.user),
+      getUploadedToday(req.user._id)
+    ]);
+
+    res.json({
+      success: true,
+      data: { policy, uploadedToday }
+    });
+  } catch (error) {
+    console.error('Get upload policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Query upload progress
+router.head('/:id', auth, async (req, res) => {
+  try {
+    const session = await UploadSession.findOne({
+      _id: req.params.id,
+      owner: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).end();
+    }
+
+    res.set('Upload-Offset', String(session.offset))
+      .set('Upload-Length', String(session.size))
+      .set('Cache-Control', 'no-store')
+      .status(200)
+      .end();
+  } catch (error) {
+    console.error('Get upload progress error:', error);
+    res.status(500).end();
+  }
+});
+
+// Get upload session
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const session = await UploadSession.findOne({
+      _id: req.params.id,
+      owner: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { session }
+    });
+  } catch (error) {
+    console.error('Get upload session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Append a chunk at the given offset
+router.patch('/:id', auth, async (req, res) => {
+  try {
+    const session = await UploadSession.findOne({
+      _id: req.params.id,
+      owner: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found'
+      });
+    }
+
+    if (req.get('Content-Type') !== CHUNK_CONTENT_TYPE) {
+      return res.status(415).json({
+        success: false,
+        message: `Chunks must be sent as ${CHUNK_CONTENT_TYPE}`
+      });
+    }
+
+    const offset = parseInt(req.get('Upload-Offset'));
+    if (offset !== session.offset) {
+      return res.status(409)
+        .set('Upload-Offset', String(session.offset))
+        .json({
+          success: false,
+          message: 'Upload-Offset does not match the current upload offset',
+          data: { offset: session.offset }
+        });
+    }
+
+    const remaining = session.size - session.offset;
+    if (parseInt(req.get('Content-Length')) > remaining) {
+      return res.status(413).json({
+        success: false,
+        message: 'Chunk exceeds the declared upload length'
+      });
+    }
+
+    // Only one request may write to the session at a time. A request that
+    // loses the race finds it claimed, or the offset moved on.
+    const claimed = await UploadSession.claim({ _id: session._id, offset });
+    if (!claimed) {
+      const current = await UploadSession.findById(session._id);
+      return res.status(409)
+        .set('Upload-Offset', String(current ? current.offset : session.offset))
+        .json({
+          success: false,
+          message: 'Another chunk is being written to this upload, or the offset has changed'
+        });
+    }
+
+    let interrupted = false;
+    try {
+      // Bytes past the offset were never recorded, so they are written over
+      fs.truncateSync(claimed.tempPath, offset);
+      await pipeline(
+        limitBytes(req, remaining),
+        fs.createWriteStream(claimed.tempPath, { flags: 'r+', start: offset })
+      );
+    } catch (error) {
+      if (error.code === 'CHUNK_TOO_LARGE') {
+        // Chunked transfers carry no Content-Length, so the overflow is only
+        // noticed mid-stream; drop the partial chunk entirely
+        fs.truncateSync(claimed.tempPath, offset);
+        await UploadSession.release(claimed._id);
+        return res.status(413)
+          .set('Connection', 'close')
+          .json({
+            success: false,
+            message: 'Chunk exceeds the declared upload length'
+          });
+      }
+      if (!DROPPED_CONNECTION_CODES.includes(error.code)) {
+        await UploadSession.release(claimed._id);
+        throw error;
+      }
+      // Connection dropped mid-chunk: keep whatever reached the disk so the
+      // client can resume from the stored offset
+      interrupted = true;
+    }
+
+    claimed.offset = Math.min(fs.statSync(claimed.tempPath).size, claimed.size);
+    claimed.claimedUntil = null;
+    claimed.touch();
+    await claimed.save();
+
+    if (interrupted) return;
+
+    res.set('Upload-Offset', String(claimed.offset))
+      .status(204)
+      .end();
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error during chunk upload'
+      });
+    }
+  }
+});
+
+// Finalize upload into a file
+router.post('/:id/complete', auth, async (req, res) => {
+  // Storage reserved for the file until it is saved
+  let reserved = null;
+  // Session claimed by this request until it is done
+  let claimedId = null;
+
+  try {
+    const filter = { _id: req.params.id, owner: req.user._id };
+
+    if (!(await UploadSession.exists(filter))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found'
+      });
+    }
+
+    // Only one request may complete the upload, and not while a chunk is
+    // still being written
+    const session = await UploadSession.claim(filter);
+    if (!session) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another request is using this upload session'
+      });
+    }
+    claimedId = session._id;
+
+    if (!session.isComplete()) {
+      return res.status(409).json({
+        success: false,
+        message: `Upload incomplete. ${session.offset} of ${session.size} bytes received.`,
+        data: { offset: session.offset, size: session.size }
+      });
+    }
+
+    // Access to the folder may have been revoked while uploading
+    let targetFolder = null;
+    if (session.folder) {
+      targetFolder = await findWritableFolder(session.folder, req.user._id);
+
+      if (!targetFolder) {
+        return res.status(404).json({
+          success: false,
+          message: 'Folder not found'
+        });
+      }
+    }
+
+    // The policy may have changed while uploading
+    const policy = await getUploadPolicy(req.user);
+    const fileViolation = checkFile(policy, session);
+    if (fileViolation) {
+      return sendPolicyViolation(res, fileViolation);
+    }
+
+    // Check what was really uploaded. The data cannot be fixed by resending
+    // chunks, so a rejected upload ends the session.
+    const { mimeType, mismatch, action } = inspectUpload(session.tempPath, session.mimeType);
+    if (action === 'reject') {
+      if (fs.existsSync(session.tempPath)) {
+        fs.unlinkSync(session.tempPath);
+      }
+      await UploadSession.findByIdAndDelete(session._id);
+
+      return res.status(400).json({
+        success: false,
+        message: 'File content does not match its declared type',
+        data: { reason: mismatch }
+      });
+    }
+
+    // Only completed uploads count against the daily limit
+    const { violation: dailyViolation, day } = await reserveDailyUpload(req.user._id, policy, session.size);
+    if (dailyViolation) {
+      return sendPolicyViolation(res, dailyViolation);
+    }
+
+    // Storage may have been used by other uploads since the session was
+    // created, so it is only reserved now
+    const owner = targetFolder ? targetFolder.owner : req.user._id;
+    if (!(await reserveStorage(owner, session.size))) {
+      await releaseDailyUpload(req.user._id, day, session.size);
+      return res.status(400).json({
+        success: false,
+        message: 'Not enough storage space'
+      });
+    }
+    reserved = { owner, size: session.size, day };
+
+    const content = await ingestUpload(session.tempPath, mimeType);
+
+    const newFile = new File({
+      ...content,
+      quarantineReason: mismatch,
+      scan: getPendingScan(),
+      name: session.originalName,
+      originalName: session.originalName,
+      owner,
+      folder: session.folder,
+      tags: await resolveTags(owner, session.tags),
+      description: session.description
+    });
+
+    await newFile.save();
+    reserved = null;
+    await newFile.populate('folder', 'name path');
+    await refreshFolderStats(session.folder);
+
+    // The file is scanned, and then previewed, in the background
+    requestScan(newFile);
+
+    await UploadSession.findByIdAndDelete(session._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: { file: withFileUrl(newFile, req.user._id) }
+    });
+  } catch (error) {
+    console.error('Complete upload error:', error);
+
+    if (reserved) {
+      releaseStorage(reserved.owner, reserved.size)
+        .catch(releaseError => console.error('Release storage error:', releaseError));
+      releaseDailyUpload(req.user._id, reserved.day, reserved.size)
+        .catch(releaseError => console.error('Release daily upload error:', releaseError));
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during file upload'
+    });
+  } finally {
+    if (claimedId) {
+      UploadSession.release(claimedId)
+        .catch(releaseError => console.error('Release upload session error:', releaseError));
+    }
+  }
+});
+
+// Abort upload session
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const session = await UploadSession.findOne({
+      _id: req.params.id,
+      owner: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found'
+      });
+    }
+
+    if (fs.existsSync(session.tempPath)) {
+      fs.unlinkSync(session.tempPath);
+    }
+
+    await UploadSession.findByIdAndDelete(session._id);
+
+    res.json({
+      success: true,
+      message: 'Upload session cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Cancel upload session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Read the request body, failing once more than maxBytes have arrived. The
+// request is left open so an error response can still be sent.
+async function* limitBytes(req, maxBytes) {
+  let received = 0;
+
+  for await (const chunk of req.iterator({ destroyOnReturn: false })) {
+    received += chunk.length;
+    if (received > maxBytes) {
+      const error = new Error('Chunk exceeds the declared upload length');
+      error.code = 'CHUNK_TOO_LARGE';
+      throw error;
+    }
+    yield chunk;
+  }
+}
+
+module.exports = router;
@@ -0,0 +1,122 @@
+// Move stored data from one storage backend to another.
+//
+// Usage:
+//   node scripts/migrateStorage.js --from local --to s3 [--keep-source]
+//
+// Blobs are copied one at a time and switched over once the copy is
+// complete, so the server can keep running while this executes. Files
+// uploaded before the blob store existed are adopted into it first when
+// migrating away from the local disk.
+require('dotenv').config();
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const Blob = require('../models/Blob');
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const { driverNames, getDriver } = require('../services/storage');
+const { adoptLegacyFile } = require('../services/files');
+
+function parseArgs(argv) {
+  const args = { keepSource: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--from') args.from = argv[++i];
+    else if (argv[i] === '--to') args.to = argv[++i];
+    else if (argv[i] === '--keep-source') args.keepSource = true;
+  }
+
+  return args;
+}
+
+async function adoptLegacyData(driverName) {
+  let adopted = 0;
+
+  for (const Model of [File, FileVersion]) {
+    const docs = await Model.find({ hash: null }).setOptions({ withDeleted: true });
+
+    for (const doc of docs) {
+      try {
+        await adoptLegacyFile(doc, driverName);
+        adopted++;
+      } catch (error) {
+        console.error(`Could not adopt ${doc.path}:`, error.message);
+      }
+    }
+  }
+
+  return adopted;
+}
+
+// Copy a small object whose size is not recorded between backends
+async function copyObject(source, target, key) {
+  if (!(await source.exists(key))) return;
+
+  const chunks = [];
+  for await (const chunk of await source.createReadStream(key)) {
+    chunks.push(chunk);
+  }
+
+  const data = Buffer.concat(chunks);
+  await target.write(key, Readable.from(data), data.length);
+}
+
+async function migrateBlobs(from, to, keepSource) {
+  const source = getDriver(from);
+  const target = getDriver(to);
+  let migrated = 0;
+  let failed = 0;
+
+  for await (const blob of Blob.find({ backend: from }).cursor()) {
+    try {
+      const stream = await source.createReadStream(blob.key);
+      await target.write(blob.key, stream, blob.size);
+
+      // Thumbnails live next to the data they were generated from
+      for (const thumbnail of blob.preview.thumbnails) {
+        await copyObject(source, target, thumbnail.key);
+      }
+
+      await Blob.updateOne({ _id: blob._id }, { backend: to });
+
+      if (!keepSource) {
+        await source.remove(blob.key);
+        for (const thumbnail of blob.preview.thumbnails) {
+          await source.remove(thumbnail.key);
+        }
+      }
+      migrated++;
+    } catch (error) {
+      console.error(`Could not migrate blob ${blob.hash}:`, error.message);
+      failed++;
+    }
+  }
+
+  return { migrated, failed };
+}
+
+async function main() {
+  const { from, to, keepSource } = parseArgs(process.argv.slice(2));
+
+  if (!driverNames.includes(from) || !driverNames.includes(to) || from === to) {
+    console.error(`Usage: node scripts/migrateStorage.js --from <${driverNames.join('|')}> --to <${driverNames.join('|')}> [--keep-source]`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/storage-management');
+
+  if (from === 'local') {
+    const adopted = await adoptLegacyData(to);
+    console.log(`Adopted ${adopted} legacy file(s) into the blob store`);
+  }
+
+  const { migrated, failed } = await migrateBlobs(from, to, keepSource);
+  console.log(`Migrated ${migrated} blob(s) from ${from} to ${to}${failed ? `, ${failed} failed` : ''}`);
+
+  await mongoose.disconnect();
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Storage migration error:', error);
+  process.exit(1);
+});
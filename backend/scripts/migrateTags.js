@@ -0,0 +1,61 @@
+// Create the tags of files, folders and notes tagged before tags were kept
+// in their own collection.
+//
+// Usage:
+//   node scripts/migrateTags.js
+//
+// Names that differ only in case become one tag, named the way it was
+// first seen, and items are rewritten to carry that name. Items with tags
+// too long or too many to be valid are reported and left alone. Running it
+// again changes nothing.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const Note = require('../models/Note');
+const { parseTags, resolveTags } = require('../services/tags');
+
+async function migrateItems(Model) {
+  let updated = 0;
+  let skipped = 0;
+
+  const cursor = Model.find({ 'tags.0': { $exists: true } })
+    .select('owner tags')
+    .setOptions({ withDeleted: true })
+    .cursor();
+
+  for await (const item of cursor) {
+    if (!parseTags(item.tags)) {
+      console.error(`${Model.modelName} ${item._id}: invalid tags, skipped`);
+      skipped++;
+      continue;
+    }
+
+    const tags = await resolveTags(item.owner, item.tags);
+    if (tags.join('\n') === item.tags.join('\n')) continue;
+
+    await Model.updateOne({ _id: item._id }, { $set: { tags } }, { timestamps: false });
+    updated++;
+  }
+
+  return { updated, skipped };
+}
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/storage-management');
+
+  let failed = false;
+  for (const Model of [File, Folder, Note]) {
+    const { updated, skipped } = await migrateItems(Model);
+    console.log(`${Model.modelName}: ${updated} item(s) updated${skipped ? `, ${skipped} skipped` : ''}`);
+    failed = failed || skipped > 0;
+  }
+
+  await mongoose.disconnect();
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Tag migration error:', error);
+  process.exit(1);
+});
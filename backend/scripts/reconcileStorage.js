@@ -0,0 +1,202 @@
+// Check storage accounting and stored data for consistency.
+//
+// Usage:
+//   node scripts/reconcileStorage.js [--fix]
+//
+// Reports users whose storageUsed does not match their files and versions
+// (trashed ones included), blobs whose reference count is wrong, stored data
+// that nothing references, and files or versions whose data is missing.
+// With --fix, usage and reference counts are corrected and unreferenced data
+// is deleted. Records with missing data are only ever reported.
+//
+// Uploads completing while this runs can show up as false positives, so
+// run it with --fix while the server is quiet.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const Blob = require('../models/Blob');
+const { getDriver } = require('../services/storage');
+const { uploadDir } = require('../middleware/upload');
+
+function parseArgs(argv) {
+  return { fix: argv.includes('--fix') };
+}
+
+// Tally storage usage per owner and references per blob from every file
+// and version, noting the local paths of files not yet in the blob store
+async function collectUsage() {
+  const usage = new Map();
+  const references = new Map();
+  const legacyPaths = new Map();
+
+  for (const Model of [File, FileVersion]) {
+    const cursor = Model.find()
+      .select('owner size hash path')
+      .setOptions({ withDeleted: true })
+      .cursor();
+
+    for await (const doc of cursor) {
+      const owner = doc.owner.toString();
+      usage.set(owner, (usage.get(owner) || 0) + doc.size);
+
+      if (doc.hash) {
+        references.set(doc.hash, (references.get(doc.hash) || 0) + 1);
+      } else {
+        legacyPaths.set(path.resolve(doc.path), doc);
+      }
+    }
+  }
+
+  return { usage, references, legacyPaths };
+}
+
+async function reconcileUsage(usage, fix) {
+  let mismatched = 0;
+
+  for await (const user of User.find().select('username storageUsed').cursor()) {
+    const actual = usage.get(user._id.toString()) || 0;
+    if (user.storageUsed === actual) continue;
+
+    mismatched++;
+    console.log(`User ${user.username}: storageUsed is ${user.storageUsed}, files use ${actual}`);
+
+    if (fix) {
+      await User.updateOne({ _id: user._id }, { storageUsed: actual });
+    }
+  }
+
+  return mismatched;
+}
+
+// Check every blob record against its references and its stored data.
+// Returns the keys known per backend and the hashes whose data is missing.
+async function reconcileBlobs(references, fix) {
+  const knownKeys = new Map();
+  const missingHashes = new Set();
+  let miscounted = 0;
+  let unreferenced = 0;
+
+  for await (const blob of Blob.find().cursor()) {
+    const driver = getDriver(blob.backend);
+    const refCount = references.get(blob.hash) || 0;
+
+    if (!knownKeys.has(blob.backend)) knownKeys.set(blob.backend, new Set());
+    knownKeys.get(blob.backend).add(blob.key);
+    blob.preview.thumbnails.forEach(thumbnail => knownKeys.get(blob.backend).add(thumbnail.key));
+
+    if (!(await driver.exists(blob.key))) {
+      missingHashes.add(blob.hash);
+    }
+
+    if (refCount === 0) {
+      unreferenced++;
+      console.log(`Blob ${blob.hash}: not referenced by any file or version`);
+
+      if (fix) {
+        await driver.remove(blob.key);
+        for (const thumbnail of blob.preview.thumbnails) {
+          await driver.remove(thumbnail.key);
+        }
+        await Blob.deleteOne({ _id: blob._id });
+      }
+    } else if (blob.refCount !== refCount) {
+      miscounted++;
+      console.log(`Blob ${blob.hash}: refCount is ${blob.refCount}, referenced ${refCount} time(s)`);
+
+      if (fix) {
+        await Blob.updateOne({ _id: blob._id }, { refCount });
+      }
+    }
+  }
+
+  return { knownKeys, missingHashes, miscounted, unreferenced };
+}
+
+// Find stored data and thumbnails with no blob record or file pointing at
+// them. Temporary uploads live in dot-directories and are left alone.
+async function removeOrphanedData(knownKeys, legacyPaths, fix) {
+  const backends = new Set(['local', ...knownKeys.keys()]);
+  let orphaned = 0;
+
+  for (const backend of backends) {
+    const driver = getDriver(backend);
+    const keys = knownKeys.get(backend) || new Set();
+
+    for await (const { key, size } of driver.list()) {
+      if (key.split('/').some(segment => segment.startsWith('.'))) continue;
+
+      const isKnown = key.startsWith('blobs/') || key.startsWith('previews/')
+        ? keys.has(key)
+        : backend === 'local' && legacyPaths.has(path.resolve(uploadDir, key));
+      if (isKnown) continue;
+
+      orphaned++;
+      console.log(`Orphaned data in ${backend}: ${key} (${size} bytes)`);
+
+      if (fix) {
+        await driver.remove(key);
+      }
+    }
+  }
+
+  return orphaned;
+}
+
+// Report files and versions whose stored data is gone
+async function reportMissingData(missingHashes, legacyPaths) {
+  const knownHashes = new Set(await Blob.distinct('hash'));
+  let missing = 0;
+
+  for (const Model of [File, FileVersion]) {
+    const cursor = Model.find({ hash: { $ne: null } })
+      .select('originalName hash')
+      .setOptions({ withDeleted: true })
+      .cursor();
+
+    for await (const doc of cursor) {
+      if (knownHashes.has(doc.hash) && !missingHashes.has(doc.hash)) continue;
+
+      missing++;
+      console.log(`${Model.modelName} ${doc._id} (${doc.originalName}): data for blob ${doc.hash} is missing`);
+    }
+  }
+
+  for (const [filePath, doc] of legacyPaths) {
+    if (fs.existsSync(filePath)) continue;
+
+    missing++;
+    console.log(`${doc.constructor.modelName} ${doc._id}: file ${doc.path} is missing`);
+  }
+
+  return missing;
+}
+
+async function main() {
+  const { fix } = parseArgs(process.argv.slice(2));
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/storage-management');
+
+  const { usage, references, legacyPaths } = await collectUsage();
+  const mismatched = await reconcileUsage(usage, fix);
+  const { knownKeys, missingHashes, miscounted, unreferenced } = await reconcileBlobs(references, fix);
+  const orphaned = await removeOrphanedData(knownKeys, legacyPaths, fix);
+  const missing = await reportMissingData(missingHashes, legacyPaths);
+
+  const action = fix ? 'fixed' : 'found';
+  console.log(`Storage usage: ${mismatched} user(s) ${action}`);
+  console.log(`Blobs: ${miscounted} wrong reference count(s) and ${unreferenced} unreferenced blob(s) ${action}`);
+  console.log(`Orphaned data: ${orphaned} object(s) ${fix ? 'removed' : 'found'}`);
+  console.log(`Missing data: ${missing} file(s) or version(s)`);
+
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('Storage reconciliation error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+// Set the role of a user, for example to make the first administrator.
+//
+// Usage:
+//   node scripts/setUserRole.js <email> <user|admin>
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+async function main() {
+  const [email, role] = process.argv.slice(2);
+  const roles = User.schema.path('role').enumValues;
+
+  if (!email || !roles.includes(role)) {
+    console.error(`Usage: node scripts/setUserRole.js <email> <${roles.join('|')}>`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/storage-management');
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { role },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`No user with email ${email}`);
+  } else {
+    console.log(`${user.username} is now ${role === 'admin' ? 'an administrator' : 'a regular user'}`);
+  }
+
+  await mongoose.disconnect();
+  process.exit(user ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('Set user role error:', error);
+  process.exit(1);
+});
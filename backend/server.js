@@ -10,6 +10,22 @@ const folderRoutes = require('./routes/folders');
 const fileRoutes = require('./routes/files');
 const noteRoutes = require('./routes/notes');
 const summaryRoutes = require('./routes/summary');
+const uploadRoutes = require('./routes/uploads');
+const trashRoutes = require('./routes/trash');
+const blobRoutes = require('./routes/blobs');
+const shareRoutes = require('./routes/shares');
+const grantRoutes = require('./routes/grants');
+const publicShareRoutes = require('./routes/publicShares');
+const adminRoutes = require('./routes/admin');
+const searchRoutes = require('./routes/search');
+const tagRoutes = require('./routes/tags');
+const smartFolderRoutes = require('./routes/smartFolders');
+const cleanupUploadSessions = require('./jobs/cleanupUploadSessions');
+const purgeTrash = require('./jobs/purgeTrash');
+const reconcileFolderStats = require('./jobs/reconcileFolderStats');
+const generatePreviews = require('./jobs/generatePreviews');
+const scanPendingFiles = require('./jobs/scanPendingFiles');
+const indexFileText = require('./jobs/indexFileText');
 
 const app = express();
 
@@ -17,7 +33,8 @@ const app = express();
 app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length']
 }));
 
 // Rate limiting
@@ -31,8 +48,8 @@ app.use(limiter);
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Static files
-app.use('/uploads', express.static('uploads'));
+// File data, served through signed links only
+app.use('/api/blobs', blobRoutes);
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/storage-management', {
@@ -48,6 +65,17 @@ app.use('/api/folders', folderRoutes);
 app.use('/api/files', fileRoutes);
 app.use('/api/notes', noteRoutes);
 app.use('/api/summary', summaryRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/shares', shareRoutes);
+app.use('/api/grants', grantRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/smart-folders', smartFolderRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Public share links
+app.use('/s', publicShareRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -72,6 +100,37 @@ app.use('*', (req, res) => {
   });
 });
 
+// Background jobs
+setInterval(() => {
+  cleanupUploadSessions()
+    .catch(err => console.error('Upload session cleanup error:', err));
+}, 60 * 60 * 1000); // hourly
+
+setInterval(() => {
+  purgeTrash()
+    .catch(err => console.error('Trash purge error:', err));
+}, 60 * 60 * 1000); // hourly
+
+setInterval(() => {
+  reconcileFolderStats()
+    .catch(err => console.error('Folder stats reconciliation error:', err));
+}, 24 * 60 * 60 * 1000); // daily
+
+setInterval(() => {
+  scanPendingFiles()
+    .catch(err => console.error('Malware scan error:', err));
+}, 10 * 60 * 1000); // every 10 minutes
+
+setInterval(() => {
+  generatePreviews()
+    .catch(err => console.error('Preview generation error:', err));
+}, 60 * 60 * 1000); // hourly
+
+setInterval(() => {
+  indexFileText()
+    .catch(err => console.error('Text extraction error:', err));
+}, 60 * 60 * 1000); // hourly
+
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,88 @@
+const Grant = require('../models/Grant');
+const Folder = require('../models/Folder');
+const User = require('../models/User');
+
+// Users other than the owner reach files, folders and notes through grants.
+// A grant on a folder applies to everything inside it, at any depth, and
+// the highest role found on the item or its folders wins.
+
+// Check whether a role includes the access of another. Owners can do
+// anything, including things no grant allows.
+function hasRole(role, required) {
+  if (role === 'owner') return true;
+  if (!role || required === 'owner') return false;
+  return Grant.ROLES.indexOf(role) >= Grant.ROLES.indexOf(required);
+}
+
+// Get the id of the folder an item lives in
+function getParentId(item) {
+  return item instanceof Folder ? item.parentFolder : item.folder;
+}
+
+// Get the id of an item's owner, whether or not it has been populated
+function getOwnerId(item) {
+  return item.populated('owner') || item.owner;
+}
+
+// Get the ids of a folder and all the folders above it
+async function getFolderChain(folderId) {
+  const ids = [];
+  let currentId = folderId;
+
+  while (currentId && !ids.some(id => id.equals(currentId))) {
+    ids.push(currentId);
+    const folder = await Folder.findById(currentId).select('parentFolder');
+    currentId = folder ? folder.parentFolder : null;
+  }
+
+  return ids;
+}
+
+// Get a user's role on an item: 'owner', the highest role granted on the
+// item or a folder above it, or null if they have no access
+async function getRole(item, userId) {
+  if (getOwnerId(item).equals(userId)) return 'owner';
+
+  const resources = [item._id, ...await getFolderChain(getParentId(item))];
+  const grants = await Grant.find({
+    grantee: userId,
+    resource: { $in: resources }
+  }).select('role');
+
+  return grants.reduce(
+    (best, grant) => (!best || hasRole(grant.role, best) ? grant.role : best),
+    null
+  );
+}
+
+// Find an item by ID together with the user's role on it. Returns null if
+// the item does not exist or the user cannot access it.
+async function findAccessible(Model, id, userId) {
+  const item = await Model.findById(id);
+  if (!item) return null;
+
+  const role = await getRole(item, userId);
+  return role ? { item, role } : null;
+}
+
+// Find a folder the user may add items to
+async function findWritableFolder(folderId, userId) {
+  const access = await findAccessible(Folder, folderId, userId);
+  return access && hasRole(access.role, 'editor') ? access.item : null;
+}
+
+// Get the user an item's storage is charged to. Items added to a shared
+// folder belong to the folder's owner, so this is not always the requester.
+async function getStorageOwner(ownerId, user) {
+  return user._id.equals(ownerId) ? user : User.findById(ownerId);
+}
+
+module.exports = {
+  hasRole,
+  getParentId,
+  getFolderChain,
+  getRole,
+  findAccessible,
+  findWritableFolder,
+  getStorageOwner
+};
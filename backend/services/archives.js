@@ -0,0 +1,188 @@
+const path = require('path');
+const archiver = require('archiver');
+const Folder = require('../models/Folder');
+const File = require('../models/File');
+const Note = require('../models/Note');
+const { openContent } = require('./files');
+const { getDownloadBlock, contentDisposition } = require('./downloads');
+
+// ZIP archives of folders and selections are built while they are sent:
+// entries are added one at a time and each file's data is only opened when
+// its turn comes, so nothing is buffered in memory or written to disk.
+
+// Make a folder or file name safe to use as one segment of an entry path
+function sanitizeSegment(name) {
+  const segment = name.replace(/[\x00-\x1f\\/:*?"<>|]/g, '_').trim();
+  return !segment || segment === '.' || segment === '..' ? '_' : segment;
+}
+
+// Make an entry path unique within its directory by numbering repeats,
+// as in "report (1).pdf"
+function claimName(usedNames, directory, name) {
+  const ext = path.extname(name);
+  const base = name.slice(0, name.length - ext.length);
+
+  let candidate = name;
+  for (let i = 1; usedNames.has(`${directory}${candidate}`.toLowerCase()); i++) {
+    candidate = `${base} (${i})${ext}`;
+  }
+
+  usedNames.add(`${directory}${candidate}`.toLowerCase());
+  return `${directory}${candidate}`;
+}
+
+// Render a note as Markdown
+function renderNote(note) {
+  return `# ${note.title}\n\n${note.content}\n`;
+}
+
+// Build the list of entries for files and notes placed in a directory of
+// the archive. Files that may not be downloaded are left out.
+function addItemEntries(entries, usedNames, directory, files, notes) {
+  for (const file of files) {
+    if (getDownloadBlock(file)) continue;
+    entries.push({ name: claimName(usedNames, directory, sanitizeSegment(file.name)), file });
+  }
+
+  for (const note of notes) {
+    entries.push({ name: claimName(usedNames, directory, `${sanitizeSegment(note.title)}.md`), note });
+  }
+}
+
+// Get the entries of an archive of a folder's live subtree. Directories
+// follow the folders' paths below the archived folder, which becomes the
+// top directory of the archive; sibling folders sharing a name share a
+// directory.
+async function getFolderEntries(folder) {
+  const folders = [folder];
+  let level = [folder._id];
+
+  while (level.length > 0) {
+    const children = await Folder.find({
+      parentFolder: { $in: level },
+      owner: folder.owner
+    }).select('name path parentFolder updatedAt');
+
+    folders.push(...children);
+    level = children.map(child => child._id);
+  }
+
+  const folderIds = folders.map(item => item._id);
+  const [files, notes] = await Promise.all([
+    File.find({ owner: folder.owner, folder: { $in: folderIds } }).sort({ name: 1 }),
+    Note.find({ owner: folder.owner, folder: { $in: folderIds } }).sort({ title: 1 })
+  ]);
+
+  const root = sanitizeSegment(folder.name);
+  const usedNames = new Set();
+  const entries = [];
+
+  for (const item of folders) {
+    const relativePath = item.path.slice(folder.path.length + 1);
+    const segments = relativePath ? relativePath.split('/').map(sanitizeSegment) : [];
+    const directory = `${[root, ...segments].join('/')}/`;
+
+    if (!usedNames.has(directory.toLowerCase())) {
+      usedNames.add(directory.toLowerCase());
+      entries.push({ name: directory, date: item.updatedAt });
+    }
+
+    addItemEntries(
+      entries,
+      usedNames,
+      directory,
+      files.filter(file => file.folder.equals(item._id)),
+      notes.filter(note => note.folder.equals(item._id))
+    );
+  }
+
+  return entries;
+}
+
+// Get the entries of an archive of selected files and notes, all placed at
+// the top of the archive
+function getSelectionEntries(files, notes) {
+  const entries = [];
+  addItemEntries(entries, new Set(), '', files, notes);
+  return entries;
+}
+
+// Wait until the archive has written its latest entry. Resolves to false
+// if the archive failed or the client went away first.
+function waitForEntry(archive, res) {
+  return new Promise(resolve => {
+    const finish = result => {
+      archive.off('entry', onEntry);
+      archive.off('error', onFailure);
+      res.off('close', onFailure);
+      resolve(result);
+    };
+    const onEntry = () => finish(true);
+    const onFailure = () => finish(false);
+
+    archive.on('entry', onEntry);
+    archive.on('error', onFailure);
+    res.on('close', onFailure);
+  });
+}
+
+// Stream a ZIP archive of the given entries. Headers are sent before the
+// first entry, so errors after that can only abort the response.
+async function streamArchive(res, entries) {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+
+  archive.on('warning', error => console.error('Archive warning:', error));
+  archive.on('error', error => {
+    console.error('Archive error:', error);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+
+  for (const entry of entries) {
+    if (entry.file) {
+      const stream = await openContent(entry.file);
+      if (!stream) {
+        console.error(`Archive: data of file ${entry.file._id} is missing`);
+        continue;
+      }
+      archive.append(stream, { name: entry.name, date: entry.file.updatedAt });
+    } else if (entry.note) {
+      archive.append(renderNote(entry.note), { name: entry.name, date: entry.note.updatedAt });
+    } else {
+      archive.append(null, { name: entry.name, type: 'directory', date: entry.date });
+    }
+
+    // Only open the next file once this one has been written
+    if (!(await waitForEntry(archive, res))) {
+      archive.abort();
+      return;
+    }
+  }
+
+  await archive.finalize();
+}
+
+// Send an archive of the given entries as a download. Every file in it
+// counts as downloaded.
+async function sendArchive(res, filename, entries) {
+  const fileIds = entries.filter(entry => entry.file).map(entry => entry.file._id);
+  if (fileIds.length > 0) {
+    await File.updateMany(
+      { _id: { $in: fileIds } },
+      { $inc: { downloadCount: 1 }, lastAccessed: new Date() },
+      { timestamps: false }
+    );
+  }
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', contentDisposition('attachment', filename));
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  await streamArchive(res, entries);
+}
+
+module.exports = {
+  getFolderEntries,
+  getSelectionEntries,
+  sendArchive
+};
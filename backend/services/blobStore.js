@@ -0,0 +1,142 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const Blob = require('../models/Blob');
+const { getDriver, getDefaultDriverName } = require('./storage');
+
+// Content-addressed store: every distinct set of bytes is kept once under
+// its SHA-256 hash and shared by all files and versions referencing it.
+// The data itself lives in whichever storage driver the blob records.
+
+// Compute the SHA-256 hash of a file on disk
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Get the storage key a blob with the given hash is stored under
+function getBlobKey(hash) {
+  return `blobs/${hash.slice(0, 2)}/${hash}`;
+}
+
+// How long an upload waits for the data of a blob with the same bytes to be
+// removed before writing it again, and how often it checks
+const DELETE_WAIT_MS = 30 * 1000;
+const DELETE_POLL_MS = 100;
+
+// Move a freshly uploaded file into the store and take a reference to it.
+// If the same bytes are already stored the upload is discarded instead.
+async function ingest(tempPath, driverName = getDefaultDriverName()) {
+  const hash = await hashFile(tempPath);
+
+  const existing = await addReference(hash);
+  if (existing) {
+    fs.unlinkSync(tempPath);
+    return existing;
+  }
+
+  // The same bytes may be being deleted. Their data shares this upload's
+  // key, so it is only written once the old data is gone.
+  await waitForDeletion(hash);
+
+  const driver = getDriver(driverName);
+  const key = getBlobKey(hash);
+  const { size } = fs.statSync(tempPath);
+  await driver.importFile(tempPath, key);
+
+  try {
+    return await Blob.create({
+      hash,
+      size,
+      key,
+      backend: driver.name,
+      refCount: 1
+    });
+  } catch (error) {
+    // Another upload of the same bytes created the record first
+    if (error.code === 11000) {
+      const blob = await addReference(hash);
+      if (blob) return blob;
+    }
+    throw error;
+  }
+}
+
+// Wait until a blob with the given hash is no longer being deleted
+async function waitForDeletion(hash) {
+  const deadline = Date.now() + DELETE_WAIT_MS;
+
+  while (await Blob.exists({ hash, deleting: true })) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for blob ${hash} to be deleted`);
+    }
+    await new Promise(resolve => setTimeout(resolve, DELETE_POLL_MS));
+  }
+}
+
+// Take an extra reference to a stored blob. Returns null if it is unknown
+// or being deleted.
+async function addReference(hash) {
+  return Blob.findOneAndUpdate(
+    { hash, deleting: { $ne: true } },
+    { $inc: { refCount: 1 } },
+    { new: true }
+  );
+}
+
+// Drop a reference to a stored blob, deleting the data once nothing
+// references it any more
+async function release(hash) {
+  const blob = await Blob.findOneAndUpdate(
+    { hash },
+    { $inc: { refCount: -1 } },
+    { new: true }
+  );
+
+  if (!blob || blob.refCount > 0) return;
+
+  // Mark the blob first, so no upload of the same bytes takes a reference
+  // to it or writes its data again until it is removed
+  const deleting = await Blob.findOneAndUpdate(
+    { hash, refCount: { $lte: 0 }, deleting: { $ne: true } },
+    { deleting: true },
+    { new: true }
+  );
+  if (!deleting) return;
+
+  try {
+    const driver = getDriver(deleting.backend);
+    await driver.remove(deleting.key);
+
+    for (const thumbnail of deleting.preview.thumbnails) {
+      await driver.remove(thumbnail.key);
+    }
+  } finally {
+    await Blob.deleteOne({ _id: deleting._id });
+  }
+}
+
+// Open a stored blob for reading. Returns null if its data is missing.
+// Options may hold an inclusive byte range as start and end.
+async function open(hash, options = {}) {
+  const blob = await Blob.findOne({ hash });
+  if (!blob) return null;
+
+  const driver = getDriver(blob.backend);
+  if (!(await driver.exists(blob.key))) return null;
+
+  return driver.createReadStream(blob.key, options);
+}
+
+module.exports = {
+  hashFile,
+  getBlobKey,
+  ingest,
+  addReference,
+  release,
+  open
+};
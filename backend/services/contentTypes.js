@@ -0,0 +1,172 @@
+const fs = require('fs');
+
+// The mime type a client declares for an upload is only a claim. These
+// helpers look at the bytes that actually landed on disk instead, so an
+// HTML page or executable renamed to .png is caught before it is stored.
+
+const HEAD_SIZE = 8 * 1024;
+const ZIP_TAIL_SIZE = 64 * 1024 + 22;
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Declared types that name the same content as the detected type
+const TYPE_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'text/csv': 'text/plain'
+};
+
+// Formats recognised from their leading bytes
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/gif', text: 'GIF87a' },
+  { mimeType: 'image/gif', text: 'GIF89a' },
+  { mimeType: 'application/pdf', text: '%PDF-' },
+  { mimeType: 'application/msword', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+  { mimeType: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mimeType: 'application/x-msdownload', text: 'MZ' },
+  { mimeType: 'application/x-executable', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { mimeType: 'application/x-mach-binary', bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+  { mimeType: 'text/x-shellscript', text: '#!' }
+];
+
+// Detected types that are never accepted under another declared type, as
+// they would run if opened
+const DANGEROUS_TYPES = [
+  'text/html',
+  'application/x-msdownload',
+  'application/x-executable',
+  'application/x-mach-binary',
+  'text/x-shellscript'
+];
+
+// Declared types the content can be checked against. Others, such as video
+// or JSON, cannot be told apart from unrecognised data or plain text.
+const VERIFIABLE_TYPES = new Set([
+  ...SIGNATURES.map(signature => signature.mimeType),
+  ...Object.keys(TYPE_ALIASES),
+  'image/webp',
+  DOCX_TYPE,
+  'text/plain'
+]);
+
+// Markup that browsers would render or run if it were served as is
+const MARKUP_PATTERN = /^\s*(<!doctype\s+html|<html|<head|<body|<script|<svg|<\?xml)/i;
+
+function readBytes(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+function matchesSignature(head, signature) {
+  const bytes = signature.bytes || [...Buffer.from(signature.text, 'latin1')];
+  return bytes.every((byte, i) => head[i] === byte);
+}
+
+// Check whether bytes look like UTF-8 text. A character cut off at the end
+// of the sample does not count against it.
+function isText(sample, isComplete) {
+  if (sample.includes(0)) return false;
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: !isComplete });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// List the entry names of a ZIP archive from its central directory
+function readZipEntryNames(fd, size) {
+  const tailStart = Math.max(0, size - ZIP_TAIL_SIZE);
+  const tail = readBytes(fd, tailStart, size - tailStart);
+
+  const end = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (end === -1 || end + 22 > tail.length) return [];
+
+  const directorySize = tail.readUInt32LE(end + 12);
+  const directoryOffset = tail.readUInt32LE(end + 16);
+  const directory = readBytes(fd, directoryOffset, directorySize);
+
+  const names = [];
+  let offset = 0;
+  while (offset + 46 <= directory.length && directory.readUInt32LE(offset) === 0x02014b50) {
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    names.push(directory.toString('utf8', offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return names;
+}
+
+// Detect the mime type of a file from its content. Returns
+// application/octet-stream for binary data that is not recognised.
+function detectMimeType(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+
+  try {
+    const { size } = fs.fstatSync(fd);
+    const head = readBytes(fd, 0, HEAD_SIZE);
+
+    if (head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP') {
+      return 'image/webp';
+    }
+
+    const signature = SIGNATURES.find(item => matchesSignature(head, item));
+    if (signature && signature.mimeType === 'application/zip') {
+      // Word documents are ZIP archives with a known layout
+      const names = readZipEntryNames(fd, size);
+      return names.includes('[Content_Types].xml') && names.some(name => name.startsWith('word/'))
+        ? DOCX_TYPE
+        : 'application/zip';
+    }
+    if (signature) return signature.mimeType;
+
+    if (isText(head, head.length === size)) {
+      return MARKUP_PATTERN.test(head.toString('utf8')) ? 'text/html' : 'text/plain';
+    }
+
+    return 'application/octet-stream';
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Get what to do with uploads whose content does not match their declared
+// type: reject them, or store them quarantined
+function getMismatchAction() {
+  return process.env.UPLOAD_TYPE_MISMATCH === 'quarantine' ? 'quarantine' : 'reject';
+}
+
+// Check the content of an upload against the type the client declared.
+// Returns the mime type to store it under and, when the two disagree, the
+// reason and the configured action.
+function inspectUpload(filePath, declaredType) {
+  const detectedType = detectMimeType(filePath);
+  const declared = TYPE_ALIASES[declaredType] || declaredType;
+
+  if (declared === detectedType) {
+    // Text formats cannot be told apart by content, so CSV stays CSV
+    return { mimeType: detectedType === 'text/plain' ? declaredType : detectedType, mismatch: null };
+  }
+
+  // Types that cannot be verified are taken as declared, unless the
+  // content is something that would run
+  if (!VERIFIABLE_TYPES.has(declared) && !DANGEROUS_TYPES.includes(detectedType)) {
+    return { mimeType: declaredType, mismatch: null };
+  }
+
+  return {
+    mimeType: detectedType,
+    mismatch: `Declared as ${declaredType} but the content is ${detectedType}`,
+    action: getMismatchAction()
+  };
+}
+
+module.exports = {
+  detectMimeType,
+  inspectUpload
+};
@@ -0,0 +1,191 @@
+const { openContent } = require('./files');
+
+// HTTP semantics for serving stored data: validators for conditional
+// requests, single byte ranges so viewers can seek and downloads can
+// resume, and Content-Disposition headers that survive non-ASCII names.
+
+// Get the entity tag of a file or version. Blobs never change, so their
+// hash is a strong validator; legacy files fall back to a weak one.
+function getETag(doc) {
+  if (doc.hash) return `"${doc.hash}"`;
+  return `W/"${doc.size.toString(16)}-${getLastModified(doc).getTime().toString(16)}"`;
+}
+
+// Get the time the data was last modified, truncated to whole seconds as
+// HTTP dates are. Content stored before this was recorded counts as
+// unchanged since it was created.
+function getLastModified(doc) {
+  const date = new Date(doc.contentUpdatedAt || doc.createdAt);
+  date.setMilliseconds(0);
+  return date;
+}
+
+// Compare entity tags, ignoring whether they are weak
+function etagsMatch(a, b) {
+  return a.replace(/^W\//, '') === b.replace(/^W\//, '');
+}
+
+// Check whether the client's cached copy is still current
+function isNotModified(req, etag, lastModified) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch.trim() === '*' ||
+      ifNoneMatch.split(',').some(tag => etagsMatch(tag.trim(), etag));
+  }
+
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+  return !isNaN(ifModifiedSince) && lastModified.getTime() <= ifModifiedSince;
+}
+
+// Check whether a Range request still applies to the current data. If-Range
+// only matches a strong entity tag or the exact modification date.
+function isRangeCurrent(req, etag, lastModified) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return !etag.startsWith('W/') && ifRange === etag;
+  }
+  return Date.parse(ifRange) === lastModified.getTime();
+}
+
+// Parse a Range header for a single byte range. Returns the inclusive
+// start and end, 'unsatisfiable', or null when the header should be ignored.
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // Suffix range: the last n bytes
+    const length = parseInt(match[2]);
+    if (length === 0) return 'unsatisfiable';
+    start = Math.max(0, size - length);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] ? parseInt(match[2]) : size - 1;
+    if (match[2] && end < start) return null;
+    end = Math.min(end, size - 1);
+  }
+
+  return start < size ? { start, end } : 'unsatisfiable';
+}
+
+// Get why the data of a file or version may not be served, as the HTTP
+// status and message to answer with, or null if it may be served
+function getDownloadBlock(doc) {
+  if (doc.quarantineReason) {
+    return {
+      status: 403,
+      message: `This file has been quarantined: ${doc.quarantineReason}`,
+      data: { scanStatus: doc.scan.status }
+    };
+  }
+
+  if (doc.scan.status === 'pending') {
+    return {
+      status: 409,
+      message: 'This file is still being scanned for malware',
+      data: { scanStatus: doc.scan.status }
+    };
+  }
+
+  return null;
+}
+
+// Work out how to answer a GET for the data of a file or version and open
+// the data if any is to be sent. Returns null if the data is missing.
+// isNewDownload tells whether the response starts a download rather than
+// revalidating or resuming one.
+async function openDownload(req, doc) {
+  const etag = getETag(doc);
+  const lastModified = getLastModified(doc);
+  const download = { etag, lastModified, status: 200, range: null, stream: null, isNewDownload: false };
+
+  if (isNotModified(req, etag, lastModified)) {
+    download.status = 304;
+    return download;
+  }
+
+  if (req.headers.range && isRangeCurrent(req, etag, lastModified)) {
+    const range = parseRange(req.headers.range, doc.size);
+
+    if (range === 'unsatisfiable') {
+      download.status = 416;
+      return download;
+    }
+    if (range) {
+      download.status = 206;
+      download.range = range;
+    }
+  }
+
+  download.stream = await openContent(doc, download.range || {});
+  if (!download.stream) return null;
+
+  download.isNewDownload = !download.range || download.range.start === 0;
+  return download;
+}
+
+// Build a Content-Disposition header with an ASCII fallback name and the
+// full name encoded as described in RFC 5987
+function contentDisposition(type, filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename)
+    .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// Send the response worked out by openDownload
+function sendDownload(res, doc, download, options = {}) {
+  const {
+    disposition = 'attachment',
+    filename = doc.originalName,
+    cacheControl = 'private, no-cache'
+  } = options;
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', download.etag);
+  res.setHeader('Last-Modified', download.lastModified.toUTCString());
+  res.setHeader('Cache-Control', cacheControl);
+
+  if (download.status === 304) {
+    return res.status(304).end();
+  }
+
+  if (download.status === 416) {
+    res.setHeader('Content-Range', `bytes */${doc.size}`);
+    return res.status(416).json({
+      success: false,
+      message: 'Requested range not satisfiable'
+    });
+  }
+
+  const { range, stream } = download;
+  res.status(download.status);
+  res.setHeader('Content-Type', doc.mimeType);
+  res.setHeader('Content-Disposition', contentDisposition(disposition, filename));
+
+  if (range) {
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${doc.size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+  } else {
+    res.setHeader('Content-Length', doc.size);
+  }
+
+  stream.on('error', error => {
+    console.error('Stream content error:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
+
+module.exports = {
+  getDownloadBlock,
+  contentDisposition,
+  openDownload,
+  sendDownload
+};
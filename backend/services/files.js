@@ -0,0 +1,155 @@
+const fs = require('fs');
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const FileText = require('../models/FileText');
+const blobStore = require('./blobStore');
+
+// Remove a physical file from disk if it is still there
+function unlinkIfExists(filePath) {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
+
+// Get the content fields of a file or version stored in the given blob
+function getContentFields(blob, mimeType) {
+  return {
+    type: File.getFileType(mimeType),
+    mimeType,
+    size: blob.size,
+    path: blob.key,
+    hash: blob.hash
+  };
+}
+
+// Move an upload into the blob store and get the content fields for it
+async function ingestUpload(tempPath, mimeType, driverName) {
+  const blob = await blobStore.ingest(tempPath, driverName);
+  return getContentFields(blob, mimeType);
+}
+
+// Open the stored data of a file or version for reading. Returns null if
+// the data is missing. Options may hold an inclusive byte range as start
+// and end.
+async function openContent(doc, options = {}) {
+  if (doc.hash) {
+    return blobStore.open(doc.hash, options);
+  }
+  return fs.existsSync(doc.path) ? fs.createReadStream(doc.path, options) : null;
+}
+
+// Drop the stored data of a file or version. Files uploaded before the blob
+// store existed own their data directly and are simply unlinked.
+async function releaseContent(doc) {
+  if (doc.hash) {
+    await blobStore.release(doc.hash);
+  } else {
+    unlinkIfExists(doc.path);
+  }
+}
+
+// Move the data of a file or version uploaded before the blob store
+// existed into it
+async function adoptLegacyFile(doc, driverName) {
+  if (doc.hash) return doc;
+
+  Object.assign(doc, await ingestUpload(doc.path, doc.mimeType, driverName));
+  await doc.save();
+  return doc;
+}
+
+// Create a copy of a file's current version that shares its stored data.
+// Fields such as the name or folder of the copy can be overridden.
+async function copyFile(file, fields = {}) {
+  await adoptLegacyFile(file);
+  await blobStore.addReference(file.hash);
+
+  const copy = new File({
+    name: file.name,
+    originalName: file.originalName,
+    type: file.type,
+    mimeType: file.mimeType,
+    size: file.size,
+    path: file.path,
+    hash: file.hash,
+    quarantineReason: file.quarantineReason,
+    scan: file.scan,
+    owner: file.owner,
+    folder: file.folder,
+    tags: [...file.tags],
+    description: file.description,
+    ...fields
+  });
+
+  // A copy that is never saved must not keep the data alive
+  try {
+    await copy.save();
+  } catch (error) {
+    await blobStore.release(file.hash);
+    throw error;
+  }
+
+  // The copy has the same content, so it can be searched by the same text
+  const text = await FileText.findOne({ file: file._id, hash: file.hash });
+  if (text) {
+    await FileText.create({
+      file: copy._id,
+      owner: copy.owner,
+      hash: text.hash,
+      text: text.text,
+      truncated: text.truncated
+    });
+    await File.updateOne({ _id: copy._id }, { $set: { 'textIndex.status': 'ready' } }, { timestamps: false });
+    copy.textIndex.status = 'ready';
+  }
+
+  return copy;
+}
+
+// Permanently delete a file, its previous versions and their stored data.
+// Returns the number of bytes freed so the caller can update storage usage.
+async function removeFile(file) {
+  const versions = await FileVersion.find({ file: file._id });
+
+  let freedSize = file.size;
+  for (const version of versions) {
+    await releaseContent(version);
+    freedSize += version.size;
+  }
+  await releaseContent(file);
+
+  await FileVersion.deleteMany({ file: file._id });
+  await FileText.deleteOne({ file: file._id });
+  await File.findByIdAndDelete(file._id);
+
+  return freedSize;
+}
+
+// Delete previous versions beyond the file's retention limit.
+// Returns the number of bytes freed.
+async function pruneVersions(file) {
+  const expired = await FileVersion.find({ file: file._id })
+    .sort({ version: -1 })
+    .skip(file.getVersionLimit());
+
+  let freedSize = 0;
+  for (const version of expired) {
+    await releaseContent(version);
+    await FileVersion.findByIdAndDelete(version._id);
+    freedSize += version.size;
+  }
+
+  return freedSize;
+}
+
+module.exports = {
+  unlinkIfExists,
+  getContentFields,
+  ingestUpload,
+  openContent,
+  releaseContent,
+  adoptLegacyFile,
+  copyFile,
+  removeFile,
+  pruneVersions
+};
@@ -0,0 +1,71 @@
+const Folder = require('../models/Folder');
+const File = require('../models/File');
+const Note = require('../models/Note');
+
+// Folders keep aggregates of their contents: size and itemCount cover the
+// files, notes and subfolders directly inside them, totalSize and
+// totalItemCount the whole subtree. Instead of adjusting counters, the
+// aggregates are recomputed from the bottom up whenever contents change,
+// so they cannot drift.
+
+// Recompute the aggregates of a folder from its direct contents and the
+// totals already stored on its subfolders
+async function computeFolderStats(folder) {
+  const filter = { owner: folder.owner };
+
+  const [[fileStats], noteCount, subfolders] = await Promise.all([
+    File.aggregate([
+      { $match: { ...filter, folder: folder._id } },
+      { $group: { _id: null, count: { $sum: 1 }, size: { $sum: '$size' } } }
+    ]),
+    Note.countDocuments({ ...filter, folder: folder._id }),
+    Folder.find({ ...filter, parentFolder: folder._id }).select('totalSize totalItemCount')
+  ]);
+
+  const size = fileStats ? fileStats.size : 0;
+  const itemCount = (fileStats ? fileStats.count : 0) + noteCount + subfolders.length;
+  const stats = {
+    size,
+    itemCount,
+    totalSize: subfolders.reduce((sum, subfolder) => sum + subfolder.totalSize, size),
+    totalItemCount: subfolders.reduce((sum, subfolder) => sum + subfolder.totalItemCount, itemCount)
+  };
+
+  // Content changes should not count as an update of the folder itself
+  await Folder.updateOne({ _id: folder._id }, { $set: stats }, { timestamps: false });
+  return stats;
+}
+
+// Refresh the aggregates of the given folders and of every folder above
+// them. Empty IDs, standing for the top level, are skipped.
+async function refreshFolderStats(...folderIds) {
+  const ids = new Set(folderIds.filter(Boolean).map(String));
+
+  for (const folderId of ids) {
+    const seen = new Set();
+    let folder = await Folder.findById(folderId);
+
+    while (folder && !seen.has(String(folder._id))) {
+      seen.add(String(folder._id));
+      await computeFolderStats(folder);
+      folder = folder.parentFolder ? await Folder.findById(folder.parentFolder) : null;
+    }
+  }
+}
+
+// Recompute the aggregates of a folder and every folder below it
+async function refreshFolderTree(folder) {
+  const subfolders = await Folder.find({ parentFolder: folder._id, owner: folder.owner });
+
+  for (const subfolder of subfolders) {
+    await refreshFolderTree(subfolder);
+  }
+
+  return computeFolderStats(folder);
+}
+
+module.exports = {
+  computeFolderStats,
+  refreshFolderStats,
+  refreshFolderTree
+};
@@ -0,0 +1,253 @@
+const Folder = require('../models/Folder');
+const File = require('../models/File');
+const Note = require('../models/Note');
+const { hasRole, getFolderChain, findAccessible, findWritableFolder } = require('./access');
+const { copyFile } = require('./files');
+const { releaseStorage } = require('./quota');
+const { refreshFolderStats, refreshFolderTree } = require('./folderStats');
+
+// Get the path of a folder with the given name placed under a parent
+function buildPath(parent, name) {
+  return parent ? `${parent.path}/${name}` : name;
+}
+
+// Check whether a folder is the root folder or lies somewhere below it
+async function isInSubtree(folderId, rootId) {
+  const chain = await getFolderChain(folderId);
+  return chain.some(id => id.equals(rootId));
+}
+
+// Update filter matching every folder whose path starts with the prefix,
+// compared as a plain string so no characters need escaping
+function pathStartsWith(prefix) {
+  return {
+    $expr: {
+      $eq: [{ $substrCP: ['$path', 0, [...prefix].length] }, prefix]
+    }
+  };
+}
+
+// Replace the leading oldPath of a folder's path with newPath
+function replacePathPrefix(oldPath, newPath) {
+  return {
+    $concat: [
+      newPath,
+      { $substrCP: ['$path', [...oldPath].length, { $strLenCP: '$path' }] }
+    ]
+  };
+}
+
+// Rewrite the paths of all folders below a folder that was renamed from
+// oldPath in a single update. Trashed folders below it are included so they
+// restore correctly; other trashed folders still holding the same path are
+// not.
+async function rewriteDescendantPaths(folder, oldPath) {
+  const [, ...descendantIds] = await getSubtreeFolderIds(folder, { withDeleted: true });
+
+  await Folder.updateMany(
+    { _id: { $in: descendantIds }, ...pathStartsWith(`${oldPath}/`) },
+    [{ $set: { path: replacePathPrefix(oldPath, folder.path) } }]
+  );
+}
+
+// Move a folder under a new parent, or to the top level when parent is
+// null. The folder and its whole subtree, trashed folders in it included,
+// are updated in one statement.
+async function moveFolder(folder, parent) {
+  const oldPath = folder.path;
+  const newPath = buildPath(parent, folder.name);
+  const parentId = parent ? parent._id : null;
+  const folderIds = await getSubtreeFolderIds(folder, { withDeleted: true });
+
+  await Folder.updateMany(
+    { _id: { $in: folderIds } },
+    [{
+      $set: {
+        path: replacePathPrefix(oldPath, newPath),
+        parentFolder: { $cond: [{ $eq: ['$_id', folder._id] }, parentId, '$parentFolder'] }
+      }
+    }]
+  );
+
+  folder.parentFolder = parentId;
+  folder.path = newPath;
+}
+
+// Resolve where items are being moved to: a folder the user may add items
+// to, or their own top level when folderId is empty. Returns the folder
+// and the owner items must have to go there, or null if it is not allowed.
+async function findMoveTarget(folderId, userId) {
+  if (!folderId) {
+    return { folder: null, owner: userId };
+  }
+
+  const folder = await findWritableFolder(folderId, userId);
+  return folder ? { folder, owner: folder.owner } : null;
+}
+
+// Load the items to move, checking each one can be moved to the target.
+// Returns the movable items and the IDs of those that cannot be moved.
+async function findMovableItems(Model, ids, target, userId) {
+  const items = [];
+  const rejected = [];
+
+  for (const id of new Set(ids.map(String))) {
+    const access = await findAccessible(Model, id, userId);
+
+    if (access && hasRole(access.role, 'editor') && access.item.owner.equals(target.owner)) {
+      items.push(access.item);
+    } else {
+      rejected.push(id);
+    }
+  }
+
+  return { items, rejected };
+}
+
+// Get the IDs of a folder and every live folder below it, or with
+// withDeleted every folder below it in the trash as well
+async function getSubtreeFolderIds(folder, { withDeleted = false } = {}) {
+  const folderIds = [folder._id];
+  let level = [folder._id];
+
+  while (level.length > 0) {
+    const children = await Folder.find({
+      parentFolder: { $in: level },
+      owner: folder.owner
+    }).select('_id').setOptions({ withDeleted });
+
+    level = children.map(child => child._id);
+    folderIds.push(...level);
+  }
+
+  return folderIds;
+}
+
+// Get the number of items in a folder's live subtree, the folder itself
+// included, and the total size of its files
+async function getSubtreeStats(folder) {
+  const folderIds = await getSubtreeFolderIds(folder);
+  const match = { owner: folder.owner, folder: { $in: folderIds } };
+  const [[fileStats], noteCount] = await Promise.all([
+    File.aggregate([
+      { $match: match },
+      { $group: { _id: null, count: { $sum: 1 }, size: { $sum: '$size' } } }
+    ]),
+    Note.countDocuments(match)
+  ]);
+
+  const fileCount = fileStats ? fileStats.count : 0;
+  return {
+    itemCount: folderIds.length + fileCount + noteCount,
+    totalSize: fileStats ? fileStats.size : 0
+  };
+}
+
+// Create an empty folder with the name, description, color and tags of
+// another
+async function copyFolderShell(source, parent, name) {
+  const folder = new Folder({
+    name,
+    description: source.description,
+    owner: source.owner,
+    parentFolder: parent ? parent._id : null,
+    path: buildPath(parent, name),
+    color: source.color,
+    tags: [...source.tags]
+  });
+
+  await folder.save();
+  return folder;
+}
+
+// Copy the subfolders, files and notes of a folder into another, level by
+// level. onProgress is called with the number and size of the items copied,
+// after every file so a failed copy knows exactly how much was stored.
+async function copyFolderContents(source, target, onProgress) {
+  const queue = [[source, target]];
+
+  while (queue.length > 0) {
+    const [from, to] = queue.shift();
+    const filter = { owner: from.owner };
+
+    const [subfolders, files, notes] = await Promise.all([
+      Folder.find({ ...filter, parentFolder: from._id }),
+      File.find({ ...filter, folder: from._id }),
+      Note.find({ ...filter, folder: from._id })
+    ]);
+
+    for (const file of files) {
+      await copyFile(file, { folder: to._id });
+      await onProgress(1, file.size);
+    }
+
+    for (const note of notes) {
+      await Note.create({
+        title: note.title,
+        content: note.content,
+        owner: note.owner,
+        folder: to._id,
+        tags: [...note.tags],
+        color: note.color
+      });
+    }
+
+    for (const subfolder of subfolders) {
+      const copy = await copyFolderShell(subfolder, to, subfolder.name);
+      queue.push([subfolder, copy]);
+    }
+
+    await onProgress(subfolders.length + notes.length, 0);
+  }
+}
+
+// Run a deep folder copy, recording progress on its FolderCopy record.
+// Storage for the whole subtree is reserved before it starts, so if the
+// copy fails, whatever was not copied is released again.
+async function runFolderCopy(job, source, name) {
+  let copiedSize = 0;
+
+  try {
+    const parent = source.parentFolder ? await Folder.findById(source.parentFolder) : null;
+    const root = await copyFolderShell(source, parent, name);
+
+    job.folder = root._id;
+    job.copiedItems = 1;
+    await job.save();
+
+    await copyFolderContents(source, root, async (items, size) => {
+      copiedSize += size;
+      job.copiedItems += items;
+      await job.save();
+    });
+
+    job.status = 'completed';
+  } catch (error) {
+    console.error('Folder copy error:', error);
+    job.status = 'failed';
+    job.error = 'The folder could not be copied completely';
+    await releaseStorage(job.owner, job.totalSize - copiedSize);
+  }
+
+  // Even a partial copy needs its aggregates
+  const root = job.folder && await Folder.findById(job.folder);
+  if (root) {
+    await refreshFolderTree(root);
+    await refreshFolderStats(root.parentFolder);
+  }
+
+  await job.save();
+  return job;
+}
+
+module.exports = {
+  buildPath,
+  isInSubtree,
+  rewriteDescendantPaths,
+  moveFolder,
+  findMoveTarget,
+  findMovableItems,
+  getSubtreeFolderIds,
+  getSubtreeStats,
+  runFolderCopy
+};
@@ -0,0 +1,145 @@
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const Blob = require('../models/Blob');
+const blobStore = require('./blobStore');
+const { getScanner } = require('./scanners');
+const { requestPreview } = require('./previews');
+const { requestTextIndex } = require('./textIndex');
+const createWorkQueue = require('./workQueue');
+
+// New content is stored straight away but held back as pending until it
+// has been scanned. Scans run per blob in the background, so files and
+// versions sharing the same bytes are scanned once; a verdict is kept on
+// the blob and reused when the same bytes are uploaded again.
+
+const queue = createWorkQueue(hash => scanBlob(hash), 'Malware scan');
+
+// Get how many times a scan is tried before the content is given up on
+function getMaxAttempts() {
+  return parseInt(process.env.MALWARE_SCAN_MAX_ATTEMPTS) || 5;
+}
+
+// Get what to do with content too large for the scanner: store it as
+// skipped, or quarantine it
+function getTooLargeAction() {
+  return process.env.MALWARE_SCAN_TOO_LARGE === 'quarantine' ? 'quarantine' : 'skip';
+}
+
+// Get the scan fields new content starts out with
+function getPendingScan() {
+  return { status: 'pending' };
+}
+
+// Get a verdict for a blob, from the blob itself if it was scanned before
+async function getVerdict(blob) {
+  if (blob.scan.status) return blob.scan;
+
+  const scanner = getScanner();
+  if (!scanner) {
+    return { status: 'skipped', signature: null, reason: null, scanner: null, scannedAt: new Date() };
+  }
+
+  const stream = await blobStore.open(blob.hash);
+  if (!stream) {
+    throw new Error('The data to scan is missing');
+  }
+
+  const { status, signature, reason = null } = await scanner.scan(stream);
+  const verdict = { status, signature, reason, scanner: scanner.name, scannedAt: new Date() };
+  await Blob.updateOne({ _id: blob._id }, { $set: { scan: verdict } });
+
+  return verdict;
+}
+
+// Scan a blob and record the verdict on every pending file and version
+// storing it. Infected content is quarantined; clean content gets its
+// preview generated and its text extracted. If the scan fails the content
+// stays pending and the error is recorded, so a later run can try again,
+// until it has failed too often and is quarantined.
+async function scanBlob(hash) {
+  const blob = await Blob.findOne({ hash });
+  if (!blob) return;
+
+  const pending = { hash, 'scan.status': 'pending' };
+  let verdict;
+
+  try {
+    verdict = await getVerdict(blob);
+  } catch (error) {
+    console.error(`Could not scan blob ${hash}:`, error.message);
+    for (const Model of [File, FileVersion]) {
+      await Model.updateMany(pending, {
+        $set: { 'scan.error': error.message },
+        $inc: { 'scan.attempts': 1 }
+      });
+      await Model.updateMany({ ...pending, 'scan.attempts': { $gte: getMaxAttempts() } }, {
+        $set: {
+          'scan.status': 'failed',
+          quarantineReason: 'The file could not be scanned for malware'
+        }
+      });
+    }
+    return;
+  }
+
+  const update = {
+    scan: {
+      status: verdict.status,
+      signature: verdict.signature,
+      reason: verdict.reason || null,
+      scanner: verdict.scanner,
+      scannedAt: verdict.scannedAt,
+      error: null
+    }
+  };
+  if (verdict.status === 'infected') {
+    update.quarantineReason = `Malware detected: ${verdict.signature}`;
+  } else if (verdict.reason && getTooLargeAction() === 'quarantine') {
+    update.quarantineReason = verdict.reason;
+  }
+
+  const scannedFiles = await File.find(pending).select('_id').setOptions({ withDeleted: true });
+  for (const Model of [File, FileVersion]) {
+    await Model.updateMany(pending, { $set: update });
+  }
+
+  const files = await File.find({ _id: { $in: scannedFiles.map(file => file._id) } })
+    .setOptions({ withDeleted: true });
+  for (const file of files) {
+    await requestTextIndex(file);
+  }
+
+  if (!update.quarantineReason) {
+    const file = await File.findOne({ hash }).setOptions({ withDeleted: true }) ||
+      await FileVersion.findOne({ hash });
+    if (file) await requestPreview(file);
+  }
+}
+
+// Queue the content of a file or version for scanning
+function requestScan(doc) {
+  if (doc.hash && doc.scan.status === 'pending') {
+    queue.push(doc.hash);
+  }
+}
+
+// Queue all content still waiting for a scan, such as content whose scan
+// failed or was interrupted by a restart. Returns the number of blobs queued.
+async function queuePendingScans() {
+  const hashes = new Set();
+
+  for (const Model of [File, FileVersion]) {
+    const pending = await Model.distinct('hash', { 'scan.status': 'pending' });
+    pending.filter(Boolean).forEach(hash => hashes.add(hash));
+  }
+
+  hashes.forEach(hash => queue.push(hash));
+  return hashes.size;
+}
+
+module.exports = {
+  getPendingScan,
+  scanBlob,
+  requestScan,
+  queuePendingScans
+};
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const sharp = require('sharp');
+const Blob = require('../models/Blob');
+const { getDriver } = require('./storage');
+const { adoptLegacyFile } = require('./files');
+const createWorkQueue = require('./workQueue');
+
+// Previews are generated per blob, so files and versions sharing the same
+// bytes share their thumbnails too. Images and the first page of PDFs get
+// WebP thumbnails in every size; text files get a snippet of their start.
+// Generation runs in the background, one blob at a time.
+
+const execFileAsync = promisify(execFile);
+
+// Longest side of each thumbnail size, in pixels
+const THUMBNAIL_SIZES = {
+  small: 128,
+  medium: 256,
+  large: 512
+};
+
+const SNIPPET_LENGTH = 1000;
+
+const queue = createWorkQueue(hash => generatePreview(hash), 'Preview generation');
+
+// Get the kind of preview a mime type gets, or null if it gets none
+function getPreviewKind(mimeType) {
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType === 'application/pdf') return 'pdf';
+  if (mimeType.startsWith('text/')) return 'text';
+  return null;
+}
+
+// Get the storage key a thumbnail of a blob is stored under
+function getThumbnailKey(hash, size) {
+  return `previews/${hash.slice(0, 2)}/${hash}/${size}.webp`;
+}
+
+// Ask for the preview of a file or version to be generated if it has not
+// been yet. Files uploaded before the blob store existed are adopted first.
+async function requestPreview(doc) {
+  if (!getPreviewKind(doc.mimeType) || doc.quarantineReason) return;
+
+  // Content is only handed to image tools once it has passed its scan
+  if (doc.scan.status === 'pending') return;
+
+  await adoptLegacyFile(doc);
+
+  const blob = await Blob.findOneAndUpdate(
+    { hash: doc.hash, 'preview.status': null },
+    { $set: { 'preview.status': 'pending', 'preview.mimeType': doc.mimeType } },
+    { new: true }
+  );
+
+  if (blob) queue.push(blob.hash);
+}
+
+// Queue every blob still waiting for its preview, such as those left over
+// from before a restart. Returns the number of blobs queued.
+async function queuePendingPreviews() {
+  const pending = await Blob.find({ 'preview.status': 'pending' }).select('hash');
+  pending.forEach(blob => queue.push(blob.hash));
+  return pending.length;
+}
+
+// Read the start of a text blob as a snippet, dropping a character cut in
+// half at the end
+async function readSnippet(driver, key) {
+  const chunks = [];
+  const stream = await driver.createReadStream(key, { start: 0, end: SNIPPET_LENGTH * 4 - 1 });
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8').replace(/\uFFFD$/, '');
+  return [...text].slice(0, SNIPPET_LENGTH).join('');
+}
+
+// Render the first page of a PDF to a PNG with pdftoppm from Poppler
+async function renderPdfPage(pdfPath, workDir) {
+  const outputBase = path.join(workDir, 'page');
+
+  await execFileAsync(process.env.PDFTOPPM_PATH || 'pdftoppm', [
+    '-png',
+    '-f', '1',
+    '-l', '1',
+    '-singlefile',
+    '-scale-to', String(Math.max(...Object.values(THUMBNAIL_SIZES))),
+    pdfPath,
+    outputBase
+  ], { timeout: 30 * 1000 });
+
+  return `${outputBase}.png`;
+}
+
+// Write a thumbnail of the image in every size and describe them
+async function createThumbnails(imagePath, hash, driver) {
+  const thumbnails = [];
+
+  for (const [size, dimension] of Object.entries(THUMBNAIL_SIZES)) {
+    const { data, info } = await sharp(imagePath)
+      .rotate()
+      .resize(dimension, dimension, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+
+    const key = getThumbnailKey(hash, size);
+    await driver.write(key, Readable.from(data), data.length);
+    thumbnails.push({ size, key, width: info.width, height: info.height });
+  }
+
+  return thumbnails;
+}
+
+// Generate the preview of a pending blob and record the outcome on it
+async function generatePreview(hash) {
+  const blob = await Blob.findOne({ hash, 'preview.status': 'pending' });
+  if (!blob) return;
+
+  const driver = getDriver(blob.backend);
+  const kind = getPreviewKind(blob.preview.mimeType);
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preview-'));
+  const preview = { thumbnails: [], snippet: null };
+
+  try {
+    if (kind === 'text') {
+      preview.snippet = await readSnippet(driver, blob.key);
+    } else {
+      const sourcePath = path.join(workDir, 'source');
+      await pipeline(await driver.createReadStream(blob.key), fs.createWriteStream(sourcePath));
+
+      const imagePath = kind === 'pdf' ? await renderPdfPage(sourcePath, workDir) : sourcePath;
+      preview.thumbnails = await createThumbnails(imagePath, hash, driver);
+    }
+  } catch (error) {
+    console.error(`Could not generate preview of blob ${hash}:`, error.message);
+    await Blob.updateOne({ _id: blob._id }, {
+      $set: { 'preview.status': 'failed', 'preview.error': error.message }
+    });
+    return;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  const { modifiedCount } = await Blob.updateOne({ _id: blob._id }, {
+    $set: {
+      'preview.status': 'ready',
+      'preview.thumbnails': preview.thumbnails,
+      'preview.snippet': preview.snippet,
+      'preview.error': null
+    }
+  });
+
+  // The blob was deleted while its preview was being generated
+  if (modifiedCount === 0) {
+    for (const thumbnail of preview.thumbnails) {
+      await driver.remove(thumbnail.key);
+    }
+  }
+}
+
+// Get the preview of a file or version, asking for it to be generated if
+// needed. Returns null if files of its type, or quarantined files, get no
+// preview.
+async function getPreview(doc) {
+  if (!getPreviewKind(doc.mimeType) || doc.quarantineReason) return null;
+
+  if (doc.scan.status === 'pending') {
+    return { status: 'pending', thumbnails: [], snippet: null };
+  }
+
+  let blob = doc.hash && await Blob.findOne({ hash: doc.hash });
+  if (!blob || !blob.preview.status) {
+    await requestPreview(doc);
+    blob = await Blob.findOne({ hash: doc.hash });
+  } else if (blob.preview.status === 'pending') {
+    // Picks the blob up again if the server restarted before generating it
+    queue.push(blob.hash);
+  }
+
+  return blob ? blob.preview : null;
+}
+
+// Open a thumbnail of a file or version for reading. Returns null if it has
+// no thumbnail in that size or the thumbnail's data is missing.
+async function openThumbnail(doc, size) {
+  const blob = doc.hash && await Blob.findOne({ hash: doc.hash });
+  const thumbnail = blob && blob.preview.thumbnails.find(item => item.size === size);
+  if (!thumbnail) return null;
+
+  const driver = getDriver(blob.backend);
+  if (!(await driver.exists(thumbnail.key))) return null;
+
+  return driver.createReadStream(thumbnail.key);
+}
+
+module.exports = {
+  THUMBNAIL_SIZES,
+  getPreviewKind,
+  requestPreview,
+  queuePendingPreviews,
+  getPreview,
+  openThumbnail
+};
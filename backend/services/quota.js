@@ -0,0 +1,35 @@
+const User = require('../models/User');
+
+// Storage usage is only ever changed with single atomic updates, so
+// concurrent uploads can neither lose each other's changes nor, between
+// them, push a user past their storage limit.
+
+// Reserve storage for a user if it fits within their limit. Returns false,
+// leaving usage untouched, when there is not enough space left.
+async function reserveStorage(userId, bytes) {
+  if (!bytes) return true;
+
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: userId,
+      $expr: { $lte: [{ $add: ['$storageUsed', bytes] }, '$storageLimit'] }
+    },
+    { $inc: { storageUsed: bytes } }
+  );
+
+  return modifiedCount > 0;
+}
+
+// Decrease a user's storage usage without going below zero
+async function releaseStorage(userId, bytes) {
+  if (!bytes) return;
+
+  await User.updateOne({ _id: userId }, [
+    { $set: { storageUsed: { $max: [0, { $subtract: ['$storageUsed', bytes] }] } } }
+  ]);
+}
+
+module.exports = {
+  reserveStorage,
+  releaseStorage
+};
@@ -0,0 +1,103 @@
+const net = require('net');
+
+// Largest chunk sent to clamd at once; it must stay below StreamMaxLength
+const CHUNK_SIZE = 64 * 1024;
+
+// clamd's reply to data longer than its StreamMaxLength
+const SIZE_LIMIT_PATTERN = /INSTREAM size limit exceeded/i;
+
+const TOO_LARGE = {
+  status: 'skipped',
+  signature: null,
+  reason: 'The file is larger than the malware scanner accepts'
+};
+
+// Malware scanner that streams data to a clamd daemon over TCP or a Unix
+// socket using the INSTREAM command
+function createClamdScanner({ host = 'localhost', port = 3310, socketPath, timeout = 60 * 1000 }) {
+  const connect = () => (socketPath
+    ? net.createConnection({ path: socketPath })
+    : net.createConnection({ host, port }));
+
+  return {
+    name: 'clamd',
+
+    // Scan a readable stream. Resolves with the outcome and, for infected
+    // data, the name of the signature that matched. Data larger than clamd
+    // accepts (its StreamMaxLength) is skipped, with the reason.
+    scan(stream) {
+      return new Promise((resolve, reject) => {
+        const socket = connect();
+        const replies = [];
+        let settled = false;
+
+        const getReply = () => Buffer.concat(replies).toString('utf8').replace(/\0/g, '').trim();
+
+        const fail = error => {
+          if (settled) return;
+          settled = true;
+          stream.destroy();
+          socket.destroy();
+
+          // clamd hangs up as soon as the data is too large, which can
+          // break the upload before its reply is read
+          if (SIZE_LIMIT_PATTERN.test(getReply())) {
+            resolve(TOO_LARGE);
+          } else {
+            reject(error);
+          }
+        };
+
+        socket.setTimeout(timeout, () => fail(new Error('clamd did not answer in time')));
+        socket.on('error', fail);
+        stream.on('error', fail);
+        socket.on('data', chunk => replies.push(chunk));
+
+        socket.on('end', () => {
+          if (settled) return;
+          settled = true;
+          stream.destroy();
+
+          // Replies look like "stream: OK" or "stream: <signature> FOUND"
+          const reply = getReply();
+          const found = /^stream: (.+) FOUND$/.exec(reply);
+
+          if (found) {
+            resolve({ status: 'infected', signature: found[1] });
+          } else if (reply === 'stream: OK') {
+            resolve({ status: 'clean', signature: null });
+          } else if (SIZE_LIMIT_PATTERN.test(reply)) {
+            resolve(TOO_LARGE);
+          } else {
+            reject(new Error(`clamd could not scan the data: ${reply || 'no reply'}`));
+          }
+        });
+
+        socket.on('connect', async () => {
+          try {
+            socket.write('zINSTREAM\0');
+
+            for await (const data of stream) {
+              for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+                const chunk = data.subarray(offset, offset + CHUNK_SIZE);
+                const length = Buffer.alloc(4);
+                length.writeUInt32BE(chunk.length);
+
+                if (!socket.write(Buffer.concat([length, chunk]))) {
+                  await new Promise(resume => socket.once('drain', resume));
+                }
+              }
+            }
+
+            // A zero-length chunk ends the stream
+            socket.write(Buffer.alloc(4));
+          } catch (error) {
+            fail(error);
+          }
+        });
+      });
+    }
+  };
+}
+
+module.exports = createClamdScanner;
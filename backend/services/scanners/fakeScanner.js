@@ -0,0 +1,28 @@
+// Scanner for development and testing that needs no daemon. It reports
+// data containing the EICAR test string as infected, just as real
+// scanners do, and everything else as clean.
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+function createFakeScanner() {
+  return {
+    name: 'fake',
+
+    async scan(stream) {
+      // Keep the tail of the previous chunk so a match across chunks is found
+      let carry = '';
+
+      for await (const data of stream) {
+        const text = carry + data.toString('latin1');
+        if (text.includes(EICAR)) {
+          stream.destroy();
+          return { status: 'infected', signature: 'Eicar-Test-Signature' };
+        }
+        carry = text.slice(-EICAR.length);
+      }
+
+      return { status: 'clean', signature: null };
+    }
+  };
+}
+
+module.exports = createFakeScanner;
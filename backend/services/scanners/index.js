@@ -0,0 +1,34 @@
+const createClamdScanner = require('./clamdScanner');
+const createFakeScanner = require('./fakeScanner');
+
+// Malware scanners, configured from the environment
+const scannerFactories = {
+  clamd: () => createClamdScanner({
+    host: process.env.CLAMD_HOST,
+    port: parseInt(process.env.CLAMD_PORT) || undefined,
+    socketPath: process.env.CLAMD_SOCKET,
+    timeout: parseInt(process.env.CLAMD_TIMEOUT_MS) || undefined
+  }),
+  fake: () => createFakeScanner()
+};
+
+let scanner;
+
+// Get the configured scanner, or null when scanning is turned off
+function getScanner() {
+  const name = process.env.MALWARE_SCANNER;
+  if (!name) return null;
+
+  if (!scannerFactories[name]) {
+    throw new Error(`Unknown malware scanner: ${name}`);
+  }
+  if (!scanner) {
+    scanner = scannerFactories[name]();
+  }
+  return scanner;
+}
+
+module.exports = {
+  scannerNames: Object.keys(scannerFactories),
+  getScanner
+};
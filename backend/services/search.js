@@ -0,0 +1,458 @@
+const Folder = require('../models/Folder');
+const File = require('../models/File');
+const Note = require('../models/Note');
+const { searchText, getSnippets } = require('./textIndex');
+const { findAccessible } = require('./access');
+const { getSubtreeFolderIds } = require('./folders');
+const { escapeRegex } = require('../middleware/listQuery');
+const { withFileUrl } = require('./signedUrls');
+
+// One search over folders, files and notes. A query is free text mixed
+// with filters written as key:value, such as
+//   tag:invoice type:pdf before:2026-01-01 "annual report"
+// Each kind of item is searched the way it is indexed: folders by name and
+// tags, files by name, tags and extracted text, notes by title, tags and
+// their text index. The best candidates of each kind are then ranked
+// together.
+
+// Most candidates of each kind considered for one search
+const CANDIDATE_LIMIT = 200;
+
+// Most text matches of each kind counted. Text search has to load the ids
+// of its matches, so counts of larger result sets stop there.
+const COUNT_TEXT_LIMIT = 1000;
+
+const ITEM_TYPES = ['folder', 'file', 'note'];
+const FILE_TYPES = ['image', 'pdf', 'document', 'other'];
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+const TOKEN_PATTERN = /(-?)(\w+):(?:"([^"]*)"|(\S+))|(-?"[^"]*")|(\S+)/g;
+
+// Parse a size such as 10MB or 512 into bytes, or NaN
+function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([kmgt]?b)?$/i.exec(value.trim());
+  if (!match) return NaN;
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+// Parse a date written as YYYY-MM-DD, or with a time, into a Date or null.
+// A date can also be given relative to now, such as 7d, 2w, 3m or 1y for
+// that many days, weeks, months or years ago, or as today or yesterday, so
+// saved searches keep meaning the same thing.
+function parseDate(value) {
+  const relative = /^(\d+)([dwmy])$/i.exec(value);
+  if (relative || /^(today|yesterday)$/i.test(value)) {
+    const date = new Date();
+    date.setHours(0, 0, 0, 0);
+
+    const amount = relative ? parseInt(relative[1]) : Number(value.toLowerCase() === 'yesterday');
+    const unit = relative ? relative[2].toLowerCase() : 'd';
+    if (unit === 'd') date.setDate(date.getDate() - amount);
+    else if (unit === 'w') date.setDate(date.getDate() - amount * 7);
+    else if (unit === 'm') date.setMonth(date.getMonth() - amount);
+    else date.setFullYear(date.getFullYear() - amount);
+    return date;
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Get empty search filters
+function createFilters() {
+  return {
+    types: [],
+    fileTypes: [],
+    tags: [],
+    folder: null,
+    after: null,
+    before: null,
+    minSize: null,
+    maxSize: null,
+    favorite: false
+  };
+}
+
+// Apply one key:value filter. Returns an error message if the value is
+// invalid, false if the key is not a filter, or null once applied.
+function applyFilter(filters, key, value) {
+  switch (key.toLowerCase()) {
+    case 'type': {
+      const type = value.toLowerCase();
+      if (ITEM_TYPES.includes(type)) filters.types.push(type);
+      else if (FILE_TYPES.includes(type)) filters.fileTypes.push(type);
+      else return `Unknown type "${value}". Use one of: ${[...ITEM_TYPES, ...FILE_TYPES].join(', ')}`;
+      return null;
+    }
+    case 'tag':
+      filters.tags.push(value);
+      return null;
+    case 'in':
+    case 'folder':
+      if (!/^[a-f\d]{24}$/i.test(value)) return `Folder "${value}" is not a valid ID`;
+      filters.folder = value;
+      return null;
+    case 'after':
+    case 'before': {
+      const date = parseDate(value);
+      if (!date) return `Invalid date "${value}". Use YYYY-MM-DD, or a time ago such as 7d or 2w`;
+      filters[key.toLowerCase()] = date;
+      return null;
+    }
+    case 'larger':
+    case 'smaller': {
+      const size = parseSize(value);
+      if (isNaN(size)) return `Invalid size "${value}". Use a number of bytes or a size such as 10MB`;
+      filters[key.toLowerCase() === 'larger' ? 'minSize' : 'maxSize'] = size;
+      return null;
+    }
+    case 'is':
+      if (value.toLowerCase() !== 'favorite') return `Unknown filter "is:${value}". Use is:favorite`;
+      filters.favorite = true;
+      return null;
+    default:
+      return false;
+  }
+}
+
+// Split a search query into its free text and filters. Words that look
+// like filters but use an unknown key stay part of the text.
+function parseSearchQuery(query = '') {
+  const filters = createFilters();
+  const text = [];
+  const errors = [];
+
+  for (const match of query.matchAll(TOKEN_PATTERN)) {
+    const [token, negated, key, quotedValue, value] = match;
+
+    if (key && !negated) {
+      const error = applyFilter(filters, key, quotedValue !== undefined ? quotedValue : value);
+      if (error) errors.push(error);
+      if (error !== false) continue;
+    }
+
+    text.push(token);
+  }
+
+  return { text: text.join(' '), filters, errors };
+}
+
+// Write a filter value so it is read back as one value
+function formatFilterValue(value) {
+  return /\s/.test(value) || value.startsWith('"') ? `"${value}"` : value;
+}
+
+// Replace the value of every key:value filter of a query that has the
+// given key and a value matching fromValue, whatever its case. Everything
+// else in the query is kept as written.
+function replaceFilterValue(query, key, fromValue, toValue) {
+  return query.replace(TOKEN_PATTERN, (token, negated, tokenKey, quotedValue, value) => {
+    const current = quotedValue !== undefined ? quotedValue : value;
+    if (!tokenKey || negated || tokenKey.toLowerCase() !== key ||
+        current.toLowerCase() !== fromValue.toLowerCase()) {
+      return token;
+    }
+    return `${tokenKey}:${formatFilterValue(toValue)}`;
+  });
+}
+
+// Add filters given as separate request parameters to parsed filters
+function applyParams(filters, params) {
+  const errors = [];
+  const apply = (key, value) => {
+    const error = applyFilter(filters, key, value);
+    if (error) errors.push(error);
+  };
+
+  if (params.type) params.type.split(',').forEach(type => apply('type', type.trim()));
+  if (params.tag) params.tag.split(',').forEach(tag => apply('tag', tag.trim()));
+  if (params.folder) apply('folder', params.folder);
+  if (params.after) apply('after', params.after);
+  if (params.before) apply('before', params.before);
+  if (params.minSize) apply('larger', params.minSize);
+  if (params.maxSize) apply('smaller', params.maxSize);
+  if (params.favorite === 'true') filters.favorite = true;
+
+  return errors;
+}
+
+// Get the words of the free text that items should contain, leaving out
+// excluded words
+function getWords(text) {
+  return text
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .map(word => word.replace(/"/g, ''))
+    .filter(Boolean);
+}
+
+// Check whether a kind of item can match the filters at all
+function isSearched(type, filters) {
+  if (filters.types.length > 0 || filters.fileTypes.length > 0) {
+    const byType = filters.types.includes(type);
+    const byFileType = type === 'file' && filters.fileTypes.length > 0;
+    if (!byType && !byFileType) return false;
+  }
+
+  // Only files and folders have a size
+  if ((filters.minSize !== null || filters.maxSize !== null) && type === 'note') return false;
+
+  return true;
+}
+
+// Build the query conditions shared by every kind of item
+function getCommonConditions(type, filters, scope) {
+  const conditions = { owner: scope.owner };
+
+  if (scope.folderIds) {
+    conditions[type === 'folder' ? 'parentFolder' : 'folder'] = { $in: scope.folderIds };
+  }
+
+  if (filters.after || filters.before) {
+    conditions.updatedAt = {};
+    if (filters.after) conditions.updatedAt.$gte = filters.after;
+    if (filters.before) conditions.updatedAt.$lt = filters.before;
+  }
+
+  if (filters.favorite) conditions.isFavorite = true;
+
+  if (filters.tags.length > 0) {
+    conditions.tags = {
+      $all: filters.tags.map(tag => new RegExp(`^${escapeRegex(tag)}$`, 'i'))
+    };
+  }
+
+  const sizeField = type === 'folder' ? 'totalSize' : 'size';
+  if (filters.minSize !== null || filters.maxSize !== null) {
+    conditions[sizeField] = {};
+    if (filters.minSize !== null) conditions[sizeField].$gte = filters.minSize;
+    if (filters.maxSize !== null) conditions[sizeField].$lte = filters.maxSize;
+  }
+
+  if (type === 'file' && filters.fileTypes.length > 0 && !filters.types.includes('file')) {
+    conditions.type = { $in: filters.fileTypes };
+  }
+
+  return conditions;
+}
+
+// Condition matching items with every word somewhere in one of the fields
+function allWordsIn(fields, words) {
+  return {
+    $and: words.map(word => ({
+      $or: fields.map(field => ({ [field]: { $regex: escapeRegex(word), $options: 'i' } }))
+    }))
+  };
+}
+
+// Score how well a name matches the words searched for
+function scoreName(name, text, words) {
+  const lowerName = name.toLowerCase();
+  let score = words.filter(word => lowerName.includes(word.toLowerCase())).length / Math.max(words.length, 1);
+
+  if (lowerName === text.toLowerCase()) score += 2;
+  else if (lowerName.startsWith(words[0].toLowerCase())) score += 0.5;
+
+  return score;
+}
+
+function getFolderConditions(words, filters, scope) {
+  const conditions = getCommonConditions('folder', filters, scope);
+  if (words.length > 0) Object.assign(conditions, allWordsIn(['name', 'tags'], words));
+  return conditions;
+}
+
+// Build the conditions of a file search. Also returns the IDs of at most
+// textLimit files whose text matches, best first.
+async function getFileConditions(text, words, filters, scope, textLimit) {
+  const conditions = getCommonConditions('file', filters, scope);
+  if (words.length === 0) return { conditions, textMatches: [] };
+
+  const textMatches = await searchText(scope.owner, text, textLimit);
+  conditions.$or = [
+    allWordsIn(['name', 'originalName', 'tags'], words),
+    { _id: { $in: textMatches } }
+  ];
+
+  return { conditions, textMatches };
+}
+
+async function searchFolders(text, words, filters, scope) {
+  const conditions = getFolderConditions(words, filters, scope);
+
+  const folders = await Folder.find(conditions)
+    .sort({ updatedAt: -1 })
+    .limit(CANDIDATE_LIMIT);
+
+  return folders.map(folder => ({
+    type: 'folder',
+    score: words.length > 0 ? scoreName(folder.name, text, words) : 0,
+    item: folder
+  }));
+}
+
+async function searchFiles(text, words, filters, scope) {
+  const { conditions, textMatches } = await getFileConditions(text, words, filters, scope, CANDIDATE_LIMIT);
+
+  // Best text matches first, scored from 1 down towards 0
+  const textScores = new Map();
+  textMatches.forEach((id, i) => textScores.set(String(id), 1 - i / textMatches.length));
+
+  const files = await File.find(conditions)
+    .populate('folder', 'name path')
+    .sort({ updatedAt: -1 })
+    .limit(CANDIDATE_LIMIT);
+
+  const snippets = words.length > 0
+    ? await getSnippets(files.map(file => file._id), text)
+    : new Map();
+
+  return files.map(file => ({
+    type: 'file',
+    score: words.length > 0
+      ? scoreName(file.name, text, words) + (textScores.get(String(file._id)) || 0)
+      : 0,
+    item: file,
+    snippet: snippets.get(String(file._id)) || null
+  }));
+}
+
+async function searchNotes(text, words, filters, scope) {
+  const conditions = getCommonConditions('note', filters, scope);
+
+  if (words.length === 0) {
+    const notes = await Note.find(conditions)
+      .populate('folder', 'name path')
+      .sort({ updatedAt: -1 })
+      .limit(CANDIDATE_LIMIT);
+    return notes.map(note => ({ type: 'note', score: 0, item: note }));
+  }
+
+  // The text index cannot be combined with other conditions in an $or,
+  // so notes matching by title alone are found separately
+  const [textMatches, titleMatches] = await Promise.all([
+    Note.find({ ...conditions, $text: { $search: text } }, { score: { $meta: 'textScore' } })
+      .populate('folder', 'name path')
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(CANDIDATE_LIMIT),
+    Note.find({ ...conditions, ...allWordsIn(['title', 'tags'], words) })
+      .populate('folder', 'name path')
+      .sort({ updatedAt: -1 })
+      .limit(CANDIDATE_LIMIT)
+  ]);
+
+  // Best text matches first, scored from 1 down towards 0 as files are,
+  // since MongoDB's own text scores have no upper bound
+  const textScores = new Map();
+  textMatches.forEach((note, i) => textScores.set(String(note._id), 1 - i / textMatches.length));
+
+  const results = new Map();
+  for (const note of [...textMatches, ...titleMatches]) {
+    const id = String(note._id);
+    if (results.has(id)) continue;
+
+    results.set(id, {
+      type: 'note',
+      score: scoreName(note.title, text, words) + (textScores.get(id) || 0),
+      item: note
+    });
+  }
+
+  return [...results.values()];
+}
+
+async function countFiles(text, words, filters, scope) {
+  const { conditions } = await getFileConditions(text, words, filters, scope, COUNT_TEXT_LIMIT);
+  return File.countDocuments(conditions);
+}
+
+async function countNotes(text, words, filters, scope) {
+  const conditions = getCommonConditions('note', filters, scope);
+  if (words.length === 0) return Note.countDocuments(conditions);
+
+  const textMatches = await Note.find({ ...conditions, $text: { $search: text } })
+    .select('_id')
+    .limit(COUNT_TEXT_LIMIT);
+  return Note.countDocuments({
+    ...conditions,
+    $or: [
+      { _id: { $in: textMatches.map(note => note._id) } },
+      allWordsIn(['title', 'tags'], words)
+    ]
+  });
+}
+
+// Get the scope a search runs in for a user: their own items, or those
+// below the folder it is limited to, which may be a folder shared with
+// them. Returns null if that folder is not accessible.
+async function getSearchScope(filters, userId) {
+  if (!filters.folder) return { owner: userId, folderIds: null };
+
+  const access = await findAccessible(Folder, filters.folder, userId);
+  if (!access) return null;
+
+  return {
+    owner: access.item.owner,
+    folderIds: await getSubtreeFolderIds(access.item)
+  };
+}
+
+// Search the folders, files and notes of an owner, or of a folder's
+// subtree when scope.folderIds is given. Returns one page of results,
+// best first, and the number of results found. Only the best candidates
+// of each kind are ranked and paged through, but all results are counted.
+async function search(text, filters, scope, { page = 1, limit = 20 } = {}) {
+  const words = getWords(text);
+  const searches = { folder: searchFolders, file: searchFiles, note: searchNotes };
+
+  const [found, counts] = await Promise.all([
+    Promise.all(
+      Object.entries(searches)
+        .filter(([type]) => isSearched(type, filters))
+        .map(([, searchType]) => searchType(text, words, filters, scope))
+    ),
+    countResults(text, filters, scope)
+  ]);
+
+  const results = found.flat().sort((a, b) => (
+    b.score - a.score || b.item.updatedAt - a.item.updatedAt
+  ));
+
+  return {
+    results: results.slice((page - 1) * limit, page * limit),
+    total: counts.total
+  };
+}
+
+// Count the folders, files and notes matching a search. Unlike search,
+// counts are not limited to the candidates that get ranked.
+async function countResults(text, filters, scope) {
+  const words = getWords(text);
+
+  const [folders, files, notes] = await Promise.all([
+    isSearched('folder', filters) ? Folder.countDocuments(getFolderConditions(words, filters, scope)) : 0,
+    isSearched('file', filters) ? countFiles(text, words, filters, scope) : 0,
+    isSearched('note', filters) ? countNotes(text, words, filters, scope) : 0
+  ]);
+
+  return { folders, files, notes, total: folders + files + notes };
+}
+
+// Sign the links of the files among search results for the user viewing them
+function withFileUrls(results, userId) {
+  return results.map(result => (result.type === 'file'
+    ? { ...result, item: withFileUrl(result.item, userId) }
+    : result));
+}
+
+module.exports = {
+  parseSearchQuery,
+  replaceFilterValue,
+  applyParams,
+  getSearchScope,
+  search,
+  countResults,
+  withFileUrls
+};
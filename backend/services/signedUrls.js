@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+// Time-limited links to stored file data. A link carries its expiry and,
+// optionally, the user it was issued to, all covered by an HMAC signature.
+
+function getSecret() {
+  return process.env.SIGNED_URL_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+}
+
+// Get how long links stay valid by default, in seconds
+function getDefaultTTL() {
+  return parseInt(process.env.SIGNED_URL_TTL_SECONDS) || 60 * 60;
+}
+
+function hmac(payload) {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('hex');
+}
+
+function sign({ fileId, versionId, userId, expires }) {
+  return hmac([fileId, versionId || '', userId || '', expires].join(':'));
+}
+
+function signaturesMatch(expectedHex, actualHex) {
+  const expected = Buffer.from(expectedHex, 'hex');
+  const actual = Buffer.from(actualHex, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Create a signed link to a file's data, or to one of its previous versions
+function createFileUrl(fileId, { versionId, userId, expiresIn = getDefaultTTL() } = {}) {
+  const params = {
+    fileId: fileId.toString(),
+    versionId: versionId ? versionId.toString() : undefined,
+    userId: userId ? userId.toString() : undefined,
+    expires: Math.floor(Date.now() / 1000) + expiresIn
+  };
+
+  const query = new URLSearchParams({ expires: String(params.expires) });
+  if (params.versionId) query.set('version', params.versionId);
+  if (params.userId) query.set('uid', params.userId);
+  query.set('sig', sign(params));
+
+  return `/api/blobs/${params.fileId}?${query}`;
+}
+
+// Get the JSON of a file with a signed link to its data bound to the user
+// viewing it. Links are signed per request, so a shared file never carries
+// a link bound to its owner.
+function withFileUrl(file, userId) {
+  const json = typeof file.toJSON === 'function' ? file.toJSON() : { ...file };
+  json.url = createFileUrl(file._id, { userId });
+  return json;
+}
+
+// Get the JSON of a previous version of a file with a signed link to its
+// data bound to the user viewing it
+function withVersionUrl(version, userId) {
+  const json = version.toJSON();
+  json.url = createFileUrl(version.file, { versionId: version._id, userId });
+  return json;
+}
+
+// Check the signature and expiry of a link. Returns the verified link
+// parameters, or null if the link is invalid or expired.
+function verifyFileUrl(fileId, query) {
+  const expires = parseInt(query.expires);
+  if (!expires || typeof query.sig !== 'string') return null;
+
+  const params = {
+    fileId,
+    versionId: typeof query.version === 'string' ? query.version : undefined,
+    userId: typeof query.uid === 'string' ? query.uid : undefined,
+    expires
+  };
+
+  if (!signaturesMatch(sign(params), query.sig)) return null;
+
+  if (expires < Math.floor(Date.now() / 1000)) return null;
+
+  return params;
+}
+
+// Create a signed token granting access to a subject (such as a share
+// link) for a limited time, in seconds
+function createAccessToken(subject, expiresIn = getDefaultTTL()) {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return `${expires}.${hmac(`access:${subject}:${expires}`)}`;
+}
+
+// Check that an access token was issued for the subject and has not expired
+function verifyAccessToken(subject, token) {
+  if (typeof token !== 'string') return false;
+
+  const [expiresPart, sig] = token.split('.');
+  const expires = parseInt(expiresPart);
+  if (!expires || !sig || expires < Math.floor(Date.now() / 1000)) return false;
+
+  return signaturesMatch(hmac(`access:${subject}:${expires}`), sig);
+}
+
+module.exports = {
+  getDefaultTTL,
+  createFileUrl,
+  withFileUrl,
+  withVersionUrl,
+  verifyFileUrl,
+  createAccessToken,
+  verifyAccessToken
+};
@@ -0,0 +1,90 @@
+const SmartFolder = require('../models/SmartFolder');
+const {
+  parseSearchQuery,
+  replaceFilterValue,
+  getSearchScope,
+  search,
+  countResults
+} = require('./search');
+
+// Smart folders store nothing but a search. Each time one is opened or
+// counted its query is parsed and run again, so relative dates such as
+// after:7d move along with the calendar.
+
+// Get how many smart folders a user may have. Every one is run again each
+// time the summary is loaded.
+function getSmartFolderLimit() {
+  return parseInt(process.env.SMART_FOLDER_LIMIT) || 50;
+}
+
+// Prepare the query of a smart folder to run. Returns its text, filters and
+// scope, or null if it cannot run because the folder it searches in is no
+// longer accessible.
+async function prepareQuery(smartFolder) {
+  const { text, filters } = parseSearchQuery(smartFolder.query);
+  const scope = await getSearchScope(filters, smartFolder.owner);
+  return scope ? { text, filters, scope } : null;
+}
+
+// Run a smart folder's search and get one page of its results, or null if
+// it cannot run
+async function openSmartFolder(smartFolder, { page, limit }) {
+  const prepared = await prepareQuery(smartFolder);
+  if (!prepared) return null;
+
+  const { text, filters, scope } = prepared;
+  const { results, total } = await search(text, filters, scope, { page, limit });
+  return { results, total, query: { text, filters } };
+}
+
+// Get the smart folders of a user, each with how many folders, files and
+// notes it currently holds. Counts are null for smart folders that cannot
+// run. The searches run one after another so a user with many smart
+// folders does not flood the database.
+async function countSmartFolders(owner) {
+  const smartFolders = await SmartFolder.find({ owner }).sort({ name: 1 });
+
+  const counted = [];
+  for (const smartFolder of smartFolders) {
+    const prepared = await prepareQuery(smartFolder);
+    const counts = prepared
+      ? await countResults(prepared.text, prepared.filters, prepared.scope)
+      : null;
+
+    counted.push({
+      id: smartFolder._id,
+      name: smartFolder.name,
+      color: smartFolder.color,
+      parentFolder: smartFolder.parentFolder,
+      itemCount: counts ? counts.total : null,
+      counts
+    });
+  }
+
+  return counted;
+}
+
+// Point the tag filters of an owner's smart folders at a tag's new name
+// when it is renamed or merged into another, so they keep finding the same
+// items. Returns the number of smart folders changed.
+async function renameTagFilters(owner, fromName, toName) {
+  const smartFolders = await SmartFolder.find({ owner, query: /tag:/i });
+  let changed = 0;
+
+  for (const smartFolder of smartFolders) {
+    const query = replaceFilterValue(smartFolder.query, 'tag', fromName, toName);
+    if (query === smartFolder.query) continue;
+
+    await SmartFolder.updateOne({ _id: smartFolder._id }, { $set: { query } }, { timestamps: false });
+    changed++;
+  }
+
+  return changed;
+}
+
+module.exports = {
+  getSmartFolderLimit,
+  openSmartFolder,
+  countSmartFolders,
+  renameTagFilters
+};
@@ -0,0 +1,40 @@
+const createLocalDriver = require('./localDriver');
+const createS3Driver = require('./s3Driver');
+const { uploadDir } = require('../../middleware/upload');
+
+// Storage drivers, configured from the environment
+const driverFactories = {
+  local: () => createLocalDriver({ root: uploadDir }),
+  s3: () => createS3Driver({
+    bucket: process.env.S3_BUCKET,
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  })
+};
+
+const drivers = {};
+
+// Get a storage driver by name, creating it on first use
+function getDriver(name) {
+  if (!driverFactories[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  if (!drivers[name]) {
+    drivers[name] = driverFactories[name]();
+  }
+  return drivers[name];
+}
+
+// Get the name of the driver new data is written to
+function getDefaultDriverName() {
+  return process.env.STORAGE_DRIVER || 'local';
+}
+
+module.exports = {
+  driverNames: Object.keys(driverFactories),
+  getDriver,
+  getDefaultDriverName
+};
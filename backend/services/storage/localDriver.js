@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Storage driver that keeps data on the local disk under a root directory
+function createLocalDriver({ root }) {
+  const resolve = key => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const ensureDir = filePath => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  };
+
+  return {
+    name: 'local',
+
+    // Move a local file into storage
+    async importFile(localPath, key) {
+      const filePath = resolve(key);
+      ensureDir(filePath);
+      try {
+        fs.renameSync(localPath, filePath);
+      } catch (error) {
+        // Staging and storage may live on different devices
+        if (error.code !== 'EXDEV') throw error;
+        fs.copyFileSync(localPath, filePath);
+        fs.unlinkSync(localPath);
+      }
+    },
+
+    async write(key, stream) {
+      const filePath = resolve(key);
+      ensureDir(filePath);
+      await pipeline(stream, fs.createWriteStream(filePath));
+    },
+
+    async createReadStream(key, options = {}) {
+      return fs.createReadStream(resolve(key), options);
+    },
+
+    async exists(key) {
+      return fs.existsSync(resolve(key));
+    },
+
+    async remove(key) {
+      const filePath = resolve(key);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    },
+
+    // Iterate over every stored object whose key starts with prefix
+    async *list(prefix = '') {
+      const start = prefix ? resolve(prefix) : path.resolve(root);
+      if (!fs.existsSync(start)) return;
+
+      const stack = [start];
+      while (stack.length > 0) {
+        const dir = stack.pop();
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+          const entryPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            stack.push(entryPath);
+          } else if (entry.isFile()) {
+            yield {
+              key: path.relative(root, entryPath).split(path.sep).join('/'),
+              size: fs.statSync(entryPath).size
+            };
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = createLocalDriver;
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+// Storage driver for Amazon S3 and S3-compatible services such as MinIO
+function createS3Driver({ bucket, endpoint, region, accessKeyId, secretAccessKey, forcePathStyle }) {
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey
+      ? { accessKeyId, secretAccessKey }
+      : undefined
+  });
+
+  const isNotFound = error =>
+    error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+  const driver = {
+    name: 's3',
+
+    // Upload a local file into storage, removing the local copy afterwards
+    async importFile(localPath, key) {
+      const { size } = fs.statSync(localPath);
+      await driver.write(key, fs.createReadStream(localPath), size);
+      fs.unlinkSync(localPath);
+    },
+
+    async write(key, stream, size) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: stream,
+        ContentLength: size
+      }));
+    },
+
+    async createReadStream(key, options = {}) {
+      const { start, end } = options;
+      const range = start !== undefined || end !== undefined
+        ? `bytes=${start || 0}-${end !== undefined ? end : ''}`
+        : undefined;
+
+      const response = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Range: range
+      }));
+      return response.Body;
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) return false;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    // Iterate over every stored object whose key starts with prefix
+    async *list(prefix = '') {
+      let continuationToken;
+      do {
+        const response = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix || undefined,
+          ContinuationToken: continuationToken
+        }));
+
+        for (const object of response.Contents || []) {
+          yield { key: object.Key, size: object.Size };
+        }
+
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+    }
+  };
+
+  return driver;
+}
+
+module.exports = createS3Driver;
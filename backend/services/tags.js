@@ -0,0 +1,189 @@
+const { body } = require('express-validator');
+const Tag = require('../models/Tag');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const Note = require('../models/Note');
+const { escapeRegex } = require('../middleware/listQuery');
+const { renameTagFilters } = require('./smartFolders');
+
+// Files, folders and notes carry the names of their tags, which keeps
+// filtering and searching by tag a plain query. Every name given to an item
+// is resolved to a tag of the item's owner, created if it is new, and
+// renaming, merging or deleting a tag rewrites the items carrying it,
+// trashed ones included.
+
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS = 50;
+
+// Models whose items carry tags, under the name their usage is counted by
+const TAGGED_MODELS = {
+  files: File,
+  folders: Folder,
+  notes: Note
+};
+
+// Split tags given as a list, a comma separated string or both into names,
+// leaving out blanks and repeats. Returns null if they are not valid tags.
+function parseTags(value) {
+  if (value === undefined || value === null) return [];
+
+  const values = Array.isArray(value) ? value : [value];
+  if (values.some(item => typeof item !== 'string')) return null;
+
+  const names = [];
+  const keys = new Set();
+  for (const name of values.flatMap(item => item.split(',')).map(item => item.trim())) {
+    if (!name || keys.has(Tag.toKey(name))) continue;
+    if (name.length > MAX_TAG_LENGTH) return null;
+
+    keys.add(Tag.toKey(name));
+    names.push(name);
+  }
+
+  return names.length > MAX_TAGS ? null : names;
+}
+
+// Validate the tags of an item in a request body
+const tagsValidation = body('tags')
+  .optional({ nullable: true })
+  .custom(value => parseTags(value) !== null)
+  .withMessage(`Tags must be at most ${MAX_TAGS} names of up to ${MAX_TAG_LENGTH} characters`);
+
+// Get a pattern matching a tag name whatever its case
+function matchName(name) {
+  return new RegExp(`^${escapeRegex(name)}$`, 'i');
+}
+
+// Resolve tags given to an item to the names of its owner's tags, creating
+// the tags that do not exist yet
+async function resolveTags(owner, value) {
+  const names = parseTags(value) || [];
+  if (names.length === 0) return [];
+
+  try {
+    await Tag.bulkWrite(names.map(name => ({
+      updateOne: {
+        filter: { owner, key: Tag.toKey(name) },
+        update: { $setOnInsert: { name } },
+        upsert: true
+      }
+    })), { ordered: false });
+  } catch (error) {
+    // Tags created by another request at the same moment are just as good
+    if (error.code !== 11000) throw error;
+  }
+
+  const tags = await Tag.find({ owner, key: { $in: names.map(Tag.toKey) } });
+  const byKey = new Map(tags.map(tag => [tag.key, tag.name]));
+  return names.map(name => byKey.get(Tag.toKey(name)) || name);
+}
+
+// Count the live files, folders and notes of an owner carrying each tag,
+// keyed by tag key
+async function getTagUsage(owner) {
+  const usage = new Map();
+
+  for (const [kind, Model] of Object.entries(TAGGED_MODELS)) {
+    const counts = await Model.aggregate([
+      { $match: { owner } },
+      { $unwind: '$tags' },
+      { $group: { _id: { $toLower: '$tags' }, count: { $sum: 1 } } }
+    ]);
+
+    for (const { _id: key, count } of counts) {
+      if (!usage.has(key)) usage.set(key, { files: 0, folders: 0, notes: 0, total: 0 });
+      usage.get(key)[kind] += count;
+      usage.get(key).total += count;
+    }
+  }
+
+  return usage;
+}
+
+// List the tags of an owner by name, each with how many items carry it
+async function listTags(owner) {
+  const [tags, usage] = await Promise.all([
+    Tag.find({ owner }).sort({ key: 1 }),
+    getTagUsage(owner)
+  ]);
+
+  return tags.map(tag => ({
+    ...tag.toJSON(),
+    usage: usage.get(tag.key) || { files: 0, folders: 0, notes: 0, total: 0 }
+  }));
+}
+
+// Replace a tag name on every item of an owner, or remove it when toName is
+// null. Items that already carry the new name just lose the old one.
+// Returns the number of items changed.
+async function replaceTagName(owner, fromName, toName) {
+  const from = matchName(fromName);
+  let changed = 0;
+
+  for (const Model of Object.values(TAGGED_MODELS)) {
+    if (toName !== null && Tag.toKey(fromName) !== Tag.toKey(toName)) {
+      const merged = await Model.updateMany(
+        { owner, $and: [{ tags: from }, { tags: matchName(toName) }] },
+        { $pull: { tags: from } },
+        { timestamps: false }
+      );
+      changed += merged.modifiedCount;
+    }
+
+    const result = toName === null
+      ? await Model.updateMany(
+        { owner, tags: from },
+        { $pull: { tags: from } },
+        { timestamps: false }
+      )
+      : await Model.updateMany(
+        { owner, tags: from },
+        { $set: { 'tags.$[tag]': toName } },
+        { arrayFilters: [{ tag: from }], timestamps: false }
+      );
+    changed += result.modifiedCount;
+  }
+
+  return changed;
+}
+
+// Rename a tag and the items carrying it, and the smart folders searching
+// for it. Returns the number of items changed.
+async function renameTag(tag, name) {
+  const previousName = tag.name;
+  tag.name = name;
+  await tag.save();
+
+  const changed = await replaceTagName(tag.owner, previousName, tag.name);
+  await renameTagFilters(tag.owner, previousName, tag.name);
+  return changed;
+}
+
+// Merge a tag into another: items carrying it carry the other instead,
+// smart folders searching for it search for the other, and the tag is
+// deleted. Returns the number of items changed.
+async function mergeTag(tag, into) {
+  const changed = await replaceTagName(tag.owner, tag.name, into.name);
+  await renameTagFilters(tag.owner, tag.name, into.name);
+  await tag.deleteOne();
+  return changed;
+}
+
+// Delete a tag and remove it from the items carrying it. Returns the
+// number of items changed.
+async function deleteTag(tag) {
+  const changed = await replaceTagName(tag.owner, tag.name, null);
+  await tag.deleteOne();
+  return changed;
+}
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  parseTags,
+  tagsValidation,
+  resolveTags,
+  listTags,
+  renameTag,
+  mergeTag,
+  deleteTag
+};
@@ -0,0 +1,359 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const File = require('../models/File');
+const FileText = require('../models/FileText');
+const { openContent } = require('./files');
+const createWorkQueue = require('./workQueue');
+
+// The text of PDFs, Word documents, plain text and CSV files is extracted
+// in the background once their content has passed its malware scan, and
+// again whenever a file gets new content. It is stored per file in a text
+// index, so file search can match what is inside files and not only their
+// names.
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// How the text of each mime type is extracted
+const TEXT_KINDS = {
+  'application/pdf': 'pdf',
+  [DOCX_TYPE]: 'docx',
+  'text/plain': 'text',
+  'text/csv': 'text'
+};
+
+// Characters of text around the first match shown in a search snippet
+const SNIPPET_CONTEXT = 80;
+
+// Characters of text loaded around the first match to build a snippet from
+const SNIPPET_WINDOW = SNIPPET_CONTEXT * 3;
+
+// How long pdftotext may run, in milliseconds
+const PDF_TIMEOUT = 60 * 1000;
+
+const queue = createWorkQueue(fileId => indexFile(fileId), 'Text extraction');
+
+// Get the kind of text extraction a mime type gets, or null if it gets none
+function getTextKind(mimeType) {
+  return TEXT_KINDS[mimeType] || null;
+}
+
+// Get the most characters of text kept for a file
+function getMaxTextLength() {
+  return parseInt(process.env.FULL_TEXT_MAX_LENGTH) || 1000000;
+}
+
+// Read a stream as UTF-8 text, stopping once enough bytes have been read
+async function readText(stream, maxBytes) {
+  const chunks = [];
+  let length = 0;
+
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+    length += chunk.length;
+    if (length >= maxBytes) {
+      stream.destroy();
+      break;
+    }
+  }
+
+  return Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8').replace(/\uFFFD$/, '');
+}
+
+// Extract the text of a PDF with pdftotext from Poppler. Its output is
+// read no further than the text length limit, so the text of a huge PDF is
+// cut off there instead of failing.
+async function extractPdfText(pdfPath) {
+  const child = spawn(process.env.PDFTOTEXT_PATH || 'pdftotext', [
+    '-enc', 'UTF-8',
+    '-q',
+    pdfPath,
+    '-'
+  ], { stdio: ['ignore', 'pipe', 'ignore'] });
+
+  const exited = new Promise(resolve => {
+    child.on('error', error => resolve({ error }));
+    child.on('close', code => resolve({ code }));
+  });
+
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    child.kill();
+  }, PDF_TIMEOUT);
+
+  try {
+    const text = await readText(child.stdout, getMaxTextLength() * 4);
+
+    // The rest of the output is not needed once enough has been read
+    const cutOff = !child.stdout.readableEnded;
+    if (cutOff) child.kill();
+
+    const { error, code } = await exited;
+    if (error) throw error;
+    if (timedOut) throw new Error('pdftotext timed out');
+    if (!cutOff && code !== 0) throw new Error(`pdftotext exited with code ${code}`);
+
+    return text;
+  } catch (error) {
+    throw timedOut ? new Error('pdftotext timed out') : error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Turn the XML of a Word document's body into plain text, one paragraph
+// per line
+function wordXmlToText(xml) {
+  return xml
+    .replace(/<w:tab\/>/g, '\t')
+    .replace(/<w:(br|cr)\/>/g, '\n')
+    .replace(/<\/w:p>/g, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(lt|gt|amp|quot|apos|#\d+|#x[\da-f]+);/gi, (entity, name) => {
+      const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+      if (named[name.toLowerCase()]) return named[name.toLowerCase()];
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1));
+      return String.fromCodePoint(code);
+    });
+}
+
+// Extract the text of a Word document from its word/document.xml entry.
+// The XML is read no further than needed for the text length limit, so
+// a document that decompresses enormously is only read in part.
+async function extractDocxText(docxPath) {
+  const zipfile = await yauzl.openPromise(docxPath);
+
+  try {
+    const entry = await new Promise((resolve, reject) => {
+      zipfile.on('entry', item => {
+        if (item.fileName === 'word/document.xml') resolve(item);
+        else zipfile.readEntry();
+      });
+      zipfile.on('end', () => resolve(null));
+      zipfile.on('error', reject);
+      zipfile.readEntry();
+    });
+    if (!entry) throw new Error('The document has no body');
+
+    const stream = await zipfile.openReadStreamPromise(entry);
+    const xml = await readText(stream, getMaxTextLength() * 20);
+    return wordXmlToText(xml);
+  } finally {
+    zipfile.close();
+  }
+}
+
+// Extract the text of a file's content
+async function extractText(file) {
+  const kind = getTextKind(file.mimeType);
+  const maxLength = getMaxTextLength();
+
+  const stream = await openContent(file);
+  if (!stream) throw new Error('The data to extract text from is missing');
+
+  if (kind === 'text') {
+    return readText(stream, maxLength * 4);
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'text-'));
+  try {
+    const sourcePath = path.join(workDir, 'source');
+    await pipeline(stream, fs.createWriteStream(sourcePath));
+
+    return kind === 'pdf' ? await extractPdfText(sourcePath) : await extractDocxText(sourcePath);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// Get the text of a pending file, reusing the text of another file with
+// the same content if there is one
+async function getText(file) {
+  const existing = await FileText.findOne({ hash: file.hash, file: { $ne: file._id } });
+  if (existing) {
+    return { text: existing.text, truncated: existing.truncated };
+  }
+
+  const maxLength = getMaxTextLength();
+  const text = (await extractText(file)).replace(/\u0000/g, '').trim();
+  return { text: text.slice(0, maxLength), truncated: text.length > maxLength };
+}
+
+// Extract and store the text of a pending file, and record the outcome on
+// it. Content that changed in the meantime is left pending for its own run.
+async function indexFile(fileId) {
+  const file = await File.findOne({ _id: fileId, 'textIndex.status': 'pending' })
+    .setOptions({ withDeleted: true });
+  if (!file) return;
+
+  const current = { _id: file._id, hash: file.hash };
+  let result;
+
+  try {
+    result = await getText(file);
+  } catch (error) {
+    console.error(`Could not extract text of file ${fileId}:`, error.message);
+    await File.updateOne(current, {
+      $set: { 'textIndex.status': 'failed', 'textIndex.error': error.message }
+    }, { timestamps: false });
+    return;
+  }
+
+  await FileText.updateOne(
+    { file: file._id },
+    { $set: { owner: file.owner, hash: file.hash, ...result } },
+    { upsert: true }
+  );
+  await File.updateOne(current, {
+    $set: { 'textIndex.status': 'ready', 'textIndex.error': null }
+  }, { timestamps: false });
+}
+
+// Ask for the text of a file to be extracted from its current content.
+// Content still waiting for its scan is skipped until the scan is done.
+// Files whose content gets no text, or is quarantined, lose any text
+// extracted from earlier content.
+async function requestTextIndex(file) {
+  if (!file.hash) return;
+
+  if (!getTextKind(file.mimeType) || file.quarantineReason) {
+    await FileText.deleteOne({ file: file._id });
+    await File.updateOne(
+      { _id: file._id, hash: file.hash },
+      { $set: { 'textIndex.status': null, 'textIndex.error': null } },
+      { timestamps: false }
+    );
+    return;
+  }
+
+  if (file.scan.status === 'pending') return;
+
+  await File.updateOne(
+    { _id: file._id, hash: file.hash },
+    { $set: { 'textIndex.status': 'pending', 'textIndex.error': null } },
+    { timestamps: false }
+  );
+  queue.push(String(file._id));
+}
+
+// Queue every file still waiting for its text, such as those left over
+// from before a restart. Returns the number of files queued.
+async function queuePendingTextIndexes() {
+  const pending = await File.find({ 'textIndex.status': 'pending' })
+    .select('_id')
+    .setOptions({ withDeleted: true });
+
+  pending.forEach(file => queue.push(String(file._id)));
+  return pending.length;
+}
+
+// Find the files of an owner whose text matches a search, best matches
+// first. Returns their IDs.
+async function searchText(ownerId, search, limit = 1000) {
+  const matches = await FileText.find(
+    { owner: ownerId, $text: { $search: search } },
+    { score: { $meta: 'textScore' } }
+  )
+    .select('file')
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit);
+
+  return matches.map(match => match.file);
+}
+
+// Get the words of a search to highlight, leaving out excluded words and
+// the operators of text search
+function getSearchTerms(search) {
+  return [...new Set(
+    search
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(word => !word.startsWith('-'))
+      .join(' ')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(term => term.length > 1)
+  )];
+}
+
+// Build a snippet of text around the first match of any search term, with
+// the ranges of every match within it to highlight. The text is a window
+// of the full text; before and after tell whether the full text goes on
+// past either end of it. Returns null if no term appears in the window as
+// it was written.
+function buildSnippet(text, terms, { before = false, after = false } = {}) {
+  const lowerText = text.toLowerCase();
+  const first = Math.min(...terms.map(term => lowerText.indexOf(term)).filter(index => index !== -1));
+  if (!isFinite(first)) return null;
+
+  const start = Math.max(0, first - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, first + SNIPPET_CONTEXT * 2);
+  const snippet = text.slice(start, end).replace(/\s+/g, ' ');
+  const lowerSnippet = snippet.toLowerCase();
+  const cutBefore = before || start > 0;
+
+  const highlights = [];
+  for (const term of terms) {
+    for (let index = lowerSnippet.indexOf(term); index !== -1; index = lowerSnippet.indexOf(term, index + term.length)) {
+      highlights.push({ start: index, end: index + term.length });
+    }
+  }
+  highlights.sort((a, b) => a.start - b.start);
+
+  return {
+    text: `${cutBefore ? '…' : ''}${snippet}${after || end < text.length ? '…' : ''}`,
+    highlights: highlights.map(range => (cutBefore
+      ? { start: range.start + 1, end: range.end + 1 }
+      : range))
+  };
+}
+
+// Get snippets of the text of files matching a search, keyed by file ID.
+// Only a window of text around the first match of each file is loaded,
+// as the full text of a file can be very long.
+async function getSnippets(fileIds, search) {
+  const terms = getSearchTerms(search);
+  const snippets = new Map();
+  if (terms.length === 0) return snippets;
+
+  const indexOf = term => ({
+    $let: {
+      vars: { index: { $indexOfCP: ['$lowerText', term] } },
+      in: { $cond: [{ $eq: ['$$index', -1] }, null, '$$index'] }
+    }
+  });
+
+  const windows = await FileText.aggregate([
+    { $match: { file: { $in: fileIds } } },
+    { $project: { file: 1, text: 1, lowerText: { $toLower: '$text' } } },
+    { $project: { file: 1, text: 1, first: { $min: terms.map(indexOf) } } },
+    { $match: { first: { $ne: null } } },
+    { $project: { file: 1, text: 1, offset: { $max: [0, { $subtract: ['$first', SNIPPET_CONTEXT] }] } } },
+    {
+      $project: {
+        file: 1,
+        text: { $substrCP: ['$text', '$offset', SNIPPET_WINDOW] },
+        before: { $gt: ['$offset', 0] },
+        after: { $lt: [{ $add: ['$offset', SNIPPET_WINDOW] }, { $strLenCP: '$text' }] }
+      }
+    }
+  ]);
+
+  for (const { file, text, before, after } of windows) {
+    const snippet = buildSnippet(text, terms, { before, after });
+    if (snippet) snippets.set(String(file), snippet);
+  }
+
+  return snippets;
+}
+
+module.exports = {
+  getTextKind,
+  requestTextIndex,
+  queuePendingTextIndexes,
+  searchText,
+  getSnippets
+};
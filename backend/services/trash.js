@@ -0,0 +1,320 @@
+const Folder = require('../models/Folder');
+const File = require('../models/File');
+const Note = require('../models/Note');
+const Grant = require('../models/Grant');
+const ShareLink = require('../models/ShareLink');
+const SmartFolder = require('../models/SmartFolder');
+const { removeFile } = require('./files');
+const { releaseStorage } = require('./quota');
+const { getParentId } = require('./access');
+const { refreshFolderStats } = require('./folderStats');
+
+// Models that support the trash, keyed by the type segment used in routes
+const trashModels = {
+  folders: Folder,
+  files: File,
+  notes: Note
+};
+
+// Matches documents that are in the trash
+const IN_TRASH = { $ne: null };
+
+// Get how many days trashed items are kept before they are purged
+function getRetentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+  return isNaN(days) ? 30 : days;
+}
+
+// Get the date at which a trashed item will be purged automatically
+function getPurgeDate(item) {
+  const purgeAt = new Date(item.deletedAt);
+  purgeAt.setDate(purgeAt.getDate() + getRetentionDays());
+  return purgeAt;
+}
+
+// Move a file or note to the trash
+async function trashItem(item) {
+  item.deletedAt = new Date();
+  item.deletedWith = null;
+  await item.save();
+  await refreshFolderStats(item.folder);
+}
+
+// Move a folder and everything still live inside it to the trash. The
+// contents are tagged with the folder so they are restored together.
+async function trashFolder(folder) {
+  const deletedAt = new Date();
+
+  await markSubtree(folder._id, folder.owner, folder._id, deletedAt);
+
+  folder.deletedAt = deletedAt;
+  folder.deletedWith = null;
+  await folder.save();
+  await refreshFolderStats(folder.parentFolder);
+}
+
+async function markSubtree(folderId, userId, rootId, deletedAt) {
+  const subfolders = await Folder.find({ parentFolder: folderId, owner: userId });
+
+  for (const subfolder of subfolders) {
+    await markSubtree(subfolder._id, userId, rootId, deletedAt);
+  }
+
+  const update = { deletedAt, deletedWith: rootId };
+  await Promise.all([
+    Folder.updateMany({ parentFolder: folderId, owner: userId, deletedAt: null }, update),
+    File.updateMany({ folder: folderId, owner: userId, deletedAt: null }, update),
+    Note.updateMany({ folder: folderId, owner: userId, deletedAt: null }, update)
+  ]);
+}
+
+// Restore a trashed item to its original location. Trashed parent folders
+// are restored first so the original hierarchy comes back; if a parent no
+// longer exists the item is restored to the root.
+async function restoreItem(item) {
+  const parent = await restoreParent(item);
+
+  if (item instanceof Folder) {
+    item.parentFolder = parent ? parent._id : null;
+    await restoreFolderShell(item, parent);
+
+    const update = { deletedAt: null, deletedWith: null };
+    await Promise.all([
+      Folder.updateMany({ deletedWith: item._id, deletedAt: IN_TRASH }, update),
+      File.updateMany({ deletedWith: item._id, deletedAt: IN_TRASH }, update),
+      Note.updateMany({ deletedWith: item._id, deletedAt: IN_TRASH }, update)
+    ]);
+
+    await rewriteSubtreePaths(item);
+  } else {
+    item.folder = parent ? parent._id : null;
+    item.deletedAt = null;
+    item.deletedWith = null;
+    await item.save();
+  }
+
+  // A restored folder keeps the aggregates of its subtree, so only the
+  // folders above it need updating
+  await refreshFolderStats(item instanceof Folder ? item._id : item.folder);
+
+  return item;
+}
+
+// Make sure the folder an item belongs to is live again, restoring trashed
+// ancestors top-down. Returns the live parent folder, or null for root.
+async function restoreParent(item) {
+  const parentId = getParentId(item);
+  if (!parentId) return null;
+
+  const liveParent = await Folder.findOne({ _id: parentId, owner: item.owner });
+  if (liveParent) return liveParent;
+
+  const trashedParent = await Folder.findOne({
+    _id: parentId,
+    owner: item.owner,
+    deletedAt: IN_TRASH
+  });
+  if (!trashedParent) return null;
+
+  const grandparent = await restoreParent(trashedParent);
+  trashedParent.parentFolder = grandparent ? grandparent._id : null;
+  await detachFolder(trashedParent, grandparent);
+
+  return trashedParent;
+}
+
+// Restore a single trashed folder without its contents. Its direct contents
+// stay in the trash as items of their own.
+async function detachFolder(folder, parent) {
+  const rootId = folder.deletedWith || folder._id;
+
+  await restoreFolderShell(folder, parent);
+
+  await Promise.all([
+    File.updateMany({ folder: folder._id, deletedWith: rootId, deletedAt: IN_TRASH }, { deletedWith: null }),
+    Note.updateMany({ folder: folder._id, deletedWith: rootId, deletedAt: IN_TRASH }, { deletedWith: null })
+  ]);
+
+  const subfolders = await Folder.find({
+    parentFolder: folder._id,
+    deletedWith: rootId,
+    deletedAt: IN_TRASH
+  });
+
+  for (const subfolder of subfolders) {
+    subfolder.deletedWith = null;
+    await subfolder.save();
+    await repointSubtree(subfolder._id, rootId, subfolder._id);
+  }
+}
+
+// Re-tag the trashed contents of a folder with a new trash root
+async function repointSubtree(folderId, oldRootId, newRootId) {
+  const subfolders = await Folder.find({
+    parentFolder: folderId,
+    deletedWith: oldRootId,
+    deletedAt: IN_TRASH
+  });
+
+  const filter = { folder: folderId, deletedWith: oldRootId, deletedAt: IN_TRASH };
+  await Promise.all([
+    File.updateMany(filter, { deletedWith: newRootId }),
+    Note.updateMany(filter, { deletedWith: newRootId })
+  ]);
+
+  for (const subfolder of subfolders) {
+    subfolder.deletedWith = newRootId;
+    await subfolder.save();
+    await repointSubtree(subfolder._id, oldRootId, newRootId);
+  }
+}
+
+// Bring a folder document back under its parent, renaming it if a live
+// folder with the same name took its place in the meantime
+async function restoreFolderShell(folder, parent) {
+  let name = folder.name;
+  let counter = 1;
+
+  while (await Folder.findOne({
+    name,
+    owner: folder.owner,
+    parentFolder: folder.parentFolder,
+    _id: { $ne: folder._id }
+  })) {
+    name = counter === 1
+      ? `${folder.name} (Restored)`
+      : `${folder.name} (Restored ${counter})`;
+    counter++;
+  }
+
+  folder.name = name;
+  folder.path = parent ? `${parent.path}/${name}` : name;
+  folder.deletedAt = null;
+  folder.deletedWith = null;
+  await folder.save();
+}
+
+// Recompute the paths of the live folders below a folder
+async function rewriteSubtreePaths(folder) {
+  const subfolders = await Folder.find({ parentFolder: folder._id, owner: folder.owner });
+
+  for (const subfolder of subfolders) {
+    const path = `${folder.path}/${subfolder.name}`;
+    if (subfolder.path !== path) {
+      subfolder.path = path;
+      await subfolder.save();
+    }
+    await rewriteSubtreePaths(subfolder);
+  }
+}
+
+// Permanently delete a trashed item and everything trashed with it.
+// Returns the number of bytes freed.
+async function purgeItem(item) {
+  await removeAccess(item);
+
+  if (item instanceof File) {
+    return removeFile(item);
+  }
+
+  if (item instanceof Note) {
+    await Note.findByIdAndDelete(item._id);
+    return 0;
+  }
+
+  // Smart folders listed in the purged folders move to the top level
+  const folders = await Folder.find({ deletedWith: item._id, deletedAt: IN_TRASH }).select('_id');
+  await SmartFolder.updateMany(
+    { parentFolder: { $in: [item._id, ...folders.map(folder => folder._id)] } },
+    { parentFolder: null }
+  );
+
+  let freedSize = 0;
+  const files = await File.find({ deletedWith: item._id, deletedAt: IN_TRASH });
+  for (const file of files) {
+    freedSize += await removeFile(file);
+  }
+
+  await Promise.all([
+    Note.deleteMany({ deletedWith: item._id, deletedAt: IN_TRASH }),
+    Folder.deleteMany({ deletedWith: item._id, deletedAt: IN_TRASH })
+  ]);
+  await Folder.findByIdAndDelete(item._id);
+
+  return freedSize;
+}
+
+// Remove the grants and share links of a trashed item and everything
+// trashed with it
+async function removeAccess(item) {
+  const resources = [item._id];
+
+  if (item instanceof Folder) {
+    for (const Model of [Folder, File, Note]) {
+      const items = await Model.find({ deletedWith: item._id, deletedAt: IN_TRASH }).select('_id');
+      resources.push(...items.map(trashed => trashed._id));
+    }
+  }
+
+  await Promise.all([
+    Grant.deleteMany({ resource: { $in: resources } }),
+    ShareLink.deleteMany({ resource: { $in: resources } })
+  ]);
+}
+
+// Get the top-level items in a user's trash
+async function listTrash(userId) {
+  const query = { owner: userId, deletedAt: IN_TRASH, deletedWith: null };
+
+  const [folders, files, notes] = await Promise.all([
+    Folder.find(query).sort({ deletedAt: -1 }),
+    File.find(query).sort({ deletedAt: -1 }),
+    Note.find(query).sort({ deletedAt: -1 })
+  ]);
+
+  const withPurgeDate = item => ({ ...item.toObject(), purgeAt: getPurgeDate(item) });
+
+  return {
+    folders: folders.map(withPurgeDate),
+    files: files.map(withPurgeDate),
+    notes: notes.map(withPurgeDate)
+  };
+}
+
+// Permanently delete every trashed item matching a filter, releasing the
+// storage of each owner. Returns the number of top-level items purged.
+async function purgeWhere(filter) {
+  const query = { ...filter, deletedAt: filter.deletedAt || IN_TRASH, deletedWith: null };
+  const freedByOwner = new Map();
+  let purged = 0;
+
+  for (const Model of [File, Note, Folder]) {
+    const items = await Model.find(query);
+
+    for (const item of items) {
+      const freedSize = await purgeItem(item);
+      const owner = item.owner.toString();
+      freedByOwner.set(owner, (freedByOwner.get(owner) || 0) + freedSize);
+      purged++;
+    }
+  }
+
+  for (const [owner, freedSize] of freedByOwner) {
+    await releaseStorage(owner, freedSize);
+  }
+
+  return purged;
+}
+
+module.exports = {
+  trashModels,
+  IN_TRASH,
+  getRetentionDays,
+  getPurgeDate,
+  trashItem,
+  trashFolder,
+  restoreItem,
+  purgeItem,
+  listTrash,
+  purgeWhere
+};
@@ -0,0 +1,158 @@
+const path = require('path');
+const UploadPolicy = require('../models/UploadPolicy');
+const UploadUsage = require('../models/UploadUsage');
+
+// What a user may upload is decided by the built-in defaults, overridden
+// by the policy of their plan, overridden in turn by a policy of their own.
+// Admins edit plan and user policies at runtime; they apply to the next
+// upload.
+
+const DEFAULT_POLICY = {
+  allowedTypes: [
+    'image/jpeg',
+    'image/jpg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'text/plain',
+    'text/csv'
+  ],
+  // null allows any extension
+  allowedExtensions: null,
+  maxFileSize: 50 * 1024 * 1024, // 50MB
+  maxFilesPerRequest: 10,
+  // null or 0 means no daily limit
+  maxBytesPerDay: null
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_POLICY);
+
+function formatSize(bytes) {
+  const units = [' bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1) : 0;
+  return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(2))}${units[i]}`;
+}
+
+const VIOLATION_MESSAGES = {
+  allowedTypes: policy => `Invalid file type. Allowed types: ${policy.allowedTypes.join(', ')}.`,
+  allowedExtensions: policy => `Invalid file extension. Allowed extensions: ${policy.allowedExtensions.join(', ')}.`,
+  maxFileSize: policy => `File too large. Maximum size is ${formatSize(policy.maxFileSize)}.`,
+  maxFilesPerRequest: policy => `Too many files. Maximum ${policy.maxFilesPerRequest} files allowed.`,
+  maxBytesPerDay: policy => `Daily upload limit of ${formatSize(policy.maxBytesPerDay)} reached.`
+};
+
+// Describe a breach of one of the policy's fields
+function getViolation(policy, field) {
+  return {
+    policy: field,
+    limit: policy[field],
+    message: VIOLATION_MESSAGES[field](policy)
+  };
+}
+
+// Get the upload policy that applies to a user
+async function getUploadPolicy(user) {
+  const overrides = await UploadPolicy.find({
+    $or: [{ plan: user.plan }, { user: user._id }]
+  });
+
+  const policy = { ...DEFAULT_POLICY };
+  const planPolicy = overrides.find(override => override.plan);
+  const userPolicy = overrides.find(override => override.user);
+
+  for (const override of [planPolicy, userPolicy]) {
+    if (!override) continue;
+
+    for (const field of POLICY_FIELDS) {
+      const value = override[field];
+      const isSet = Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined;
+      if (isSet) {
+        policy[field] = Array.isArray(value) ? [...value] : value;
+      }
+    }
+  }
+
+  return policy;
+}
+
+// Check a file against a policy. The type and size are only checked when
+// known. Returns the violation, or null if the file is allowed.
+function checkFile(policy, { originalName, mimeType, size }) {
+  if (mimeType !== undefined && !policy.allowedTypes.includes(mimeType)) {
+    return getViolation(policy, 'allowedTypes');
+  }
+
+  const extension = path.extname(originalName).slice(1).toLowerCase();
+  if (policy.allowedExtensions && !policy.allowedExtensions.includes(extension)) {
+    return getViolation(policy, 'allowedExtensions');
+  }
+
+  if (size !== undefined && size > policy.maxFileSize) {
+    return getViolation(policy, 'maxFileSize');
+  }
+
+  return null;
+}
+
+function getToday() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Get how many bytes a user has uploaded today
+async function getUploadedToday(userId) {
+  const usage = await UploadUsage.findOne({ user: userId, day: getToday() });
+  return usage ? usage.bytes : 0;
+}
+
+// Count bytes against a user's daily upload limit in a single conditional
+// update, so parallel uploads cannot go over it. Resolves to the violation
+// if the limit would be exceeded, or else to the day the bytes were
+// counted against, which they are given back to if need be.
+async function reserveDailyUpload(userId, policy, bytes) {
+  const limit = policy.maxBytesPerDay;
+  const day = getToday();
+  const filter = { user: userId, day };
+
+  if (limit && bytes > limit) {
+    return { violation: getViolation(policy, 'maxBytesPerDay') };
+  }
+
+  try {
+    await UploadUsage.updateOne(
+      limit ? { ...filter, bytes: { $lte: limit - bytes } } : filter,
+      { $inc: { bytes } },
+      { upsert: true }
+    );
+    return { violation: null, day };
+  } catch (error) {
+    // Today's record exists but has no room left, so the upsert collided
+    if (error.code === 11000) {
+      return { violation: getViolation(policy, 'maxBytesPerDay') };
+    }
+    throw error;
+  }
+}
+
+// Give back bytes counted for an upload that was not stored after all, to
+// the day they were counted against
+async function releaseDailyUpload(userId, day, bytes) {
+  await UploadUsage.updateOne(
+    { user: userId, day },
+    { $inc: { bytes: -bytes } }
+  );
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  POLICY_FIELDS,
+  formatSize,
+  getViolation,
+  getUploadPolicy,
+  checkFile,
+  getUploadedToday,
+  reserveDailyUpload,
+  releaseDailyUpload
+};
@@ -0,0 +1,36 @@
+// In-process background queue that works through keys one at a time, so
+// heavy work such as scanning or rendering never runs side by side. A key
+// that is already waiting or being worked on is not queued again.
+function createWorkQueue(worker, label) {
+  const queue = [];
+  const queued = new Set();
+  let processing = false;
+
+  async function processQueue() {
+    processing = true;
+
+    while (queue.length > 0) {
+      const key = queue.shift();
+      try {
+        await worker(key);
+      } catch (error) {
+        console.error(`${label} error:`, error);
+      }
+      queued.delete(key);
+    }
+
+    processing = false;
+  }
+
+  return {
+    push(key) {
+      if (queued.has(key)) return;
+
+      queued.add(key);
+      queue.push(key);
+      if (!processing) processQueue();
+    }
+  };
+}
+
+module.exports = createWorkQueue;
@@ -0,0 +1,348 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const Folder = require('../models/Folder');
+const File = require('../models/File');
+const { incomingDir, generateFilename } = require('../middleware/upload');
+const { detectMimeType } = require('./contentTypes');
+const { checkFile } = require('./uploadPolicies');
+const { ingestUpload, releaseContent, removeFile, unlinkIfExists } = require('./files');
+const { buildPath } = require('./folders');
+const { getPendingScan, requestScan } = require('./malwareScan');
+
+// ZIP archives are imported all or nothing. The central directory is read
+// and checked first, so unsafe paths, links, encrypted entries, likely zip
+// bombs and name collisions are refused before a single byte is extracted.
+// Entries are then extracted to the staging directory and checked against
+// the upload policy by content, and only when every entry passes are the
+// folders and files created.
+
+const MAX_DEPTH = 32;
+const MAX_NAME_LENGTH = 255;
+
+// Entries smaller than this are never treated as zip bombs, as tiny or
+// repetitive files legitimately compress very well
+const RATIO_CHECK_MIN_SIZE = 1024 * 1024;
+
+// Get the limits on imported archives
+function getImportLimits() {
+  return {
+    maxEntries: parseInt(process.env.ZIP_IMPORT_MAX_ENTRIES) || 1000,
+    maxRatio: parseInt(process.env.ZIP_IMPORT_MAX_RATIO) || 100
+  };
+}
+
+// Describe why an archive is refused, as the HTTP status and message to
+// answer with and the entry at fault
+function refuse(status, message, entry) {
+  return { status, message, data: entry ? { entry } : undefined };
+}
+
+// Describe an entry breaking the upload policy
+function refuseViolation(violation, entry) {
+  return {
+    status: 400,
+    message: violation.message,
+    data: { policy: violation.policy, limit: violation.limit, entry }
+  };
+}
+
+function isSymlink(entry) {
+  return ((entry.externalFileAttributes >>> 16) & 0o170000) === 0o120000;
+}
+
+// Operating system clutter that is not part of the imported content
+function isClutter(segments) {
+  return segments[0] === '__MACOSX' || segments[segments.length - 1] === '.DS_Store';
+}
+
+// Read every entry of the central directory
+function readEntries(zipfile) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+
+    zipfile.on('entry', entry => {
+      entries.push(entry);
+      zipfile.readEntry();
+    });
+    zipfile.on('end', () => resolve(entries));
+    zipfile.on('error', reject);
+    zipfile.readEntry();
+  });
+}
+
+// Split an entry's name into path segments, or return null if the name
+// escapes the directory it is extracted to
+function getSegments(entry) {
+  const name = yauzl.getFileNameLowLevel(
+    entry.generalPurposeBitFlag,
+    entry.fileNameRaw,
+    entry.extraFields,
+    false
+  );
+
+  if (yauzl.validateFileName(name)) return null;
+  return name.split('/').map(segment => segment.trim()).filter(segment => segment && segment !== '.');
+}
+
+// Open an archive and plan its import: the folders to create and the files
+// to extract, as paths relative to the target folder. Returns the plan, or
+// a problem describing why the archive is refused.
+async function planImport(zipPath, policy) {
+  const limits = getImportLimits();
+  let zipfile;
+
+  try {
+    zipfile = await yauzl.openPromise(zipPath, { decodeStrings: false, autoClose: false });
+  } catch (error) {
+    return { problem: refuse(400, 'The uploaded file is not a valid ZIP archive') };
+  }
+
+  if (zipfile.entryCount > limits.maxEntries) {
+    zipfile.close();
+    return { problem: refuse(400, `Too many entries. Archives may hold at most ${limits.maxEntries} entries.`) };
+  }
+
+  let entries;
+  try {
+    entries = await readEntries(zipfile);
+  } catch (error) {
+    zipfile.close();
+    return { problem: refuse(400, `The ZIP archive is damaged: ${error.message}`) };
+  }
+
+  const folders = new Map();
+  const files = new Map();
+  let totalSize = 0;
+
+  const addFolder = segments => {
+    for (let depth = 1; depth <= segments.length; depth++) {
+      const folderPath = segments.slice(0, depth).join('/');
+      if (!folders.has(folderPath)) {
+        folders.set(folderPath, { path: folderPath, segments: segments.slice(0, depth) });
+      }
+    }
+  };
+
+  for (const entry of entries) {
+    const segments = getSegments(entry);
+    const rawName = entry.fileNameRaw.toString('utf8');
+
+    if (!segments) {
+      zipfile.close();
+      return { problem: refuse(400, 'The archive contains a path outside of its own folder', rawName) };
+    }
+    if (segments.length === 0 || isClutter(segments)) continue;
+
+    const entryPath = segments.join('/');
+    const isDirectory = rawName.endsWith('/') || rawName.endsWith('\\');
+
+    if (segments.length > MAX_DEPTH) {
+      zipfile.close();
+      return { problem: refuse(400, `Folders may be nested at most ${MAX_DEPTH} levels deep`, entryPath) };
+    }
+    if (segments.some(segment => segment.length > MAX_NAME_LENGTH)) {
+      zipfile.close();
+      return { problem: refuse(400, `Names may be at most ${MAX_NAME_LENGTH} characters long`, entryPath) };
+    }
+    if (isSymlink(entry)) {
+      zipfile.close();
+      return { problem: refuse(400, 'Links cannot be imported', entryPath) };
+    }
+
+    if (isDirectory) {
+      if (files.has(entryPath)) {
+        zipfile.close();
+        return { problem: refuse(409, 'The archive contains a file and a folder with the same name', entryPath) };
+      }
+      addFolder(segments);
+      continue;
+    }
+
+    if (entry.isEncrypted()) {
+      zipfile.close();
+      return { problem: refuse(400, 'Encrypted entries cannot be imported', entryPath) };
+    }
+
+    // A tiny entry claiming to expand enormously is a zip bomb
+    const ratio = entry.uncompressedSize / Math.max(entry.compressedSize, 1);
+    if (entry.uncompressedSize > RATIO_CHECK_MIN_SIZE && ratio > limits.maxRatio) {
+      zipfile.close();
+      return { problem: refuse(400, 'The archive is compressed suspiciously well and may be a zip bomb', entryPath) };
+    }
+
+    if (files.has(entryPath) || folders.has(entryPath)) {
+      zipfile.close();
+      return { problem: refuse(409, 'The archive contains the same name more than once', entryPath) };
+    }
+
+    // The type is only known once the entry is extracted
+    const name = segments[segments.length - 1];
+    const violation = checkFile(policy, { originalName: name, size: entry.uncompressedSize });
+    if (violation) {
+      zipfile.close();
+      return { problem: refuseViolation(violation, entryPath) };
+    }
+
+    addFolder(segments.slice(0, -1));
+    files.set(entryPath, { path: entryPath, segments, name, entry, size: entry.uncompressedSize });
+    totalSize += entry.uncompressedSize;
+  }
+
+  // Folders implied by file paths can only now be checked against files
+  const clash = [...files.keys()].find(filePath => folders.has(filePath));
+  if (clash) {
+    zipfile.close();
+    return { problem: refuse(409, 'The archive contains a file and a folder with the same name', clash) };
+  }
+
+  if (files.size === 0 && folders.size === 0) {
+    zipfile.close();
+    return { problem: refuse(400, 'The archive is empty') };
+  }
+
+  return {
+    archivePath: zipPath,
+    zipfile,
+    folders: [...folders.values()].sort((a, b) => a.segments.length - b.segments.length),
+    files: [...files.values()],
+    totalSize
+  };
+}
+
+// Find names at the top of the archive that are already taken in the
+// target folder
+async function findCollisions(plan, parent, owner) {
+  const names = new Set([
+    ...plan.folders.filter(folder => folder.segments.length === 1).map(folder => folder.path),
+    ...plan.files.filter(file => file.segments.length === 1).map(file => file.name)
+  ]);
+  const parentId = parent ? parent._id : null;
+
+  const [folders, files] = await Promise.all([
+    Folder.find({ owner, parentFolder: parentId, name: { $in: [...names] } }).select('name'),
+    File.find({ owner, folder: parentId, name: { $in: [...names] } }).select('name')
+  ]);
+
+  return [...new Set([...folders, ...files].map(item => item.name))];
+}
+
+// Extract the planned files to the staging directory and check each one's
+// content against the upload policy. yauzl fails any entry whose data does
+// not match the size it declared, so nothing expands past what was
+// reserved. Returns a problem if an entry is refused, or null.
+async function extractFiles(plan, policy) {
+  for (const file of plan.files) {
+    file.tempPath = path.join(incomingDir, generateFilename(file.name));
+
+    try {
+      const stream = await plan.zipfile.openReadStreamPromise(file.entry);
+      await pipeline(stream, fs.createWriteStream(file.tempPath));
+    } catch (error) {
+      return refuse(400, `The ZIP archive is damaged: ${error.message}`, file.path);
+    }
+
+    // Text formats cannot be told apart by content, so CSV stays CSV
+    const detectedType = detectMimeType(file.tempPath);
+    file.mimeType = detectedType === 'text/plain' && path.extname(file.name).toLowerCase() === '.csv'
+      ? 'text/csv'
+      : detectedType;
+
+    const violation = checkFile(policy, { originalName: file.name, mimeType: file.mimeType });
+    if (violation) {
+      return refuseViolation(violation, file.path);
+    }
+  }
+
+  return null;
+}
+
+// Close and remove the archive and the staged copies of extracted files
+function discardImport(plan) {
+  plan.zipfile.close();
+  unlinkIfExists(plan.archivePath);
+  plan.files.forEach(file => unlinkIfExists(file.tempPath));
+}
+
+// Create the planned folders and files under the target folder. Returns
+// the folders created at the top of the archive and the number of files
+// created. If anything fails, whatever was already created is removed
+// again, along with its stored data, before the error is passed on.
+async function createImport(plan, parent, owner) {
+  const createdFolders = new Map();
+  const createdFiles = [];
+  const topFolders = [];
+
+  try {
+    for (const item of plan.folders) {
+      const parentPath = item.segments.slice(0, -1).join('/');
+      const parentFolder = parentPath ? createdFolders.get(parentPath) : parent;
+      const name = item.segments[item.segments.length - 1];
+
+      const folder = new Folder({
+        name,
+        owner,
+        parentFolder: parentFolder ? parentFolder._id : null,
+        path: buildPath(parentFolder, name)
+      });
+      await folder.save();
+
+      createdFolders.set(item.path, folder);
+      if (item.segments.length === 1) topFolders.push(folder);
+    }
+
+    for (const item of plan.files) {
+      const parentPath = item.segments.slice(0, -1).join('/');
+      const folder = parentPath ? createdFolders.get(parentPath) : parent;
+      const content = await ingestUpload(item.tempPath, item.mimeType);
+
+      const file = new File({
+        ...content,
+        scan: getPendingScan(),
+        name: item.name,
+        originalName: item.name,
+        owner,
+        folder: folder ? folder._id : null
+      });
+
+      try {
+        await file.save();
+      } catch (error) {
+        await releaseContent(file);
+        throw error;
+      }
+      createdFiles.push(file);
+    }
+  } catch (error) {
+    await undoImport(createdFiles, [...createdFolders.values()]);
+    throw error;
+  }
+
+  // Files are only scanned once the whole import is in place
+  createdFiles.forEach(file => requestScan(file));
+
+  return { folders: topFolders, fileCount: createdFiles.length };
+}
+
+// Remove the files and folders of an import that failed part way
+async function undoImport(files, folders) {
+  for (const file of files) {
+    try {
+      await removeFile(file);
+    } catch (error) {
+      console.error(`Undo import error for file ${file._id}:`, error);
+    }
+  }
+
+  await Folder.deleteMany({ _id: { $in: folders.map(folder => folder._id) } })
+    .catch(error => console.error('Undo import error for folders:', error));
+}
+
+module.exports = {
+  planImport,
+  findCollisions,
+  extractFiles,
+  discardImport,
+  createImport
+};
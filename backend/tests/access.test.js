@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Grant = require('../models/Grant');
+const Folder = require('../models/Folder');
+const Note = require('../models/Note');
+const { query, queries } = require('./helpers/queries');
+const { hasRole, getRole, findAccessible, findWritableFolder } = require('../services/access');
+
+const { ObjectId } = mongoose.Types;
+
+const owner = new ObjectId();
+const grantee = new ObjectId();
+
+function folder(parentFolder = null) {
+  return new Folder({ name: 'Shared', owner, parentFolder, path: '/Shared' });
+}
+
+function note(folderId = null) {
+  return new Note({ title: 'Plan', content: 'Text', owner, folder: folderId });
+}
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('hasRole orders the granted roles from viewer to editor', () => {
+  assert.deepEqual(Grant.ROLES, ['viewer', 'commenter', 'editor']);
+
+  assert.ok(hasRole('editor', 'commenter'));
+  assert.ok(hasRole('commenter', 'viewer'));
+  assert.ok(hasRole('commenter', 'commenter'));
+  assert.ok(!hasRole('commenter', 'editor'));
+  assert.ok(!hasRole('viewer', 'commenter'));
+});
+
+test('hasRole lets owners do anything and no grant do what only owners can', () => {
+  assert.ok(hasRole('owner', 'owner'));
+  assert.ok(hasRole('owner', 'editor'));
+  assert.ok(!hasRole('editor', 'owner'));
+  assert.ok(!hasRole(null, 'viewer'));
+});
+
+test('grants accept every role but owner', () => {
+  const grant = role => new Grant({ owner, grantee, resourceModel: 'Note', resource: new ObjectId(), role });
+
+  for (const role of Grant.ROLES) {
+    assert.equal(grant(role).validateSync(), undefined, role);
+  }
+  assert.ok(grant('owner').validateSync().errors.role);
+});
+
+test('getRole gives owners the owner role without looking for grants', async () => {
+  const find = test.mock.method(Grant, 'find', queries([]));
+
+  assert.equal(await getRole(note(), owner), 'owner');
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test('getRole looks for grants on the item and every folder above it', async () => {
+  const top = folder();
+  const middle = folder(top._id);
+  const item = note(middle._id);
+
+  test.mock.method(Folder, 'findById', id => query(
+    [top, middle].find(candidate => candidate._id.equals(id)) || null
+  ));
+  const find = test.mock.method(Grant, 'find', queries([{ role: 'commenter' }]));
+
+  assert.equal(await getRole(item, grantee), 'commenter');
+
+  const filter = find.mock.calls[0].arguments[0];
+  assert.ok(filter.grantee.equals(grantee));
+  assert.deepEqual(filter.resource.$in.map(String), [item._id, middle._id, top._id].map(String));
+});
+
+test('getRole takes the highest role granted', async () => {
+  test.mock.method(Folder, 'findById', queries(null));
+  test.mock.method(Grant, 'find', queries([{ role: 'commenter' }, { role: 'editor' }, { role: 'viewer' }]));
+
+  assert.equal(await getRole(note(new ObjectId()), grantee), 'editor');
+});
+
+test('getRole stops at folders that loop back on themselves', async () => {
+  const looped = folder();
+  looped.parentFolder = looped._id;
+
+  test.mock.method(Folder, 'findById', queries(looped));
+  test.mock.method(Grant, 'find', queries([]));
+
+  assert.equal(await getRole(note(looped._id), grantee), null);
+});
+
+test('findAccessible hides items the user has no role on', async () => {
+  test.mock.method(Note, 'findById', queries(note()));
+  test.mock.method(Grant, 'find', queries([]));
+
+  assert.equal(await findAccessible(Note, new ObjectId(), grantee), null);
+});
+
+test('findWritableFolder needs the editor role', async () => {
+  const shared = folder();
+  test.mock.method(Folder, 'findById', queries(shared, null));
+
+  test.mock.method(Grant, 'find', queries([{ role: 'commenter' }]));
+  assert.equal(await findWritableFolder(shared._id, grantee), null);
+
+  test.mock.restoreAll();
+  test.mock.method(Folder, 'findById', queries(shared, null));
+  test.mock.method(Grant, 'find', queries([{ role: 'editor' }]));
+  assert.equal(await findWritableFolder(shared._id, grantee), shared);
+});
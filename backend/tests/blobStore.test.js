@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Blob = require('../models/Blob');
+const { getDriver } = require('../services/storage');
+const { queries, query } = require('./helpers/queries');
+const blobStore = require('../services/blobStore');
+
+const driver = getDriver('local');
+
+let workDir;
+
+test.before(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blob-store-'));
+});
+
+test.after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+// Write an upload to a temporary file and get its path and hash
+function upload(content) {
+  const tempPath = path.join(workDir, `upload-${Date.now()}-${Math.random()}`);
+  fs.writeFileSync(tempPath, content);
+  return { tempPath, hash: crypto.createHash('sha256').update(content).digest('hex') };
+}
+
+function blob(fields = {}) {
+  return new Blob({ hash: 'abc', size: 3, key: 'blobs/ab/abc', backend: 'local', refCount: 1, ...fields });
+}
+
+test('getBlobKey spreads blobs over directories by hash', () => {
+  assert.equal(blobStore.getBlobKey('abcdef'), 'blobs/ab/abcdef');
+});
+
+test('hashFile hashes the content of a file', async () => {
+  const { tempPath, hash } = upload('hello');
+
+  assert.equal(await blobStore.hashFile(tempPath), hash);
+});
+
+test('addReference skips blobs that are being deleted', () => {
+  const update = test.mock.method(Blob, 'findOneAndUpdate', () => query(null));
+
+  blobStore.addReference('abc');
+
+  const [filter, change] = update.mock.calls[0].arguments;
+  assert.deepEqual(filter, { hash: 'abc', deleting: { $ne: true } });
+  assert.deepEqual(change, { $inc: { refCount: 1 } });
+});
+
+test('ingest stores new bytes once under their hash', async () => {
+  const { tempPath, hash } = upload('new bytes');
+  test.mock.method(Blob, 'findOneAndUpdate', queries(null));
+  test.mock.method(Blob, 'exists', queries(null));
+  const importFile = test.mock.method(driver, 'importFile', async () => {});
+  const create = test.mock.method(Blob, 'create', async fields => fields);
+
+  const stored = await blobStore.ingest(tempPath, 'local');
+
+  assert.deepEqual(importFile.mock.calls[0].arguments, [tempPath, `blobs/${hash.slice(0, 2)}/${hash}`]);
+  assert.deepEqual(create.mock.calls[0].arguments[0], {
+    hash,
+    size: 9,
+    key: `blobs/${hash.slice(0, 2)}/${hash}`,
+    backend: 'local',
+    refCount: 1
+  });
+  assert.equal(stored.hash, hash);
+});
+
+test('ingest discards uploads of bytes already stored', async () => {
+  const { tempPath } = upload('stored bytes');
+  const existing = blob({ refCount: 2 });
+  test.mock.method(Blob, 'findOneAndUpdate', queries(existing));
+  const importFile = test.mock.method(driver, 'importFile', async () => {});
+
+  assert.equal(await blobStore.ingest(tempPath, 'local'), existing);
+  assert.equal(importFile.mock.callCount(), 0);
+  assert.ok(!fs.existsSync(tempPath));
+});
+
+test('ingest waits for the same bytes to finish being deleted before writing them', async () => {
+  const { tempPath } = upload('deleted bytes');
+  const order = [];
+  test.mock.method(Blob, 'findOneAndUpdate', queries(null));
+  test.mock.method(Blob, 'exists', () => {
+    order.push('check');
+    return query(order.length < 3 ? { _id: 'deleting' } : null);
+  });
+  test.mock.method(driver, 'importFile', async () => order.push('import'));
+  test.mock.method(Blob, 'create', async fields => fields);
+
+  await blobStore.ingest(tempPath, 'local');
+
+  assert.deepEqual(order, ['check', 'check', 'check', 'import']);
+});
+
+test('ingest takes a reference when another upload of the same bytes created the blob first', async () => {
+  const { tempPath } = upload('racing bytes');
+  const winner = blob();
+  test.mock.method(Blob, 'findOneAndUpdate', queries(null, winner));
+  test.mock.method(Blob, 'exists', queries(null));
+  test.mock.method(driver, 'importFile', async () => {});
+  test.mock.method(Blob, 'create', async () => {
+    throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  });
+
+  assert.equal(await blobStore.ingest(tempPath, 'local'), winner);
+});
+
+test('release keeps blobs that are still referenced', async () => {
+  test.mock.method(Blob, 'findOneAndUpdate', queries(blob({ refCount: 1 })));
+  const remove = test.mock.method(driver, 'remove', async () => {});
+  const deleteOne = test.mock.method(Blob, 'deleteOne', queries(null));
+
+  await blobStore.release('abc');
+
+  assert.equal(remove.mock.callCount(), 0);
+  assert.equal(deleteOne.mock.callCount(), 0);
+});
+
+test('release marks unreferenced blobs as deleting and removes their data and thumbnails', async () => {
+  const unreferenced = blob({ refCount: 0 });
+  const deleting = blob({
+    _id: unreferenced._id,
+    refCount: 0,
+    deleting: true,
+    preview: { thumbnails: [{ size: 256, key: 'thumbs/abc-256.webp' }] }
+  });
+  const update = test.mock.method(Blob, 'findOneAndUpdate', queries(unreferenced, deleting));
+  const remove = test.mock.method(driver, 'remove', async () => {});
+  const deleteOne = test.mock.method(Blob, 'deleteOne', queries(null));
+
+  await blobStore.release('abc');
+
+  const [filter, change] = update.mock.calls[1].arguments;
+  assert.deepEqual(filter, { hash: 'abc', refCount: { $lte: 0 }, deleting: { $ne: true } });
+  assert.deepEqual(change, { deleting: true });
+  assert.deepEqual(remove.mock.calls.map(call => call.arguments[0]), ['blobs/ab/abc', 'thumbs/abc-256.webp']);
+  assert.ok(deleteOne.mock.calls[0].arguments[0]._id.equals(unreferenced._id));
+});
+
+test('release leaves blobs another release is already deleting', async () => {
+  test.mock.method(Blob, 'findOneAndUpdate', queries(blob({ refCount: 0 }), null));
+  const remove = test.mock.method(driver, 'remove', async () => {});
+
+  await blobStore.release('abc');
+
+  assert.equal(remove.mock.callCount(), 0);
+});
+
+test('release removes the record even if the data cannot be removed', async () => {
+  const deleting = blob({ refCount: 0, deleting: true });
+  test.mock.method(Blob, 'findOneAndUpdate', queries(deleting));
+  test.mock.method(driver, 'remove', async () => {
+    throw new Error('Disk gone');
+  });
+  const deleteOne = test.mock.method(Blob, 'deleteOne', queries(null));
+
+  await assert.rejects(blobStore.release('abc'), /Disk gone/);
+  assert.equal(deleteOne.mock.callCount(), 1);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildZip } = require('./helpers/zip');
+const { detectMimeType, inspectUpload } = require('../services/contentTypes');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]);
+const ELF = Buffer.from([0x7f, 0x45, 0x4c, 0x46, 2, 1, 1, 0]);
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+let workDir;
+let count = 0;
+
+// Write content to a file of its own and get its path
+function write(content) {
+  const filePath = path.join(workDir, `upload-${count++}`);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+test.before(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-types-'));
+});
+
+test.after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test.afterEach(() => {
+  delete process.env.UPLOAD_TYPE_MISMATCH;
+});
+
+test('detectMimeType recognises formats by their content', () => {
+  assert.equal(detectMimeType(write(PNG)), 'image/png');
+  assert.equal(detectMimeType(write('%PDF-1.7\n')), 'application/pdf');
+  assert.equal(detectMimeType(write(ELF)), 'application/x-executable');
+  assert.equal(detectMimeType(write('#!/bin/sh\nrm -rf /\n')), 'text/x-shellscript');
+  assert.equal(detectMimeType(write('  <!DOCTYPE html><p>hi</p>')), 'text/html');
+  assert.equal(detectMimeType(write('<svg onload="alert(1)"/>')), 'text/html');
+  assert.equal(detectMimeType(write('plain words, naïvely\n')), 'text/plain');
+  assert.equal(detectMimeType(write(Buffer.from([0, 1, 2, 3, 0xff]))), 'application/octet-stream');
+});
+
+test('detectMimeType tells Word documents from other ZIP archives', () => {
+  const docx = buildZip([
+    { name: '[Content_Types].xml', data: Buffer.from('<Types/>') },
+    { name: 'word/document.xml', data: Buffer.from('<w:document/>') }
+  ]);
+
+  assert.equal(detectMimeType(write(docx)), DOCX_TYPE);
+  assert.equal(detectMimeType(write(buildZip([{ name: 'a.txt', data: Buffer.from('a') }]))), 'application/zip');
+});
+
+test('inspectUpload accepts content matching its declared type', () => {
+  assert.deepEqual(inspectUpload(write(PNG), 'image/png'), { mimeType: 'image/png', mismatch: null });
+  assert.deepEqual(inspectUpload(write(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'image/jpg'), {
+    mimeType: 'image/jpeg',
+    mismatch: null
+  });
+});
+
+test('inspectUpload keeps the declared type of text formats', () => {
+  assert.deepEqual(inspectUpload(write('a,b\n1,2\n'), 'text/csv'), { mimeType: 'text/csv', mismatch: null });
+});
+
+test('inspectUpload refuses content disguised as another verifiable type', () => {
+  const result = inspectUpload(write('<html><script>alert(1)</script></html>'), 'image/png');
+
+  assert.equal(result.mimeType, 'text/html');
+  assert.equal(result.mismatch, 'Declared as image/png but the content is text/html');
+  assert.equal(result.action, 'reject');
+});
+
+test('inspectUpload quarantines mismatches when configured to', () => {
+  process.env.UPLOAD_TYPE_MISMATCH = 'quarantine';
+
+  assert.equal(inspectUpload(write('%PDF-1.7\n'), 'image/gif').action, 'quarantine');
+});
+
+test('inspectUpload takes types it cannot verify as declared', () => {
+  assert.deepEqual(inspectUpload(write(Buffer.from([0, 0, 0, 0x18, 0x66, 0x74, 0x79, 0x70])), 'video/mp4'), {
+    mimeType: 'video/mp4',
+    mismatch: null
+  });
+  assert.deepEqual(inspectUpload(write('{"a":1}'), 'application/json'), {
+    mimeType: 'application/json',
+    mismatch: null
+  });
+});
+
+test('inspectUpload refuses content that would run whatever type is declared', () => {
+  for (const [content, detectedType] of [
+    [ELF, 'application/x-executable'],
+    ['MZ\x90\x00', 'application/x-msdownload'],
+    ['#!/bin/sh\n', 'text/x-shellscript'],
+    ['<html></html>', 'text/html']
+  ]) {
+    const result = inspectUpload(write(content), 'video/mp4');
+
+    assert.equal(result.mimeType, detectedType);
+    assert.equal(result.action, 'reject');
+  }
+});
@@ -0,0 +1,216 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const blobStore = require('../services/blobStore');
+const { serve } = require('./helpers/app');
+const {
+  getDownloadBlock,
+  contentDisposition,
+  openDownload,
+  sendDownload
+} = require('../services/downloads');
+
+const DATA = '0123456789';
+const CREATED = new Date('2026-03-01T10:00:00.250Z');
+const WEAK_ETAG = `W/"a-${(CREATED.getTime() - 250).toString(16)}"`;
+
+let dir;
+let server;
+let doc;
+
+test.before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'downloads-test-'));
+  fs.writeFileSync(path.join(dir, 'digits.txt'), DATA);
+
+  // Serve whatever doc the test sets, the way the download routes do
+  const router = express.Router();
+  router.get('/', async (req, res) => {
+    const download = await openDownload(req, doc);
+    if (!download) return res.status(404).end();
+    sendDownload(res, doc, download);
+  });
+  server = await serve('/download', router);
+});
+
+test.after(async () => {
+  await server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test.afterEach(() => test.mock.restoreAll());
+
+// A file stored before the blob store, or in it when given a hash
+function file(fields = {}) {
+  const item = new File({
+    name: 'digits.txt',
+    originalName: 'digits.txt',
+    type: 'document',
+    mimeType: 'text/plain',
+    size: DATA.length,
+    path: path.join(dir, 'digits.txt'),
+    hash: null,
+    owner: new mongoose.Types.ObjectId(),
+    ...fields
+  });
+  item.createdAt = CREATED;
+  return item;
+}
+
+function request(headers = {}) {
+  return { headers };
+}
+
+test('openDownload uses the hash of stored blobs as a strong entity tag', async () => {
+  test.mock.method(blobStore, 'open', async () => fs.createReadStream(path.join(dir, 'digits.txt')));
+
+  const download = await openDownload(request(), file({ hash: 'abc' }));
+  download.stream.destroy();
+
+  assert.equal(download.etag, '"abc"');
+  assert.equal(download.status, 200);
+  assert.equal(download.isNewDownload, true);
+});
+
+test('openDownload gives legacy files a weak entity tag from their size and date', async () => {
+  const download = await openDownload(request(), file());
+  download.stream.destroy();
+
+  assert.equal(download.etag, WEAK_ETAG);
+  assert.equal(download.lastModified.toISOString(), '2026-03-01T10:00:00.000Z');
+});
+
+test('openDownload answers 304 while the cached copy is current', async () => {
+  const doc = file({ hash: 'abc', contentUpdatedAt: CREATED });
+  const open = test.mock.method(blobStore, 'open', async () => null);
+
+  for (const headers of [
+    { 'if-none-match': '"old", W/"abc"' },
+    { 'if-none-match': '*' },
+    { 'if-modified-since': 'Sun, 01 Mar 2026 10:00:00 GMT' }
+  ]) {
+    assert.equal((await openDownload(request(headers), doc)).status, 304);
+  }
+
+  // If-None-Match takes precedence over the date
+  const changed = await openDownload(
+    request({ 'if-none-match': '"old"', 'if-modified-since': 'Sun, 01 Mar 2026 10:00:00 GMT' }),
+    doc
+  );
+  assert.equal(changed, null);
+  assert.equal(open.mock.callCount(), 1);
+});
+
+test('openDownload opens single byte ranges', async () => {
+  const ranges = {
+    'bytes=2-4': { start: 2, end: 4 },
+    'bytes=7-': { start: 7, end: 9 },
+    'bytes=-3': { start: 7, end: 9 },
+    'bytes=5-100': { start: 5, end: 9 },
+    'bytes=-100': { start: 0, end: 9 }
+  };
+
+  for (const [range, expected] of Object.entries(ranges)) {
+    const download = await openDownload(request({ range }), file());
+    download.stream.destroy();
+
+    assert.equal(download.status, 206, range);
+    assert.deepEqual(download.range, expected, range);
+    assert.equal(download.isNewDownload, expected.start === 0, range);
+  }
+});
+
+test('openDownload ignores ranges it cannot serve and refuses those past the end', async () => {
+  for (const range of ['bytes=4-2', 'bytes=1-2,5-6', 'items=1-2', 'bytes=-']) {
+    const download = await openDownload(request({ range }), file());
+    download.stream.destroy();
+    assert.equal(download.status, 200, range);
+  }
+
+  for (const range of ['bytes=10-', 'bytes=-0']) {
+    const download = await openDownload(request({ range }), file());
+    assert.equal(download.status, 416, range);
+    assert.equal(download.stream, null);
+  }
+});
+
+test('openDownload sends everything when If-Range does not match', async () => {
+  const legacy = file();
+  const stored = file({ hash: 'abc' });
+  test.mock.method(blobStore, 'open', async () => fs.createReadStream(legacy.path));
+
+  const open = async (doc, ifRange) => {
+    const download = await openDownload(request({ range: 'bytes=2-', 'if-range': ifRange }), doc);
+    download.stream.destroy();
+    return download.status;
+  };
+
+  assert.equal(await open(stored, '"abc"'), 206);
+  assert.equal(await open(stored, '"other"'), 200);
+  // Weak entity tags never match If-Range
+  assert.equal(await open(legacy, WEAK_ETAG), 200);
+  assert.equal(await open(legacy, 'Sun, 01 Mar 2026 10:00:00 GMT'), 206);
+  assert.equal(await open(legacy, 'Sun, 01 Mar 2026 09:00:00 GMT'), 200);
+});
+
+test('openDownload returns null when the data is missing', async () => {
+  assert.equal(await openDownload(request(), file({ path: path.join(dir, 'missing.txt') })), null);
+});
+
+test('sendDownload answers with the requested range', async () => {
+  doc = file();
+
+  const response = await fetch(server.url, { headers: { Range: 'bytes=3-5' } });
+
+  assert.equal(response.status, 206);
+  assert.equal(response.headers.get('content-range'), 'bytes 3-5/10');
+  assert.equal(response.headers.get('content-length'), '3');
+  assert.equal(response.headers.get('accept-ranges'), 'bytes');
+  assert.equal(response.headers.get('last-modified'), 'Sun, 01 Mar 2026 10:00:00 GMT');
+  assert.equal(await response.text(), '345');
+});
+
+test('sendDownload tells the size when a range cannot be satisfied', async () => {
+  doc = file();
+
+  const response = await fetch(server.url, { headers: { Range: 'bytes=20-' } });
+
+  assert.equal(response.status, 416);
+  assert.equal(response.headers.get('content-range'), 'bytes */10');
+  assert.equal((await response.json()).message, 'Requested range not satisfiable');
+});
+
+test('sendDownload answers 304 without a body', async () => {
+  doc = file();
+
+  const response = await fetch(server.url, { headers: { 'If-None-Match': WEAK_ETAG } });
+
+  assert.equal(response.status, 304);
+  assert.equal(await response.text(), '');
+});
+
+test('contentDisposition keeps non-ASCII names with an ASCII fallback', () => {
+  assert.equal(
+    contentDisposition('attachment', 'Résumé "final".pdf'),
+    'attachment; filename="R_sum_ _final_.pdf"; filename*=UTF-8\'\'R%C3%A9sum%C3%A9%20%22final%22.pdf'
+  );
+  assert.equal(
+    contentDisposition('inline', "it's (1).txt"),
+    'inline; filename="it\'s (1).txt"; filename*=UTF-8\'\'it%27s%20%281%29.txt'
+  );
+});
+
+test('getDownloadBlock holds back quarantined content and content being scanned', () => {
+  assert.deepEqual(getDownloadBlock(file({ quarantineReason: 'Malware detected', scan: { status: 'infected' } })), {
+    status: 403,
+    message: 'This file has been quarantined: Malware detected',
+    data: { scanStatus: 'infected' }
+  });
+  assert.equal(getDownloadBlock(file({ scan: { status: 'pending' } })).status, 409);
+  assert.equal(getDownloadBlock(file({ scan: { status: 'clean' } })), null);
+  assert.equal(getDownloadBlock(file()), null);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const FileText = require('../models/FileText');
+const blobStore = require('../services/blobStore');
+const { queries, query } = require('./helpers/queries');
+const { copyFile, pruneVersions } = require('../services/files');
+
+const owner = new mongoose.Types.ObjectId();
+
+function file(fields = {}) {
+  return new File({
+    name: 'report.pdf',
+    originalName: 'report.pdf',
+    type: 'pdf',
+    mimeType: 'application/pdf',
+    size: 100,
+    path: 'blobs/ab/abc',
+    hash: 'abc',
+    owner,
+    ...fields
+  });
+}
+
+function version(source, number, hash) {
+  const snapshot = FileVersion.fromFile(source);
+  snapshot.version = number;
+  snapshot.hash = hash;
+  return snapshot;
+}
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+  delete process.env.FILE_VERSION_LIMIT;
+});
+
+test('FileVersion.fromFile records the current content of a file', () => {
+  const source = file({ version: 4, quarantineReason: 'Suspicious' });
+  const snapshot = FileVersion.fromFile(source);
+
+  assert.ok(snapshot.file.equals(source._id));
+  assert.equal(snapshot.version, 4);
+  for (const field of ['type', 'mimeType', 'size', 'path', 'hash', 'quarantineReason']) {
+    assert.equal(snapshot[field], source[field], field);
+  }
+});
+
+test('getVersionLimit uses the file limit, then the configured one, then 10', () => {
+  assert.equal(file().getVersionLimit(), 10);
+
+  process.env.FILE_VERSION_LIMIT = '3';
+  assert.equal(file().getVersionLimit(), 3);
+  assert.equal(file({ versionLimit: 0 }).getVersionLimit(), 0);
+});
+
+test('pruneVersions drops versions past the limit with their content', async () => {
+  const source = file({ versionLimit: 1 });
+  const expired = [version(source, 2, 'old2'), version(source, 1, 'old1')];
+  const skip = test.mock.fn(() => query(expired));
+  test.mock.method(FileVersion, 'find', () => ({ sort: () => ({ skip }) }));
+  const release = test.mock.method(blobStore, 'release', async () => {});
+  const remove = test.mock.method(FileVersion, 'findByIdAndDelete', queries(null));
+
+  assert.equal(await pruneVersions(source), 200);
+  assert.equal(skip.mock.calls[0].arguments[0], 1);
+  assert.deepEqual(release.mock.calls.map(call => call.arguments[0]), ['old2', 'old1']);
+  assert.deepEqual(remove.mock.calls.map(call => String(call.arguments[0])), expired.map(item => String(item._id)));
+});
+
+test('pruneVersions frees nothing when the history is within the limit', async () => {
+  test.mock.method(FileVersion, 'find', queries([]));
+
+  assert.equal(await pruneVersions(file()), 0);
+});
+
+test('copyFile shares the stored data of the file', async () => {
+  const source = file({ tags: ['q1'] });
+  const addReference = test.mock.method(blobStore, 'addReference', async () => ({ hash: 'abc' }));
+  test.mock.method(File.prototype, 'save', async function() {
+    return this;
+  });
+  test.mock.method(FileText, 'findOne', queries(null));
+
+  const copy = await copyFile(source, { name: 'report (copy).pdf' });
+
+  assert.deepEqual(addReference.mock.calls[0].arguments, ['abc']);
+  assert.notEqual(String(copy._id), String(source._id));
+  assert.equal(copy.name, 'report (copy).pdf');
+  assert.equal(copy.hash, 'abc');
+  assert.deepEqual([...copy.tags], ['q1']);
+});
+
+test('copyFile gives back its reference when the copy cannot be saved', async () => {
+  test.mock.method(blobStore, 'addReference', async () => ({ hash: 'abc' }));
+  const release = test.mock.method(blobStore, 'release', async () => {});
+  test.mock.method(File.prototype, 'save', async () => {
+    throw new Error('Validation failed');
+  });
+
+  await assert.rejects(copyFile(file()), /Validation failed/);
+  assert.deepEqual(release.mock.calls.map(call => call.arguments[0]), ['abc']);
+});
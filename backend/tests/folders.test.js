@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Folder = require('../models/Folder');
+const Note = require('../models/Note');
+const Grant = require('../models/Grant');
+const { query } = require('./helpers/queries');
+const {
+  buildPath,
+  isInSubtree,
+  rewriteDescendantPaths,
+  moveFolder,
+  findMovableItems,
+  getSubtreeFolderIds
+} = require('../services/folders');
+
+const owner = new mongoose.Types.ObjectId();
+
+function folder(name, parent = null, fields = {}) {
+  return new Folder({
+    name,
+    owner,
+    parentFolder: parent ? parent._id : null,
+    path: buildPath(parent, name),
+    ...fields
+  });
+}
+
+// Projects/2026/Drafts, with Projects/2026/Old in the trash
+function tree() {
+  const projects = folder('Projects');
+  const year = folder('2026', projects);
+  const drafts = folder('Drafts', year);
+  const old = folder('Old', year, { deletedAt: new Date() });
+  return { projects, year, drafts, old, all: [projects, year, drafts, old] };
+}
+
+// Stub Folder.find to look up children among the folders, leaving out
+// trashed ones unless the query asks for them
+function stubChildren(folders) {
+  test.mock.method(Folder, 'find', filter => {
+    const children = withDeleted => folders.filter(child =>
+      (withDeleted || !child.deletedAt) &&
+      filter.parentFolder.$in.some(id => id.equals(child.parentFolder))
+    );
+    const stub = query(children(false));
+    stub.setOptions = ({ withDeleted }) => query(children(withDeleted));
+    return stub;
+  });
+}
+
+function ids(folders) {
+  return folders.map(item => String(item._id));
+}
+
+test.afterEach(() => test.mock.restoreAll());
+
+test('buildPath places a name under a parent, or at the top level', () => {
+  const parent = folder('Projects');
+
+  assert.equal(buildPath(parent, '2026'), 'Projects/2026');
+  assert.equal(buildPath(null, 'Projects'), 'Projects');
+});
+
+test('getSubtreeFolderIds gets the live subtree, or with withDeleted the trashed folders too', async () => {
+  const { projects, year, drafts, old, all } = tree();
+  stubChildren(all);
+
+  assert.deepEqual(ids(await getSubtreeFolderIds(projects)), ids([projects, year, drafts]));
+  assert.deepEqual(
+    ids(await getSubtreeFolderIds(projects, { withDeleted: true })),
+    ids([projects, year, drafts, old])
+  );
+});
+
+test('isInSubtree follows the parents of a folder up to the root', async () => {
+  const { projects, year, drafts, all } = tree();
+  test.mock.method(Folder, 'findById', id => query(all.find(item => item._id.equals(id)) || null));
+
+  assert.equal(await isInSubtree(drafts._id, projects._id), true);
+  assert.equal(await isInSubtree(year._id, year._id), true);
+  assert.equal(await isInSubtree(projects._id, year._id), false);
+});
+
+test('moveFolder updates exactly the folder and its subtree, trashed folders included', async () => {
+  const { projects, year, drafts, old, all } = tree();
+  const archive = folder('Archive');
+  stubChildren(all);
+  const update = test.mock.method(Folder, 'updateMany', async () => ({ modifiedCount: 4 }));
+
+  await moveFolder(year, archive);
+
+  const [filter, pipeline] = update.mock.calls[0].arguments;
+  assert.deepEqual(ids(filter._id.$in), ids([year, drafts, old]));
+  assert.deepEqual(pipeline[0].$set.path.$concat[0], 'Archive/2026');
+  assert.deepEqual(pipeline[0].$set.parentFolder, { $cond: [{ $eq: ['$_id', year._id] }, archive._id, '$parentFolder'] });
+  assert.ok(year.parentFolder.equals(archive._id));
+  assert.equal(year.path, 'Archive/2026');
+  assert.notEqual(projects.path, 'Archive');
+});
+
+test('moveFolder moves a folder to the top level', async () => {
+  const { year, all } = tree();
+  stubChildren(all);
+  test.mock.method(Folder, 'updateMany', async () => ({ modifiedCount: 3 }));
+
+  await moveFolder(year, null);
+
+  assert.equal(year.parentFolder, null);
+  assert.equal(year.path, '2026');
+});
+
+test('rewriteDescendantPaths only rewrites folders below the renamed one', async () => {
+  const { year, drafts, old, all } = tree();
+  stubChildren(all);
+  const update = test.mock.method(Folder, 'updateMany', async () => ({ modifiedCount: 2 }));
+
+  year.name = '2027';
+  year.path = 'Projects/2027';
+  await rewriteDescendantPaths(year, 'Projects/2026');
+
+  const [filter, pipeline] = update.mock.calls[0].arguments;
+  assert.deepEqual(ids(filter._id.$in), ids([drafts, old]));
+  assert.deepEqual(filter.$expr, { $eq: [{ $substrCP: ['$path', 0, 14] }, 'Projects/2026/'] });
+  assert.equal(pipeline[0].$set.path.$concat[0], 'Projects/2027');
+});
+
+test('findMovableItems rejects items the user may not edit or that belong to someone else', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  const own = new Note({ title: 'Own', content: 'Text', owner: userId });
+  const viewed = new Note({ title: 'Viewed', content: 'Text', owner: new mongoose.Types.ObjectId() });
+  const notes = [own, viewed];
+  test.mock.method(Note, 'findById', id => query(notes.find(note => note._id.equals(id)) || null));
+  test.mock.method(Grant, 'find', () => query([{ role: 'viewer' }]));
+
+  const missing = String(new mongoose.Types.ObjectId());
+  const { items, rejected } = await findMovableItems(
+    Note,
+    [own._id, String(own._id), viewed._id, missing],
+    { folder: null, owner: userId },
+    userId
+  );
+
+  assert.deepEqual(ids(items), ids([own]));
+  assert.deepEqual(rejected, [String(viewed._id), missing]);
+});
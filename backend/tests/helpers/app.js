@@ -0,0 +1,45 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const { query } = require('./queries');
+
+// Serve a router the way server.js mounts it, on a free local port.
+// Resolves to the base URL and a close function.
+function serve(path, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}${path}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// Make a user the auth middleware accepts, with the authorization header
+// to send. Stubs User.findById through the given mock tracker, so later
+// stubs of it in the same test must handle this user too.
+function signIn(mock, fields = {}) {
+  const user = new User({
+    username: 'tester',
+    email: 'tester@example.com',
+    password: 'secret123',
+    ...fields
+  });
+  const token = jwt.sign({ userId: String(user._id) }, process.env.JWT_SECRET || 'your-secret-key');
+
+  mock.method(User, 'findById', id => query(user._id.equals(id) ? user : null));
+  return { user, headers: { Authorization: `Bearer ${token}` } };
+}
+
+// Get a new ObjectId as a string
+function newId() {
+  return String(new mongoose.Types.ObjectId());
+}
+
+module.exports = { serve, signIn, newId };
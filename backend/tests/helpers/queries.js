@@ -0,0 +1,29 @@
+// Stand-ins for Mongoose queries, so model methods can be stubbed with
+// node:test's mock.method and the code under test can run without a
+// database. Chained query methods return the stand-in itself, and awaiting
+// it resolves to the given result.
+
+const CHAINED = ['select', 'sort', 'skip', 'limit', 'lean', 'populate', 'setOptions', 'session'];
+
+function query(result) {
+  const stub = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: reject => Promise.resolve(result).catch(reject),
+    exec: () => Promise.resolve(result)
+  };
+
+  for (const method of CHAINED) {
+    stub[method] = () => stub;
+  }
+
+  return stub;
+}
+
+// Get a stub returning results in turn, one per call, each wrapped as a
+// query. The last result is repeated once the others run out.
+function queries(...results) {
+  let call = 0;
+  return () => query(results[Math.min(call++, results.length - 1)]);
+}
+
+module.exports = { query, queries };
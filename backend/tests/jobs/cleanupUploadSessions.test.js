@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UploadSession = require('../../models/UploadSession');
+const { queries } = require('../helpers/queries');
+const cleanupUploadSessions = require('../../jobs/cleanupUploadSessions');
+
+let workDir;
+
+test.before(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-sessions-'));
+});
+
+test.after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+function partFile(name) {
+  const tempPath = path.join(workDir, name);
+  fs.writeFileSync(tempPath, 'partial');
+  return tempPath;
+}
+
+test('cleanupUploadSessions removes expired sessions and their data', async () => {
+  const session = { _id: 'expired', tempPath: partFile('expired.part') };
+  const find = test.mock.method(UploadSession, 'find', queries([session]));
+  const remove = test.mock.method(UploadSession, 'findOneAndDelete', async () => session);
+
+  assert.equal(await cleanupUploadSessions(), 1);
+  assert.ok(!fs.existsSync(session.tempPath));
+
+  const filter = find.mock.calls[0].arguments[0];
+  assert.ok(filter.expiresAt.$lte instanceof Date);
+  assert.ok(filter.claimedUntil.$not.$gt instanceof Date);
+  assert.deepEqual(remove.mock.calls[0].arguments[0], { _id: 'expired', ...filter });
+});
+
+test('cleanupUploadSessions keeps the data of sessions claimed before they are deleted', async () => {
+  const session = { _id: 'claimed', tempPath: partFile('claimed.part') };
+  test.mock.method(UploadSession, 'find', queries([session]));
+  test.mock.method(UploadSession, 'findOneAndDelete', async () => null);
+
+  assert.equal(await cleanupUploadSessions(), 0);
+  assert.ok(fs.existsSync(session.tempPath));
+});
+
+test('cleanupUploadSessions removes sessions whose data is already gone', async () => {
+  const session = { _id: 'gone', tempPath: path.join(workDir, 'gone.part') };
+  test.mock.method(UploadSession, 'find', queries([session]));
+  test.mock.method(UploadSession, 'findOneAndDelete', async () => session);
+
+  assert.equal(await cleanupUploadSessions(), 1);
+});
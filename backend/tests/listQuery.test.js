@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  escapeRegex,
+  containsText,
+  getSortKeys,
+  applyCursor,
+  takePage,
+  getPagination
+} = require('../middleware/listQuery');
+
+// Stand in for a document, which cursors read their values from with get()
+function item(values) {
+  return { ...values, get: field => values[field] };
+}
+
+// Get the cursor pointing right after an item
+function cursorAfter(values, keys) {
+  return takePage([item(values), item({})], keys, 1).nextCursor;
+}
+
+function forgeCursor(content) {
+  return Buffer.from(JSON.stringify(content)).toString('base64url');
+}
+
+test('escapeRegex makes every special character match itself', () => {
+  const text = 'a.b*c+d?e^f$g{h}i(j)k|l[m]n\\o';
+  const pattern = new RegExp(`^${escapeRegex(text)}$`);
+
+  assert.ok(pattern.test(text));
+  assert.ok(!pattern.test('aXb*c+d?e^f$g{h}i(j)k|l[m]n\\o'));
+});
+
+test('containsText matches text literally anywhere, whatever its case', () => {
+  assert.ok(containsText('.*').test('report .* final'));
+  assert.ok(!containsText('.*').test('report'));
+  assert.ok(containsText('Invoice').test('2026 INVOICES'));
+});
+
+test('getPagination falls back to the defaults and clamps to its bounds', () => {
+  assert.deepEqual(getPagination(), { page: 1, limit: 20, skip: 0 });
+  assert.deepEqual(getPagination({ page: '3', limit: '10' }), { page: 3, limit: 10, skip: 20 });
+  assert.deepEqual(getPagination({ page: 'x', limit: 'y' }, 50), { page: 1, limit: 50, skip: 0 });
+  assert.deepEqual(getPagination({ page: '-4', limit: '0' }), { page: 1, limit: 20, skip: 0 });
+  assert.equal(getPagination({ limit: '5000' }).limit, 100);
+  assert.ok(Number.isSafeInteger(getPagination({ page: '1e300', limit: '100' }).skip));
+});
+
+test('getSortKeys ends with _id in the same direction', () => {
+  assert.deepEqual(getSortKeys('name', 'asc'), [['name', 1], ['_id', 1]]);
+  assert.deepEqual(getSortKeys('size', 'desc', [['isPinned', -1]]), [['isPinned', -1], ['size', -1], ['_id', -1]]);
+});
+
+test('takePage only gives a cursor when there is another page', () => {
+  const keys = getSortKeys('name', 'asc');
+  const found = [item({ name: 'a', _id: '1' }), item({ name: 'b', _id: '2' })];
+
+  assert.equal(takePage(found, keys, 2).nextCursor, null);
+
+  const page = takePage(found, keys, 1);
+  assert.equal(page.items.length, 1);
+  assert.equal(typeof page.nextCursor, 'string');
+});
+
+test('applyCursor starts ascending lists after the last item', () => {
+  const keys = getSortKeys('name', 'asc');
+  const cursor = cursorAfter({ name: 'b', _id: '2' }, keys);
+
+  assert.deepEqual(applyCursor({ owner: 'u' }, keys, cursor), {
+    owner: 'u',
+    $and: [{
+      $or: [
+        { name: { $gt: 'b' } },
+        { name: 'b', _id: { $gt: '2' } }
+      ]
+    }]
+  });
+});
+
+test('applyCursor puts missing values last in descending lists', () => {
+  const keys = getSortKeys('name', 'desc');
+  const cursor = cursorAfter({ name: 'b', _id: '2' }, keys);
+
+  assert.deepEqual(applyCursor({}, keys, cursor).$and, [{
+    $or: [
+      { name: { $lt: 'b' } },
+      { name: null },
+      { name: 'b', _id: { $lt: '2' } },
+      { name: 'b', _id: null }
+    ]
+  }]);
+});
+
+test('applyCursor puts missing values first in ascending lists', () => {
+  const keys = getSortKeys('name', 'asc');
+  const cursor = cursorAfter({ name: null, _id: '2' }, keys);
+
+  assert.deepEqual(applyCursor({}, keys, cursor).$and, [{
+    $or: [
+      { name: { $ne: null } },
+      { name: null, _id: { $gt: '2' } }
+    ]
+  }]);
+});
+
+test('applyCursor keeps conditions already in the filter', () => {
+  const keys = getSortKeys('name', 'asc');
+  const cursor = cursorAfter({ name: 'b', _id: '2' }, keys);
+  const filter = { $text: { $search: 'report' }, $and: [{ tags: 'a' }] };
+  const paged = applyCursor(filter, keys, cursor);
+
+  assert.deepEqual(paged.$text, filter.$text);
+  assert.equal(paged.$and.length, 2);
+  assert.deepEqual(paged.$and[0], { tags: 'a' });
+});
+
+test('applyCursor refuses cursors made for another sort', () => {
+  const cursor = cursorAfter({ name: 'b', _id: '2' }, getSortKeys('name', 'asc'));
+
+  assert.equal(applyCursor({}, getSortKeys('name', 'desc'), cursor), null);
+  assert.equal(applyCursor({}, getSortKeys('size', 'asc'), cursor), null);
+});
+
+test('applyCursor refuses cursors that are not valid', () => {
+  const keys = getSortKeys('name', 'asc');
+
+  assert.equal(applyCursor({}, keys, 'not a cursor'), null);
+  assert.equal(applyCursor({}, keys, forgeCursor(null)), null);
+  assert.equal(applyCursor({}, keys, forgeCursor({ keys: 'name:1,_id:1', values: ['b'] })), null);
+  assert.equal(applyCursor({}, keys, forgeCursor({ keys: 'name:1,_id:1', values: 'b' })), null);
+});
+
+test('applyCursor refuses cursors holding query operators', () => {
+  const keys = getSortKeys('name', 'asc');
+
+  for (const values of [[{ $ne: null }, '2'], ['b', { $gt: '' }], [['b'], '2']]) {
+    assert.equal(applyCursor({}, keys, forgeCursor({ keys: 'name:1,_id:1', values })), null);
+  }
+});
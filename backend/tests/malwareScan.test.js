@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const Blob = require('../models/Blob');
+const blobStore = require('../services/blobStore');
+const { getScanner } = require('../services/scanners');
+const { queries } = require('./helpers/queries');
+const { scanBlob } = require('../services/malwareScan');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+// Stub a blob of the given data, recording the updates of files and
+// versions storing it. No file is found afterwards, so no text index or
+// preview is requested.
+function setUp({ data = 'clean data', scan = {} } = {}) {
+  const blob = new Blob({ hash: 'abc', key: 'blobs/ab/abc', size: data.length, scan });
+  test.mock.method(Blob, 'findOne', queries(blob));
+  const verdicts = test.mock.method(Blob, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const open = test.mock.method(blobStore, 'open', async () => Readable.from([Buffer.from(data)]));
+  test.mock.method(File, 'find', queries([]));
+  test.mock.method(File, 'findOne', queries(null));
+  test.mock.method(FileVersion, 'findOne', queries(null));
+
+  const updates = [];
+  for (const Model of [File, FileVersion]) {
+    test.mock.method(Model, 'updateMany', async (filter, update) => {
+      updates.push([Model.modelName, filter, update]);
+      return { modifiedCount: 1 };
+    });
+  }
+
+  return { verdicts, open, updates };
+}
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+  delete process.env.MALWARE_SCANNER;
+  delete process.env.MALWARE_SCAN_MAX_ATTEMPTS;
+  delete process.env.MALWARE_SCAN_TOO_LARGE;
+});
+
+test('scanBlob records skipped scans while no scanner is set up', async () => {
+  const { open, updates } = setUp();
+
+  await scanBlob('abc');
+
+  assert.equal(open.mock.callCount(), 0);
+  assert.deepEqual(updates.map(([model]) => model), ['File', 'FileVersion']);
+  for (const [, filter, update] of updates) {
+    assert.deepEqual(filter, { hash: 'abc', 'scan.status': 'pending' });
+    assert.equal(update.$set.scan.status, 'skipped');
+    assert.equal(update.$set.quarantineReason, undefined);
+  }
+});
+
+test('scanBlob quarantines infected content and keeps the verdict on the blob', async () => {
+  process.env.MALWARE_SCANNER = 'fake';
+  const { verdicts, updates } = setUp({ data: `prefix ${EICAR}` });
+
+  await scanBlob('abc');
+
+  assert.equal(verdicts.mock.calls[0].arguments[1].$set.scan.status, 'infected');
+  for (const [, , update] of updates) {
+    assert.equal(update.$set.scan.signature, 'Eicar-Test-Signature');
+    assert.equal(update.$set.quarantineReason, 'Malware detected: Eicar-Test-Signature');
+  }
+});
+
+test('scanBlob reuses the verdict of a blob scanned before', async () => {
+  process.env.MALWARE_SCANNER = 'fake';
+  const { verdicts, open, updates } = setUp({ scan: { status: 'clean', scanner: 'fake' } });
+
+  await scanBlob('abc');
+
+  assert.equal(open.mock.callCount(), 0);
+  assert.equal(verdicts.mock.callCount(), 0);
+  assert.equal(updates[0][2].$set.scan.status, 'clean');
+});
+
+test('scanBlob stores content too large to scan, or quarantines it when set to', async () => {
+  process.env.MALWARE_SCANNER = 'fake';
+  const reason = 'The file is larger than the malware scanner accepts';
+  test.mock.method(getScanner(), 'scan', async () => ({ status: 'skipped', signature: null, reason }));
+
+  let { updates } = setUp();
+  await scanBlob('abc');
+  assert.equal(updates[0][2].$set.scan.reason, reason);
+  assert.equal(updates[0][2].$set.quarantineReason, undefined);
+
+  process.env.MALWARE_SCAN_TOO_LARGE = 'quarantine';
+  ({ updates } = setUp());
+  await scanBlob('abc');
+  assert.equal(updates[0][2].$set.quarantineReason, reason);
+});
+
+test('scanBlob leaves content pending when the scan fails, until it has failed too often', async () => {
+  process.env.MALWARE_SCANNER = 'fake';
+  process.env.MALWARE_SCAN_MAX_ATTEMPTS = '3';
+  const { open, updates } = setUp();
+  open.mock.mockImplementation(async () => null);
+  test.mock.method(console, 'error', () => {});
+
+  await scanBlob('abc');
+
+  const pending = { hash: 'abc', 'scan.status': 'pending' };
+  assert.deepEqual(updates, [
+    ['File', pending, { $set: { 'scan.error': 'The data to scan is missing' }, $inc: { 'scan.attempts': 1 } }],
+    ['File', { ...pending, 'scan.attempts': { $gte: 3 } }, {
+      $set: { 'scan.status': 'failed', quarantineReason: 'The file could not be scanned for malware' }
+    }],
+    ['FileVersion', pending, { $set: { 'scan.error': 'The data to scan is missing' }, $inc: { 'scan.attempts': 1 } }],
+    ['FileVersion', { ...pending, 'scan.attempts': { $gte: 3 } }, {
+      $set: { 'scan.status': 'failed', quarantineReason: 'The file could not be scanned for malware' }
+    }]
+  ]);
+});
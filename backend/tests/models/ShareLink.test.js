@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ShareLink = require('../../models/ShareLink');
+
+function shareLink(fields = {}) {
+  return new ShareLink({
+    owner: new mongoose.Types.ObjectId(),
+    resourceModel: 'File',
+    resource: new mongoose.Types.ObjectId(),
+    ...fields
+  });
+}
+
+test('isActive is false once a link is revoked, expired or used up', () => {
+  const past = new Date(Date.now() - 1000);
+  const future = new Date(Date.now() + 60 * 1000);
+
+  assert.equal(shareLink().isActive(), true);
+  assert.equal(shareLink({ expiresAt: future, maxDownloads: 2, downloadCount: 1 }).isActive(), true);
+  assert.equal(shareLink({ revokedAt: past }).isActive(), false);
+  assert.equal(shareLink({ expiresAt: past }).isActive(), false);
+  assert.equal(shareLink({ maxDownloads: 2, downloadCount: 2 }).isActive(), false);
+});
+
+test('setPassword protects a link, and clearing it opens the link again', async () => {
+  const link = shareLink();
+
+  await link.setPassword('open sesame');
+  assert.equal(await link.comparePassword('open sesame'), true);
+  assert.equal(await link.comparePassword('wrong'), false);
+  assert.equal(await link.comparePassword(undefined), false);
+
+  await link.setPassword('');
+  assert.equal(link.passwordHash, null);
+  assert.equal(await link.comparePassword(undefined), true);
+});
+
+test('getAccessSubject changes with the password', () => {
+  const link = shareLink({ passwordHash: 'first' });
+  const subject = link.getAccessSubject();
+
+  link.passwordHash = 'second';
+  assert.notEqual(link.getAccessSubject(), subject);
+});
+
+test('toJSON leaves out the password hash', () => {
+  const json = shareLink({ passwordHash: 'hash' }).toJSON();
+
+  assert.equal(json.passwordHash, undefined);
+  assert.equal(json.hasPassword, true);
+  assert.equal(json.isActive, true);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const UploadSession = require('../../models/UploadSession');
+
+test('claim only takes sessions that are unclaimed or whose claim lapsed', () => {
+  const before = Date.now();
+  const claim = UploadSession.claim({ _id: 'session', offset: 4 });
+  const filter = claim.getFilter();
+  const { claimedUntil } = claim.getUpdate();
+
+  assert.equal(filter._id, 'session');
+  assert.equal(filter.offset, 4);
+  assert.equal(filter.$or[0].claimedUntil, null);
+  assert.ok(filter.$or[1].claimedUntil.$lte.getTime() >= before);
+  assert.ok(claimedUntil.getTime() > filter.$or[1].claimedUntil.$lte.getTime());
+  assert.equal(claim.getOptions().new, true);
+});
+
+test('release clears the claim', () => {
+  const release = UploadSession.release('session');
+
+  assert.deepEqual(release.getFilter(), { _id: 'session' });
+  assert.equal(release.getUpdate().claimedUntil, null);
+});
+
+test('touch pushes the expiry forward by the configured time', () => {
+  process.env.UPLOAD_SESSION_TTL_HOURS = '2';
+  const session = new UploadSession();
+  session.touch();
+  delete process.env.UPLOAD_SESSION_TTL_HOURS;
+
+  const expected = Date.now() + 2 * 60 * 60 * 1000;
+  assert.ok(Math.abs(session.expiresAt.getTime() - expected) < 1000);
+});
+
+test('isComplete is true once every byte has been received', () => {
+  assert.equal(new UploadSession({ size: 10, offset: 9 }).isComplete(), false);
+  assert.equal(new UploadSession({ size: 10, offset: 10 }).isComplete(), true);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { reserveStorage, releaseStorage } = require('../services/quota');
+
+const userId = new mongoose.Types.ObjectId();
+
+test.afterEach(() => test.mock.restoreAll());
+
+test('reserveStorage counts bytes only while they fit within the limit', async () => {
+  const update = test.mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  assert.equal(await reserveStorage(userId, 100), true);
+
+  const [filter, changes] = update.mock.calls[0].arguments;
+  assert.deepEqual(filter, {
+    _id: userId,
+    $expr: { $lte: [{ $add: ['$storageUsed', 100] }, '$storageLimit'] }
+  });
+  assert.deepEqual(changes, { $inc: { storageUsed: 100 } });
+});
+
+test('reserveStorage refuses bytes that do not fit', async () => {
+  test.mock.method(User, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+  assert.equal(await reserveStorage(userId, 100), false);
+});
+
+test('reserveStorage and releaseStorage leave usage alone for no bytes', async () => {
+  const update = test.mock.method(User, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+  assert.equal(await reserveStorage(userId, 0), true);
+  await releaseStorage(userId, 0);
+
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('releaseStorage never takes usage below zero', async () => {
+  const update = test.mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  await releaseStorage(userId, 100);
+
+  const [filter, pipeline] = update.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: userId });
+  assert.deepEqual(pipeline, [
+    { $set: { storageUsed: { $max: [0, { $subtract: ['$storageUsed', 100] }] } } }
+  ]);
+});
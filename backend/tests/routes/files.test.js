@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const File = require('../../models/File');
+const FileVersion = require('../../models/FileVersion');
+const Grant = require('../../models/Grant');
+const { queries, query } = require('../helpers/queries');
+const { serve, signIn } = require('../helpers/app');
+const router = require('../../routes/files');
+
+let server;
+
+test.before(async () => {
+  server = await serve('/api/files', router);
+});
+
+test.after(() => server.close());
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+// Content stored before the blob store, of a type with no preview, so no
+// scan or preview is queued
+function content(name, size) {
+  return { type: 'other', mimeType: 'application/octet-stream', size, path: `/data/${name}`, hash: null };
+}
+
+// Sign in and stub one of their files at version 3 with version 1 in its
+// history, recording version saves and deletions
+function setUp({ fileSaveFails = false } = {}) {
+  const { user, headers } = signIn(test.mock);
+  const file = new File({
+    name: 'report.txt',
+    originalName: 'report.txt',
+    owner: user._id,
+    version: 3,
+    ...content('current', 30)
+  });
+  const version = new FileVersion({
+    file: file._id,
+    owner: user._id,
+    version: 1,
+    name: 'report.txt',
+    originalName: 'report.txt',
+    ...content('first', 10)
+  });
+
+  const events = [];
+  test.mock.method(File, 'findById', queries(file));
+  test.mock.method(FileVersion, 'findOne', queries(version));
+  test.mock.method(FileVersion.prototype, 'save', async function() {
+    events.push(['save version', this.version, this.path]);
+    return this;
+  });
+  test.mock.method(File.prototype, 'save', async function() {
+    if (fileSaveFails) throw new Error('Write failed');
+    events.push(['save file', this.version, this.path]);
+    return this;
+  });
+  test.mock.method(File.prototype, 'populate', async function() {
+    return this;
+  });
+  test.mock.method(FileVersion, 'findByIdAndDelete', id => {
+    events.push(['delete version', String(id)]);
+    return query(null);
+  });
+
+  return { file, version, headers, events, url: `${server.url}/${file._id}/versions/${version._id}/restore` };
+}
+
+test('POST /api/files/:id/versions/:versionId/restore makes a version current', async () => {
+  const { file, version, headers, events, url } = setUp();
+
+  const response = await fetch(url, { method: 'POST', headers });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.message, 'Version 1 restored as version 4');
+  assert.equal(file.path, '/data/first');
+  assert.equal(file.size, 10);
+
+  // The current content is kept before the restored version is removed
+  assert.deepEqual(events, [
+    ['save version', 3, '/data/current'],
+    ['save file', 4, '/data/first'],
+    ['delete version', String(version._id)]
+  ]);
+});
+
+test('POST /api/files/:id/versions/:versionId/restore keeps the history when the file cannot be saved', async () => {
+  const { version, headers, events, url } = setUp({ fileSaveFails: true });
+  test.mock.method(console, 'error', () => {});
+
+  const response = await fetch(url, { method: 'POST', headers });
+
+  assert.equal(response.status, 500);
+  assert.equal(events.length, 2);
+  assert.deepEqual(events[0], ['save version', 3, '/data/current']);
+
+  // Only the version recorded for the failed restore is removed again
+  assert.equal(events[1][0], 'delete version');
+  assert.notEqual(events[1][1], String(version._id));
+});
+
+test('POST /api/files/:id/versions/:versionId/restore answers 404 for versions of other files', async () => {
+  const { headers, url } = setUp();
+  test.mock.method(FileVersion, 'findOne', queries(null));
+
+  const response = await fetch(url, { method: 'POST', headers });
+
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).message, 'Version not found');
+});
+
+test('POST /api/files/:id/versions/:versionId/restore needs the editor role', async () => {
+  const { file, headers, url } = setUp();
+  file.owner = new mongoose.Types.ObjectId();
+  test.mock.method(Grant, 'find', queries([{ role: 'viewer' }]));
+
+  const response = await fetch(url, { method: 'POST', headers });
+
+  assert.equal(response.status, 403);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Folder = require('../../models/Folder');
+const SmartFolder = require('../../models/SmartFolder');
+const { queries } = require('../helpers/queries');
+const { serve, signIn } = require('../helpers/app');
+const router = require('../../routes/folders');
+
+let server;
+
+test.before(async () => {
+  server = await serve('/api/folders', router);
+});
+
+test.after(() => server.close());
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+// List folders, with Folder and SmartFolder queries stubbed. Resolves to
+// the response body and the number of smart folder lookups.
+async function list(search) {
+  const { user, headers } = signIn(test.mock);
+  test.mock.method(Folder, 'find', queries([]));
+  test.mock.method(Folder, 'countDocuments', queries(0));
+  const findSmart = test.mock.method(SmartFolder, 'find', queries([
+    { name: 'Invoices', owner: user._id, query: 'tag:invoice' }
+  ]));
+
+  const response = await fetch(`${server.url}${search}`, { headers });
+  assert.equal(response.status, 200);
+  return { body: await response.json(), smartLookups: findSmart.mock.callCount() };
+}
+
+test('GET /api/folders lists smart folders when not paged', async () => {
+  const { body, smartLookups } = await list('?page=3');
+
+  assert.equal(smartLookups, 1);
+  assert.equal(body.data.smartFolders.length, 1);
+});
+
+test('GET /api/folders lists smart folders on the first page', async () => {
+  const { body, smartLookups } = await list('?limit=10');
+
+  assert.equal(smartLookups, 1);
+  assert.equal(body.data.smartFolders.length, 1);
+});
+
+test('GET /api/folders leaves smart folders off later pages', async () => {
+  const { body, smartLookups } = await list('?page=2&limit=10');
+
+  assert.equal(smartLookups, 0);
+  assert.deepEqual(body.data.smartFolders, []);
+  assert.equal(body.data.pagination.current, 2);
+});
+
+test('GET /api/folders leaves smart folders off pages reached by cursor', async () => {
+  const first = await list('?limit=10&sort=name&order=asc');
+  assert.equal(first.smartLookups, 1);
+
+  test.mock.restoreAll();
+  const cursor = Buffer.from(JSON.stringify({ keys: 'name:1,_id:1', values: ['a', '0123456789abcdef01234567'] }))
+    .toString('base64url');
+  const { body, smartLookups } = await list(`?limit=10&sort=name&order=asc&cursor=${cursor}`);
+
+  assert.equal(smartLookups, 0);
+  assert.deepEqual(body.data.smartFolders, []);
+});
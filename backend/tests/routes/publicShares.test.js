@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const File = require('../../models/File');
+const ShareLink = require('../../models/ShareLink');
+const ShareAccess = require('../../models/ShareAccess');
+const { createAccessToken } = require('../../services/signedUrls');
+const { queries, query } = require('../helpers/queries');
+const { serve } = require('../helpers/app');
+const router = require('../../routes/publicShares');
+
+const DATA = 'shared file contents';
+
+let server;
+let dir;
+
+test.before(async () => {
+  server = await serve('/s', router);
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shares-test-'));
+});
+
+test.after(async () => {
+  await server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+// Stub a link sharing a file stored before the blob store, recording the
+// downloads counted against the link and the file
+function setUp(fields = {}, { limitReached = false } = {}) {
+  const filePath = path.join(dir, 'shared.txt');
+  fs.writeFileSync(filePath, DATA);
+
+  const owner = new mongoose.Types.ObjectId();
+  const file = new File({
+    name: 'shared.txt',
+    originalName: 'shared.txt',
+    type: 'document',
+    mimeType: 'text/plain',
+    size: DATA.length,
+    path: filePath,
+    hash: null,
+    owner
+  });
+  const link = new ShareLink({ owner, resourceModel: 'File', resource: file._id, ...fields });
+
+  test.mock.method(ShareLink, 'findOne', filter => query(filter.token === link.token ? link : null));
+  test.mock.method(File, 'findById', queries(file));
+  const counted = test.mock.method(ShareLink, 'findOneAndUpdate', queries(limitReached ? null : link));
+  const fileCounted = test.mock.method(File, 'updateOne', queries({ modifiedCount: 1 }));
+  const accesses = test.mock.method(ShareAccess, 'create', async () => ({}));
+
+  return { link, counted, fileCounted, accesses, url: `${server.url}/${link.token}` };
+}
+
+test('GET /s/:token downloads a shared file and counts it against the link', async () => {
+  const { link, counted, fileCounted, accesses, url } = setUp({ maxDownloads: 3 });
+
+  const response = await fetch(url);
+
+  assert.equal(response.status, 200);
+  assert.equal(await response.text(), DATA);
+
+  // Only counted while the link is under its limit
+  const [filter, update] = counted.mock.calls[0].arguments;
+  assert.deepEqual(filter, {
+    _id: link._id,
+    $or: [{ maxDownloads: null }, { $expr: { $lt: ['$downloadCount', '$maxDownloads'] } }]
+  });
+  assert.deepEqual(update.$inc, { downloadCount: 1 });
+  assert.equal(fileCounted.mock.callCount(), 1);
+  assert.equal(accesses.mock.calls[0].arguments[0].action, 'download');
+});
+
+test('GET /s/:token does not count a resumed download again', async () => {
+  const { counted, url } = setUp({ maxDownloads: 3 });
+
+  const response = await fetch(url, { headers: { Range: 'bytes=7-' } });
+
+  assert.equal(response.status, 206);
+  assert.equal(await response.text(), DATA.slice(7));
+  assert.equal(counted.mock.callCount(), 0);
+});
+
+test('GET /s/:token refuses downloads once the limit is reached', async () => {
+  const { fileCounted, accesses, url } = setUp({ maxDownloads: 3 }, { limitReached: true });
+
+  const response = await fetch(url);
+  const body = await response.json();
+
+  assert.equal(response.status, 410);
+  assert.equal(body.message, 'This share link has reached its download limit');
+  assert.equal(fileCounted.mock.callCount(), 0);
+  assert.equal(accesses.mock.callCount(), 0);
+});
+
+test('GET /s/:token answers 404 for unknown links and 410 for expired ones', async () => {
+  const { url } = setUp({ expiresAt: new Date(Date.now() - 1000) });
+
+  assert.equal((await fetch(`${server.url}/unknown`)).status, 404);
+
+  const response = await fetch(url);
+  assert.equal(response.status, 410);
+  assert.equal((await response.json()).message, 'This share link has expired or been revoked');
+});
+
+test('POST /s/:token/unlock gives access to password protected links', async () => {
+  const { link, url } = setUp();
+  await link.setPassword('open sesame');
+
+  const locked = await fetch(url);
+  assert.equal(locked.status, 401);
+  assert.deepEqual((await locked.json()).data, { passwordRequired: true });
+
+  const unlock = password => fetch(`${url}/unlock`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password })
+  });
+
+  assert.equal((await unlock('wrong')).status, 401);
+
+  const unlocked = await unlock('open sesame');
+  assert.equal(unlocked.status, 200);
+  const { access } = (await unlocked.json()).data;
+
+  const viaQuery = await fetch(`${url}?access=${encodeURIComponent(access)}`);
+  assert.equal(viaQuery.status, 200);
+  assert.equal(await viaQuery.text(), DATA);
+
+  const viaHeader = await fetch(url, { headers: { 'X-Share-Access': access } });
+  assert.equal(viaHeader.status, 200);
+  await viaHeader.arrayBuffer();
+});
+
+test('GET /s/:token refuses access tokens issued for an earlier password', async () => {
+  const { link, url } = setUp();
+  await link.setPassword('first');
+  const access = createAccessToken(link.getAccessSubject(), 60);
+
+  await link.setPassword('second');
+
+  const response = await fetch(url, { headers: { 'X-Share-Access': access } });
+  assert.equal(response.status, 401);
+});
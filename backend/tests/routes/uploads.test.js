@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const UploadSession = require('../../models/UploadSession');
+const { queries } = require('../helpers/queries');
+const { serve, signIn } = require('../helpers/app');
+const router = require('../../routes/uploads');
+
+const CHUNK_TYPE = 'application/offset+octet-stream';
+
+let server;
+let workDir;
+
+test.before(async () => {
+  server = await serve('/api/uploads', router);
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+});
+
+test.after(async () => {
+  await server.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+// Sign in and stub a session of theirs holding the given data, with the
+// saves and releases of sessions recorded
+function setUp({ size = 10, data = '', offset = data.length, claimable = true } = {}) {
+  const { user, headers } = signIn(test.mock);
+  const tempPath = path.join(workDir, `${Date.now()}-${Math.random()}.part`);
+  fs.writeFileSync(tempPath, data);
+
+  const session = new UploadSession({
+    owner: user._id,
+    originalName: 'notes.txt',
+    mimeType: 'text/plain',
+    size,
+    offset,
+    tempPath,
+    expiresAt: new Date(Date.now() + 60 * 1000)
+  });
+
+  test.mock.method(UploadSession, 'findOne', queries(session));
+  test.mock.method(UploadSession, 'findById', queries(session));
+  test.mock.method(UploadSession, 'exists', queries({ _id: session._id }));
+  const claim = test.mock.method(UploadSession, 'claim', async () => {
+    if (!claimable) return null;
+    session.claimedUntil = new Date(Date.now() + 60 * 1000);
+    return session;
+  });
+  const release = test.mock.method(UploadSession, 'release', async () => {
+    session.claimedUntil = null;
+  });
+  const save = test.mock.method(UploadSession.prototype, 'save', async function() {
+    return this;
+  });
+
+  return { session, headers, claim, release, save, url: `${server.url}/${session._id}` };
+}
+
+function patch(url, headers, chunk, offset) {
+  return fetch(url, {
+    method: 'PATCH',
+    headers: { ...headers, 'Content-Type': CHUNK_TYPE, 'Upload-Offset': String(offset) },
+    body: chunk
+  });
+}
+
+// Send a chunk with chunked transfer encoding, so no Content-Length tells
+// its size up front
+function patchChunked(url, headers, parts, offset) {
+  return new Promise((resolve, reject) => {
+    const request = http.request(url, {
+      method: 'PATCH',
+      headers: { ...headers, 'Content-Type': CHUNK_TYPE, 'Upload-Offset': String(offset) }
+    }, response => {
+      let body = '';
+      response.on('data', part => { body += part; });
+      response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body }));
+    });
+    request.on('error', reject);
+    parts.forEach(part => request.write(part));
+    request.end();
+  });
+}
+
+test('PATCH /api/uploads/:id appends a chunk at the offset', async () => {
+  const { session, headers, url, save } = setUp({ data: 'abcd' });
+
+  const response = await patch(url, headers, 'efgh', 4);
+
+  assert.equal(response.status, 204);
+  assert.equal(response.headers.get('upload-offset'), '8');
+  assert.equal(fs.readFileSync(session.tempPath, 'utf8'), 'abcdefgh');
+  assert.equal(save.mock.callCount(), 1);
+  assert.equal(session.offset, 8);
+  assert.equal(session.claimedUntil, null);
+});
+
+test('PATCH /api/uploads/:id writes over bytes past the recorded offset', async () => {
+  const { session, headers, url } = setUp({ data: 'abcdXYZ', offset: 4 });
+
+  const response = await patch(url, headers, 'ef', 4);
+
+  assert.equal(response.status, 204);
+  assert.equal(fs.readFileSync(session.tempPath, 'utf8'), 'abcdef');
+});
+
+test('PATCH /api/uploads/:id needs the chunk content type', async () => {
+  const { headers, url } = setUp();
+
+  const response = await fetch(url, {
+    method: 'PATCH',
+    headers: { ...headers, 'Content-Type': 'text/plain', 'Upload-Offset': '0' },
+    body: 'data'
+  });
+
+  assert.equal(response.status, 415);
+});
+
+test('PATCH /api/uploads/:id refuses chunks at another offset', async () => {
+  const { session, headers, url, claim } = setUp({ data: 'abcd' });
+
+  const response = await patch(url, headers, 'efgh', 2);
+
+  assert.equal(response.status, 409);
+  assert.equal(response.headers.get('upload-offset'), '4');
+  assert.equal(claim.mock.callCount(), 0);
+  assert.equal(fs.readFileSync(session.tempPath, 'utf8'), 'abcd');
+});
+
+test('PATCH /api/uploads/:id refuses chunks while another request writes', async () => {
+  const { session, headers, url, save } = setUp({ data: 'abcd', claimable: false });
+
+  const response = await patch(url, headers, 'efgh', 4);
+
+  assert.equal(response.status, 409);
+  assert.equal(save.mock.callCount(), 0);
+  assert.equal(fs.readFileSync(session.tempPath, 'utf8'), 'abcd');
+});
+
+test('PATCH /api/uploads/:id refuses chunks declared longer than what is left', async () => {
+  const { headers, url, claim } = setUp({ size: 6, data: 'abcd' });
+
+  const response = await patch(url, headers, 'efgh', 4);
+
+  assert.equal(response.status, 413);
+  assert.equal(claim.mock.callCount(), 0);
+});
+
+test('PATCH /api/uploads/:id drops streamed chunks that run past what is left', async () => {
+  const { session, headers, url, release, save } = setUp({ size: 6, data: 'abcd' });
+
+  const response = await patchChunked(url, headers, ['ef', 'gh'], 4);
+
+  assert.equal(response.status, 413);
+  assert.equal(response.headers.connection, 'close');
+  assert.equal(fs.readFileSync(session.tempPath, 'utf8'), 'abcd');
+  assert.equal(release.mock.callCount(), 1);
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test('POST /api/uploads/:id/complete refuses while another request uses the session', async () => {
+  const { headers, url } = setUp({ size: 4, data: 'abcd', claimable: false });
+
+  const response = await fetch(`${url}/complete`, { method: 'POST', headers });
+
+  assert.equal(response.status, 409);
+  assert.equal((await response.json()).message, 'Another request is using this upload session');
+});
+
+test('POST /api/uploads/:id/complete refuses incomplete uploads and releases them', async () => {
+  const { headers, url, release } = setUp({ size: 10, data: 'abcd' });
+
+  const response = await fetch(`${url}/complete`, { method: 'POST', headers });
+
+  assert.equal(response.status, 409);
+  assert.deepEqual((await response.json()).data, { offset: 4, size: 10 });
+  assert.equal(release.mock.callCount(), 1);
+});
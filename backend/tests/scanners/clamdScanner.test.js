@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { Readable } = require('stream');
+const createClamdScanner = require('../../services/scanners/clamdScanner');
+const createFakeScanner = require('../../services/scanners/fakeScanner');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+// Run a clamd stand-in that reads one INSTREAM command and answers with
+// the reply worked out from the data it received. Resolves to the scanner
+// connected to it and a close function.
+function serveClamd(getReply) {
+  const server = net.createServer(socket => {
+    let received = Buffer.alloc(0);
+
+    socket.on('data', chunk => {
+      received = Buffer.concat([received, chunk]);
+
+      const command = 'zINSTREAM\0';
+      if (received.length < command.length) return;
+      assert.equal(received.subarray(0, command.length).toString(), command);
+
+      // Chunks are sent as a length followed by the data, ending with an
+      // empty one
+      const chunks = [];
+      let offset = command.length;
+      while (offset + 4 <= received.length) {
+        const length = received.readUInt32BE(offset);
+        if (length === 0) {
+          const reply = getReply(Buffer.concat(chunks), chunks);
+          if (reply !== null) socket.end(`${reply}\0`);
+          return;
+        }
+        if (offset + 4 + length > received.length) return;
+        chunks.push(received.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        scanner: createClamdScanner({ host: '127.0.0.1', port: server.address().port, timeout: 200 }),
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+test('clamd scanner reports clean and infected data', async () => {
+  const clamd = await serveClamd(data => (data.includes(EICAR) ? 'stream: Eicar-Signature FOUND' : 'stream: OK'));
+
+  try {
+    assert.deepEqual(await clamd.scanner.scan(Readable.from([Buffer.from('hello')])), {
+      status: 'clean',
+      signature: null
+    });
+    assert.deepEqual(await clamd.scanner.scan(Readable.from([Buffer.from(EICAR)])), {
+      status: 'infected',
+      signature: 'Eicar-Signature'
+    });
+  } finally {
+    await clamd.close();
+  }
+});
+
+test('clamd scanner sends large data in chunks clamd accepts', async () => {
+  let sizes;
+  const clamd = await serveClamd((data, chunks) => {
+    sizes = chunks.map(chunk => chunk.length);
+    return 'stream: OK';
+  });
+
+  try {
+    await clamd.scanner.scan(Readable.from([Buffer.alloc(150 * 1024, 1)]));
+    assert.deepEqual(sizes, [64 * 1024, 64 * 1024, 22 * 1024]);
+  } finally {
+    await clamd.close();
+  }
+});
+
+test('clamd scanner skips data over the size limit', async () => {
+  const clamd = await serveClamd(() => 'INSTREAM size limit exceeded. ERROR');
+
+  try {
+    assert.deepEqual(await clamd.scanner.scan(Readable.from([Buffer.from('hello')])), {
+      status: 'skipped',
+      signature: null,
+      reason: 'The file is larger than the malware scanner accepts'
+    });
+  } finally {
+    await clamd.close();
+  }
+});
+
+test('clamd scanner fails on other replies and when clamd does not answer', async () => {
+  const clamd = await serveClamd(data => (data.length > 0 ? 'stream: lstat() failed. ERROR' : null));
+
+  try {
+    await assert.rejects(
+      clamd.scanner.scan(Readable.from([Buffer.from('hello')])),
+      { message: 'clamd could not scan the data: stream: lstat() failed. ERROR' }
+    );
+    await assert.rejects(
+      clamd.scanner.scan(Readable.from([])),
+      { message: 'clamd did not answer in time' }
+    );
+  } finally {
+    await clamd.close();
+  }
+});
+
+test('fake scanner finds the test string split across chunks', async () => {
+  const scanner = createFakeScanner();
+  const chunks = [`start ${EICAR.slice(0, 20)}`, EICAR.slice(20)].map(chunk => Buffer.from(chunk, 'latin1'));
+
+  assert.deepEqual(await scanner.scan(Readable.from(chunks)), {
+    status: 'infected',
+    signature: 'Eicar-Test-Signature'
+  });
+  assert.deepEqual(await scanner.scan(Readable.from([Buffer.from('hello')])), {
+    status: 'clean',
+    signature: null
+  });
+});
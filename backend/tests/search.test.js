@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchQuery, replaceFilterValue, applyParams } = require('../services/search');
+
+test('parseSearchQuery splits filters from the free text', () => {
+  const { text, filters, errors } = parseSearchQuery(
+    'tag:invoice type:pdf "annual report" in:0123456789abcdef01234567 is:favorite larger:10MB smaller:512'
+  );
+
+  assert.equal(text, '"annual report"');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(filters.tags, ['invoice']);
+  assert.deepEqual(filters.fileTypes, ['pdf']);
+  assert.equal(filters.folder, '0123456789abcdef01234567');
+  assert.equal(filters.favorite, true);
+  assert.equal(filters.minSize, 10 * 1024 * 1024);
+  assert.equal(filters.maxSize, 512);
+});
+
+test('parseSearchQuery takes quoted filter values', () => {
+  const { text, filters } = parseSearchQuery('tag:"tax return" budget');
+
+  assert.equal(text, 'budget');
+  assert.deepEqual(filters.tags, ['tax return']);
+});
+
+test('parseSearchQuery keeps unknown and excluded filters as text', () => {
+  const { text, filters, errors } = parseSearchQuery('http://example.com -tag:old note');
+
+  assert.equal(text, 'http://example.com -tag:old note');
+  assert.deepEqual(filters.tags, []);
+  assert.deepEqual(errors, []);
+});
+
+test('parseSearchQuery reports invalid filter values', () => {
+  const { errors } = parseSearchQuery('type:movie in:../etc after:someday larger:lots is:shared');
+
+  assert.equal(errors.length, 5);
+  assert.match(errors[0], /Unknown type "movie"/);
+  assert.match(errors[1], /is not a valid ID/);
+  assert.match(errors[2], /Invalid date "someday"/);
+  assert.match(errors[3], /Invalid size "lots"/);
+  assert.match(errors[4], /Unknown filter "is:shared"/);
+});
+
+test('parseSearchQuery reads dates', () => {
+  const { filters, errors } = parseSearchQuery('after:2026-01-01 before:2026-02-01T12:00:00Z');
+
+  assert.deepEqual(errors, []);
+  assert.equal(filters.after.getTime(), new Date('2026-01-01').getTime());
+  assert.equal(filters.before.toISOString(), '2026-02-01T12:00:00.000Z');
+});
+
+test('parseSearchQuery refuses dates that do not exist or are not written as dates', () => {
+  for (const value of ['2026-13-45', '01/02/2026', '1767225600000', '7x']) {
+    assert.equal(parseSearchQuery(`after:${value}`).errors.length, 1, value);
+  }
+});
+
+test('parseSearchQuery reads dates relative to the start of today', () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const daysAgo = days => {
+    const date = new Date(today);
+    date.setDate(date.getDate() - days);
+    return date.getTime();
+  };
+
+  const { filters } = parseSearchQuery('after:7d before:today');
+  assert.equal(filters.after.getTime(), daysAgo(7));
+  assert.equal(filters.before.getTime(), today.getTime());
+
+  assert.equal(parseSearchQuery('after:yesterday').filters.after.getTime(), daysAgo(1));
+  assert.equal(parseSearchQuery('after:2W').filters.after.getTime(), daysAgo(14));
+
+  const monthsAgo = new Date(today);
+  monthsAgo.setMonth(monthsAgo.getMonth() - 3);
+  assert.equal(parseSearchQuery('after:3m').filters.after.getTime(), monthsAgo.getTime());
+
+  const yearAgo = new Date(today);
+  yearAgo.setFullYear(yearAgo.getFullYear() - 1);
+  assert.equal(parseSearchQuery('after:1y').filters.after.getTime(), yearAgo.getTime());
+});
+
+test('applyParams adds filters given as request parameters', () => {
+  const { filters } = parseSearchQuery('');
+  const errors = applyParams(filters, { type: 'note, image', tag: 'a,b', minSize: '1KB', favorite: 'true' });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(filters.types, ['note']);
+  assert.deepEqual(filters.fileTypes, ['image']);
+  assert.deepEqual(filters.tags, ['a', 'b']);
+  assert.equal(filters.minSize, 1024);
+  assert.equal(filters.favorite, true);
+});
+
+test('replaceFilterValue replaces matching filter values whatever their case', () => {
+  assert.equal(
+    replaceFilterValue('tag:Work report TAG:work tag:"work" type:pdf', 'tag', 'work', 'office'),
+    'tag:office report TAG:office tag:office type:pdf'
+  );
+});
+
+test('replaceFilterValue leaves other filters, excluded filters and text alone', () => {
+  const query = 'tag:workshop -tag:work type:work work "tag:work"';
+
+  assert.equal(replaceFilterValue(query, 'tag', 'work', 'office'), query);
+});
+
+test('replaceFilterValue quotes values that would not be read back as one', () => {
+  const query = replaceFilterValue('tag:tax budget', 'tag', 'tax', 'tax return');
+
+  assert.equal(query, 'tag:"tax return" budget');
+  assert.deepEqual(parseSearchQuery(query).filters.tags, ['tax return']);
+  assert.equal(replaceFilterValue(query, 'tag', 'tax return', 'taxes'), 'tag:taxes budget');
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const Note = require('../models/Note');
+const SmartFolder = require('../models/SmartFolder');
+const { queries } = require('./helpers/queries');
+const { MAX_TAG_LENGTH, parseTags, renameTag, mergeTag } = require('../services/tags');
+
+const owner = new mongoose.Types.ObjectId();
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+// Stub the items and smart folders of the owner. Resolves the updates of
+// items and smart folders made through them.
+function stubItems(smartQueries) {
+  const itemUpdates = [];
+  for (const Model of [File, Folder, Note]) {
+    test.mock.method(Model, 'updateMany', async (filter, update, options) => {
+      itemUpdates.push([Model.modelName, filter, update, options]);
+      // One item of each kind carries the tag and none carries both
+      return { modifiedCount: update.$set ? 1 : 0 };
+    });
+  }
+
+  const smartFolders = smartQueries.map(query => new SmartFolder({ name: query, query, owner }));
+  test.mock.method(SmartFolder, 'find', queries(smartFolders));
+  const smartUpdates = test.mock.method(SmartFolder, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  return {
+    itemUpdates,
+    smartQueries: () => smartUpdates.mock.calls.map(call => {
+      const smartFolder = smartFolders.find(item => item._id.equals(call.arguments[0]._id));
+      return [smartFolder.query, call.arguments[1].$set.query];
+    })
+  };
+}
+
+test('parseTags reads lists, comma separated strings and both', () => {
+  assert.deepEqual(parseTags('work, tax ,2026'), ['work', 'tax', '2026']);
+  assert.deepEqual(parseTags(['work', 'tax,2026']), ['work', 'tax', '2026']);
+});
+
+test('parseTags leaves out blanks and repeats whatever their case', () => {
+  assert.deepEqual(parseTags(' , Work,,work, WORK ,tax'), ['Work', 'tax']);
+});
+
+test('parseTags reads nothing as no tags', () => {
+  assert.deepEqual(parseTags(undefined), []);
+  assert.deepEqual(parseTags(null), []);
+  assert.deepEqual(parseTags(''), []);
+  assert.deepEqual(parseTags([]), []);
+});
+
+test('parseTags refuses values that are not names', () => {
+  assert.equal(parseTags({ $ne: null }), null);
+  assert.equal(parseTags(['work', { $gt: '' }]), null);
+  assert.equal(parseTags([42]), null);
+});
+
+test('parseTags refuses names that are too long', () => {
+  assert.deepEqual(parseTags('a'.repeat(MAX_TAG_LENGTH)), ['a'.repeat(MAX_TAG_LENGTH)]);
+  assert.equal(parseTags('a'.repeat(MAX_TAG_LENGTH + 1)), null);
+});
+
+test('parseTags refuses too many tags but not repeats of them', () => {
+  const names = Array.from({ length: 50 }, (_, i) => `tag${i}`);
+
+  assert.equal(parseTags(names).length, 50);
+  assert.equal(parseTags([...names, 'TAG0']).length, 50);
+  assert.equal(parseTags([...names, 'one more']), null);
+});
+
+test('renameTag renames the tag on items and in smart folder queries', async () => {
+  const tag = new Tag({ owner, name: 'work' });
+  test.mock.method(tag, 'save', async () => tag);
+  const { itemUpdates, smartQueries } = stubItems(['tag:work type:pdf', 'tag:home', 'tag:Work tag:home']);
+
+  assert.equal(await renameTag(tag, 'office'), 3);
+  assert.equal(tag.name, 'office');
+  assert.deepEqual(itemUpdates.filter(([, , update]) => update.$set).map(([model, , update]) => [model, update]), [
+    ['File', { $set: { 'tags.$[tag]': 'office' } }],
+    ['Folder', { $set: { 'tags.$[tag]': 'office' } }],
+    ['Note', { $set: { 'tags.$[tag]': 'office' } }]
+  ]);
+  assert.deepEqual(smartQueries(), [
+    ['tag:work type:pdf', 'tag:office type:pdf'],
+    ['tag:Work tag:home', 'tag:office tag:home']
+  ]);
+});
+
+test('mergeTag points smart folder queries at the tag merged into', async () => {
+  const tag = new Tag({ owner, name: 'invoices' });
+  const into = new Tag({ owner, name: 'Billing 2026' });
+  const deleteOne = test.mock.method(tag, 'deleteOne', async () => {});
+  const { smartQueries } = stubItems(['tag:invoices after:30d']);
+
+  await mergeTag(tag, into);
+
+  assert.deepEqual(smartQueries(), [['tag:invoices after:30d', 'tag:"Billing 2026" after:30d']]);
+  assert.equal(deleteOne.mock.callCount(), 1);
+});
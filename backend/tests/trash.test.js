@@ -0,0 +1,211 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Folder = require('../models/Folder');
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const FileText = require('../models/FileText');
+const Note = require('../models/Note');
+const Grant = require('../models/Grant');
+const ShareLink = require('../models/ShareLink');
+const User = require('../models/User');
+const blobStore = require('../services/blobStore');
+const { queries, query } = require('./helpers/queries');
+const {
+  IN_TRASH,
+  getRetentionDays,
+  getPurgeDate,
+  trashItem,
+  trashFolder,
+  restoreItem,
+  purgeWhere
+} = require('../services/trash');
+
+const { ObjectId } = mongoose.Types;
+const owner = new ObjectId();
+
+function folder(name, parentFolder = null, fields = {}) {
+  return new Folder({ name, owner, parentFolder, path: name, ...fields });
+}
+
+function note(fields = {}) {
+  return new Note({ title: 'Plan', content: 'Text', owner, ...fields });
+}
+
+// Record the saves of documents of a model, with the fields given
+function recordSaves(Model, fields) {
+  const saves = [];
+  test.mock.method(Model.prototype, 'save', async function() {
+    saves.push(Object.fromEntries(fields.map(field => [field, this[field]])));
+    return this;
+  });
+  return saves;
+}
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+  delete process.env.TRASH_RETENTION_DAYS;
+});
+
+test('getRetentionDays defaults to 30 days and can be set to none', () => {
+  assert.equal(getRetentionDays(), 30);
+
+  process.env.TRASH_RETENTION_DAYS = '0';
+  assert.equal(getRetentionDays(), 0);
+});
+
+test('getPurgeDate adds the retention period to the time an item was trashed', () => {
+  process.env.TRASH_RETENTION_DAYS = '7';
+
+  assert.equal(
+    getPurgeDate({ deletedAt: new Date('2026-03-01T10:00:00Z') }).toISOString(),
+    '2026-03-08T10:00:00.000Z'
+  );
+});
+
+test('trashItem moves an item to the trash on its own', async () => {
+  const saves = recordSaves(Note, ['deletedAt', 'deletedWith']);
+
+  await trashItem(note({ deletedWith: new ObjectId() }));
+
+  assert.ok(saves[0].deletedAt instanceof Date);
+  assert.equal(saves[0].deletedWith, null);
+});
+
+test('trashFolder moves the live contents of every level along with the folder', async () => {
+  const root = folder('Projects');
+  const child = folder('2026', root._id);
+  test.mock.method(Folder, 'find', filter => query(filter.parentFolder.equals(root._id) ? [child] : []));
+
+  const updates = [];
+  for (const Model of [Folder, File, Note]) {
+    test.mock.method(Model, 'updateMany', async (filter, update) => {
+      updates.push([Model.modelName, filter, update]);
+      return { modifiedCount: 0 };
+    });
+  }
+  const saves = recordSaves(Folder, ['name', 'deletedAt', 'deletedWith']);
+
+  await trashFolder(root);
+
+  assert.equal(updates.length, 6);
+  for (const [, filter, update] of updates) {
+    assert.equal(filter.deletedAt, null);
+    assert.ok(update.deletedWith.equals(root._id));
+    assert.equal(update.deletedAt, saves[0].deletedAt);
+  }
+
+  const levels = updates.map(([model, filter]) => [model, String(filter.parentFolder || filter.folder)]);
+  assert.deepEqual(levels, [
+    ['Folder', String(child._id)],
+    ['File', String(child._id)],
+    ['Note', String(child._id)],
+    ['Folder', String(root._id)],
+    ['File', String(root._id)],
+    ['Note', String(root._id)]
+  ]);
+  assert.deepEqual(saves, [{ name: 'Projects', deletedAt: saves[0].deletedAt, deletedWith: null }]);
+});
+
+test('restoreItem restores items to the top level when their folder is gone', async () => {
+  const trashed = note({ folder: new ObjectId(), deletedAt: new Date() });
+  test.mock.method(Folder, 'findOne', queries(null));
+  const saves = recordSaves(Note, ['folder', 'deletedAt']);
+
+  await restoreItem(trashed);
+
+  assert.deepEqual(saves, [{ folder: null, deletedAt: null }]);
+});
+
+test('restoreItem restores a trashed folder an item was in', async () => {
+  const parent = folder('Archive', null, { deletedAt: new Date() });
+  const trashed = note({ folder: parent._id, deletedAt: new Date() });
+
+  // The folder is not live, but is in the trash, and no live folder took its name
+  test.mock.method(Folder, 'findOne', queries(null, parent, null));
+  test.mock.method(Folder, 'find', queries([]));
+  test.mock.method(Folder, 'findById', queries(null));
+  const detached = [];
+  for (const Model of [File, Note]) {
+    test.mock.method(Model, 'updateMany', async (filter, update) => {
+      detached.push([Model.modelName, filter, update]);
+      return { modifiedCount: 0 };
+    });
+  }
+  const folderSaves = recordSaves(Folder, ['name', 'path', 'deletedAt']);
+  const noteSaves = recordSaves(Note, ['folder', 'deletedAt']);
+
+  await restoreItem(trashed);
+
+  assert.deepEqual(folderSaves, [{ name: 'Archive', path: 'Archive', deletedAt: null }]);
+  assert.deepEqual(noteSaves, [{ folder: parent._id, deletedAt: null }]);
+
+  // The rest of the folder's contents stay in the trash as items of their own
+  for (const [, filter, update] of detached) {
+    assert.ok(filter.deletedWith.equals(parent._id));
+    assert.deepEqual(update, { deletedWith: null });
+  }
+});
+
+test('restoreItem renames a restored folder whose name was taken', async () => {
+  const trashed = folder('Archive', null, { deletedAt: new Date() });
+  test.mock.method(Folder, 'findOne', filter => query(filter.name === 'Archive' ? folder('Archive') : null));
+  test.mock.method(Folder, 'find', queries([]));
+  test.mock.method(Folder, 'findById', queries(null));
+  for (const Model of [Folder, File, Note]) {
+    test.mock.method(Model, 'updateMany', async () => ({ modifiedCount: 0 }));
+  }
+  const saves = recordSaves(Folder, ['name', 'path', 'deletedAt']);
+
+  await restoreItem(trashed);
+
+  assert.deepEqual(saves, [{ name: 'Archive (Restored)', path: 'Archive (Restored)', deletedAt: null }]);
+});
+
+test('purgeWhere deletes top-level trashed items and gives back their storage', async () => {
+  const otherOwner = new ObjectId();
+  const file = new File({
+    name: 'a.pdf',
+    originalName: 'a.pdf',
+    type: 'pdf',
+    mimeType: 'application/pdf',
+    size: 100,
+    path: 'blobs/ab/abc',
+    hash: 'abc',
+    owner: otherOwner,
+    deletedAt: new Date()
+  });
+  const trashedNote = note({ deletedAt: new Date() });
+
+  const finds = [];
+  for (const [Model, items] of [[File, [file]], [Note, [trashedNote]], [Folder, []]]) {
+    test.mock.method(Model, 'find', filter => {
+      finds.push(filter);
+      return query(items);
+    });
+  }
+  test.mock.method(FileVersion, 'find', queries([]));
+  test.mock.method(FileVersion, 'deleteMany', queries(null));
+  test.mock.method(FileText, 'deleteOne', queries(null));
+  const release = test.mock.method(blobStore, 'release', async () => {});
+  const deletedFiles = test.mock.method(File, 'findByIdAndDelete', queries(null));
+  const deletedNotes = test.mock.method(Note, 'findByIdAndDelete', queries(null));
+  const revoked = test.mock.method(Grant, 'deleteMany', queries(null));
+  test.mock.method(ShareLink, 'deleteMany', queries(null));
+  const storage = test.mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  const cutoff = new Date();
+  assert.equal(await purgeWhere({ deletedAt: { ...IN_TRASH, $lte: cutoff } }), 2);
+
+  assert.deepEqual(finds[0], { deletedAt: { ...IN_TRASH, $lte: cutoff }, deletedWith: null });
+  assert.deepEqual(release.mock.calls.map(call => call.arguments[0]), ['abc']);
+  assert.ok(deletedFiles.mock.calls[0].arguments[0].equals(file._id));
+  assert.ok(deletedNotes.mock.calls[0].arguments[0].equals(trashedNote._id));
+  assert.equal(revoked.mock.callCount(), 2);
+
+  // Notes take no storage, so only the owner of the file gets some back
+  assert.equal(storage.mock.callCount(), 1);
+  const [filter, pipeline] = storage.mock.calls[0].arguments;
+  assert.equal(String(filter._id), String(otherOwner));
+  assert.deepEqual(pipeline[0].$set.storageUsed, { $max: [0, { $subtract: ['$storageUsed', 100] }] });
+});
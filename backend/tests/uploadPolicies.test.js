@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const UploadPolicy = require('../models/UploadPolicy');
+const UploadUsage = require('../models/UploadUsage');
+const { queries } = require('./helpers/queries');
+const {
+  DEFAULT_POLICY,
+  formatSize,
+  getUploadPolicy,
+  checkFile,
+  reserveDailyUpload,
+  releaseDailyUpload
+} = require('../services/uploadPolicies');
+
+const userId = new mongoose.Types.ObjectId();
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('formatSize writes sizes in the largest whole unit', () => {
+  assert.equal(formatSize(0), '0 bytes');
+  assert.equal(formatSize(512), '512 bytes');
+  assert.equal(formatSize(50 * 1024 * 1024), '50MB');
+  assert.equal(formatSize(1536), '1.5KB');
+});
+
+test('checkFile checks the type, extension and size it is given', () => {
+  const policy = { ...DEFAULT_POLICY, allowedExtensions: ['pdf'], maxFileSize: 100 };
+
+  assert.equal(checkFile(policy, { originalName: 'a.pdf', mimeType: 'application/pdf', size: 100 }), null);
+  assert.equal(checkFile(policy, { originalName: 'a.pdf', mimeType: 'video/mp4' }).policy, 'allowedTypes');
+  assert.equal(checkFile(policy, { originalName: 'a.PDF.exe' }).policy, 'allowedExtensions');
+  assert.deepEqual(checkFile(policy, { originalName: 'a.PDF', size: 101 }), {
+    policy: 'maxFileSize',
+    limit: 100,
+    message: 'File too large. Maximum size is 100 bytes.'
+  });
+});
+
+test('getUploadPolicy lets the user policy override the plan policy over the defaults', async () => {
+  test.mock.method(UploadPolicy, 'find', queries([
+    new UploadPolicy({ user: userId, maxFileSize: 10, allowedTypes: [] }),
+    new UploadPolicy({ plan: 'pro', maxFileSize: 20, maxFilesPerRequest: 50, allowedTypes: ['video/mp4'] })
+  ]));
+
+  const policy = await getUploadPolicy({ _id: userId, plan: 'pro' });
+
+  assert.equal(policy.maxFileSize, 10);
+  assert.equal(policy.maxFilesPerRequest, 50);
+  assert.deepEqual(policy.allowedTypes, ['video/mp4']);
+  assert.equal(policy.maxBytesPerDay, DEFAULT_POLICY.maxBytesPerDay);
+});
+
+test('reserveDailyUpload only counts bytes that fit in what is left of the limit', async () => {
+  const update = test.mock.method(UploadUsage, 'updateOne', async () => ({}));
+  const policy = { ...DEFAULT_POLICY, maxBytesPerDay: 1000 };
+
+  const { violation, day } = await reserveDailyUpload(userId, policy, 300);
+
+  assert.equal(violation, null);
+  assert.equal(day, new Date().toISOString().slice(0, 10));
+  const [filter, change, options] = update.mock.calls[0].arguments;
+  assert.deepEqual(filter, { user: userId, day, bytes: { $lte: 700 } });
+  assert.deepEqual(change, { $inc: { bytes: 300 } });
+  assert.deepEqual(options, { upsert: true });
+});
+
+test('reserveDailyUpload refuses uploads over the limit', async () => {
+  const policy = { ...DEFAULT_POLICY, maxBytesPerDay: 1000 };
+  const update = test.mock.method(UploadUsage, 'updateOne', async () => {
+    throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  });
+
+  assert.equal((await reserveDailyUpload(userId, policy, 1001)).violation.policy, 'maxBytesPerDay');
+  assert.equal(update.mock.callCount(), 0);
+
+  assert.equal((await reserveDailyUpload(userId, policy, 500)).violation.policy, 'maxBytesPerDay');
+});
+
+test('reserveDailyUpload counts bytes without a limit', async () => {
+  const update = test.mock.method(UploadUsage, 'updateOne', async () => ({}));
+
+  const { violation, day } = await reserveDailyUpload(userId, DEFAULT_POLICY, 300);
+
+  assert.equal(violation, null);
+  assert.deepEqual(update.mock.calls[0].arguments[0], { user: userId, day });
+});
+
+test('releaseDailyUpload gives bytes back to the day they were counted against', async () => {
+  const update = test.mock.method(UploadUsage, 'updateOne', async () => ({}));
+
+  await releaseDailyUpload(userId, '2026-01-31', 300);
+
+  assert.deepEqual(update.mock.calls[0].arguments, [
+    { user: userId, day: '2026-01-31' },
+    { $inc: { bytes: -300 } }
+  ]);
+});
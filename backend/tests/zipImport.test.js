@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildZip } = require('./helpers/zip');
+const { planImport } = require('../services/zipImport');
+const { DEFAULT_POLICY } = require('../services/uploadPolicies');
+
+let workDir;
+let count = 0;
+
+// Write an archive of the entries and plan its import
+async function plan(entries, policy = DEFAULT_POLICY) {
+  const zipPath = path.join(workDir, `archive-${count++}.zip`);
+  fs.writeFileSync(zipPath, Array.isArray(entries) ? buildZip(entries) : entries);
+
+  const result = await planImport(zipPath, policy);
+  if (result.zipfile) result.zipfile.close();
+  return result;
+}
+
+function file(name, data = 'content', options = {}) {
+  return { name, data: Buffer.from(data), ...options };
+}
+
+test.before(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-import-'));
+});
+
+test.after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test.afterEach(() => {
+  delete process.env.ZIP_IMPORT_MAX_ENTRIES;
+  delete process.env.ZIP_IMPORT_MAX_RATIO;
+});
+
+test('planImport plans the folders and files of an archive', async () => {
+  const result = await plan([
+    file('docs/'),
+    file('docs/2026/report.txt', 'report'),
+    file('readme.txt', 'hello'),
+    file('__MACOSX/docs/._report.txt'),
+    file('docs/.DS_Store')
+  ]);
+
+  assert.equal(result.problem, undefined);
+  assert.deepEqual(result.folders.map(folder => folder.path), ['docs', 'docs/2026']);
+  assert.deepEqual(result.files.map(item => item.path).sort(), ['docs/2026/report.txt', 'readme.txt']);
+  assert.equal(result.totalSize, 11);
+});
+
+test('planImport refuses entries escaping the target folder', async () => {
+  for (const name of ['../evil.txt', 'docs/../../evil.txt', '/etc/passwd', 'C:/evil.txt', 'docs\\..\\evil.txt']) {
+    const { problem } = await plan([file('ok.txt'), file(name)]);
+
+    assert.equal(problem.status, 400, name);
+    assert.equal(problem.message, 'The archive contains a path outside of its own folder', name);
+    assert.deepEqual(problem.data, { entry: name });
+  }
+});
+
+test('planImport refuses links', async () => {
+  const { problem } = await plan([file('link', '/etc/passwd', { mode: 0o120777 })]);
+
+  assert.equal(problem.status, 400);
+  assert.equal(problem.message, 'Links cannot be imported');
+});
+
+test('planImport refuses entries that expand suspiciously much', async () => {
+  const { problem } = await plan([
+    { name: 'bomb.txt', data: Buffer.alloc(4 * 1024 * 1024), deflate: true }
+  ]);
+
+  assert.equal(problem.status, 400);
+  assert.equal(problem.message, 'The archive is compressed suspiciously well and may be a zip bomb');
+  assert.deepEqual(problem.data, { entry: 'bomb.txt' });
+});
+
+test('planImport accepts small entries that compress well', async () => {
+  const result = await plan([
+    { name: 'zeros.txt', data: Buffer.alloc(512 * 1024), deflate: true }
+  ]);
+
+  assert.equal(result.problem, undefined);
+  assert.equal(result.totalSize, 512 * 1024);
+});
+
+test('planImport uses the configured compression ratio limit', async () => {
+  process.env.ZIP_IMPORT_MAX_RATIO = '100000';
+
+  const result = await plan([
+    { name: 'zeros.txt', data: Buffer.alloc(4 * 1024 * 1024), deflate: true }
+  ]);
+
+  assert.equal(result.problem, undefined);
+});
+
+test('planImport refuses archives with too many entries', async () => {
+  process.env.ZIP_IMPORT_MAX_ENTRIES = '2';
+
+  const { problem } = await plan([file('a.txt'), file('b.txt'), file('c.txt')]);
+
+  assert.equal(problem.status, 400);
+  assert.match(problem.message, /at most 2 entries/);
+});
+
+test('planImport refuses names used twice', async () => {
+  const twice = await plan([file('a.txt'), file('a.txt')]);
+  assert.equal(twice.problem.status, 409);
+
+  const clash = await plan([file('docs'), file('docs/a.txt')]);
+  assert.equal(clash.problem.status, 409);
+  assert.equal(clash.problem.message, 'The archive contains a file and a folder with the same name');
+});
+
+test('planImport checks entries against the upload policy', async () => {
+  const { problem } = await plan([file('big.txt', 'x'.repeat(100))], { ...DEFAULT_POLICY, maxFileSize: 10 });
+
+  assert.equal(problem.status, 400);
+  assert.equal(problem.data.policy, 'maxFileSize');
+  assert.equal(problem.data.entry, 'big.txt');
+});
+
+test('planImport refuses files that are not archives and empty archives', async () => {
+  const invalid = await plan(Buffer.from('not a zip archive'));
+  assert.equal(invalid.problem.message, 'The uploaded file is not a valid ZIP archive');
+
+  const empty = await plan([]);
+  assert.equal(empty.problem.message, 'The archive is empty');
+});
@@ -56,23 +56,47 @@ export const authAPI = {
 
 // Folders API
 export const foldersAPI = {
-  getAll: (params?: { parentFolder?: string; search?: string; favorite?: boolean }) =>
+  getAll: (params?: { 
+    parentFolder?: string; 
+    search?: string; 
+    favorite?: boolean; 
+    sort?: 'createdAt' | 'updatedAt' | 'name' | 'size' | 'itemCount' | 'totalSize' | 'totalItemCount'; 
+    order?: 'asc' | 'desc'; 
+    minSize?: number; 
+    maxSize?: number; 
+    limit?: number; 
+    cursor?: string 
+  }) =>
     api.get('/folders', { params }),
   
-  getById: (id: string) =>
-    api.get(`/folders/${id}`),
+  getById: (id: string, params?: { 
+    sort?: 'createdAt' | 'updatedAt' | 'name' | 'size' | 'itemCount' | 'totalSize' | 'totalItemCount'; 
+    order?: 'asc' | 'desc'; 
+    minSize?: number; 
+    maxSize?: number 
+  }) =>
+    api.get(`/folders/${id}`, { params }),
   
-  create: (data: { name: string; description?: string; parentFolder?: string; color?: string }) =>
+  create: (data: { name: string; description?: string; parentFolder?: string; color?: string; tags?: string[] }) =>
     api.post('/folders', data),
   
-  update: (id: string, data: Partial<{ name: string; description: string; color: string; isFavorite: boolean }>) =>
+  update: (id: string, data: Partial<{ name: string; description: string; color: string; isFavorite: boolean; tags: string[] }>) =>
     api.put(`/folders/${id}`, data),
   
+  move: (id: string, parentFolder: string | null) =>
+    api.post(`/folders/${id}/move`, { parentFolder }),
+  
   delete: (id: string, force?: boolean) =>
     api.delete(`/folders/${id}`, { params: { force } }),
   
   duplicate: (id: string) =>
     api.post(`/folders/${id}/duplicate`),
+  
+  getCopy: (copyId: string) =>
+    api.get(`/folders/copies/${copyId}`),
+  
+  downloadArchive: (id: string) =>
+    api.get(`/folders/${id}/archive`, { responseType: 'blob' }),
 }
 
 // Files API
@@ -82,8 +106,11 @@ export const filesAPI = {
     type?: string; 
     search?: string; 
     favorite?: boolean; 
+    sort?: 'name' | 'size' | 'createdAt' | 'updatedAt' | 'lastAccessed' | 'downloadCount'; 
+    order?: 'asc' | 'desc'; 
     limit?: number; 
-    page?: number 
+    page?: number; 
+    cursor?: string 
   }) =>
     api.get('/files', { params }),
   
@@ -95,12 +122,16 @@ export const filesAPI = {
       headers: { 'Content-Type': 'multipart/form-data' }
     }),
   
+  move: (ids: string[], folder: string | null) =>
+    api.post('/files/move', { ids, folder }),
+  
   update: (id: string, data: Partial<{ 
     name: string; 
     description: string; 
-    tags: string; 
+    tags: string[] | string; 
     isFavorite: boolean; 
-    folder: string 
+    folder: string; 
+    versionLimit: number | null 
   }>) =>
     api.put(`/files/${id}`, data),
   
@@ -110,8 +141,72 @@ export const filesAPI = {
   download: (id: string) =>
     api.get(`/files/${id}/download`, { responseType: 'blob' }),
   
+  downloadArchive: (data: { files?: string[]; notes?: string[] }) =>
+    api.post('/files/archive', data, { responseType: 'blob' }),
+  
+  importArchive: (formData: FormData) =>
+    api.post('/files/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    }),
+  
+  getPreview: (id: string) =>
+    api.get(`/files/${id}/preview`),
+  
+  getThumbnail: (id: string, size: 'small' | 'medium' | 'large' = 'medium') =>
+    api.get(`/files/${id}/thumbnail`, { params: { size }, responseType: 'blob' }),
+  
+  getUrl: (id: string, params?: { expiresIn?: number; bind?: boolean }) =>
+    api.get(`/files/${id}/url`, { params }),
+  
   duplicate: (id: string) =>
     api.post(`/files/${id}/duplicate`),
+  
+  getVersions: (id: string) =>
+    api.get(`/files/${id}/versions`),
+  
+  uploadVersion: (id: string, formData: FormData) =>
+    api.post(`/files/${id}/versions`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    }),
+  
+  downloadVersion: (id: string, versionId: string) =>
+    api.get(`/files/${id}/versions/${versionId}/download`, { responseType: 'blob' }),
+  
+  restoreVersion: (id: string, versionId: string) =>
+    api.post(`/files/${id}/versions/${versionId}/restore`),
+}
+
+// Resumable uploads API
+export const uploadsAPI = {
+  create: (data: { 
+    originalName: string; 
+    size: number; 
+    mimeType: string; 
+    folder?: string; 
+    tags?: string[] | string; 
+    description?: string 
+  }) =>
+    api.post('/uploads', data),
+  
+  getPolicy: () =>
+    api.get('/uploads/policy'),
+  
+  getProgress: (id: string) =>
+    api.head(`/uploads/${id}`),
+  
+  uploadChunk: (id: string, offset: number, chunk: Blob) =>
+    api.patch(`/uploads/${id}`, chunk, {
+      headers: { 
+        'Content-Type': 'application/offset+octet-stream', 
+        'Upload-Offset': String(offset) 
+      }
+    }),
+  
+  complete: (id: string) =>
+    api.post(`/uploads/${id}/complete`),
+  
+  cancel: (id: string) =>
+    api.delete(`/uploads/${id}`),
 }
 
 // Notes API
@@ -121,8 +216,11 @@ export const notesAPI = {
     search?: string; 
     favorite?: boolean; 
     pinned?: boolean; 
+    sort?: 'name' | 'createdAt' | 'updatedAt' | 'lastAccessed'; 
+    order?: 'asc' | 'desc'; 
     limit?: number; 
-    page?: number 
+    page?: number; 
+    cursor?: string 
   }) =>
     api.get('/notes', { params }),
   
@@ -133,16 +231,19 @@ export const notesAPI = {
     title: string; 
     content: string; 
     folder?: string; 
-    tags?: string; 
+    tags?: string[] | string; 
     color?: string; 
     isPinned?: boolean 
   }) =>
     api.post('/notes', data),
   
+  move: (ids: string[], folder: string | null) =>
+    api.post('/notes/move', { ids, folder }),
+  
   update: (id: string, data: Partial<{ 
     title: string; 
     content: string; 
-    tags: string; 
+    tags: string[] | string; 
     color: string; 
     isFavorite: boolean; 
     isPinned: boolean; 
@@ -160,6 +261,164 @@ export const notesAPI = {
     api.get(`/notes/search/${query}`, { params: { limit } }),
 }
 
+// Trash API
+export const trashAPI = {
+  getAll: () =>
+    api.get('/trash'),
+  
+  restore: (type: 'folders' | 'files' | 'notes', id: string) =>
+    api.post(`/trash/${type}/${id}/restore`),
+  
+  delete: (type: 'folders' | 'files' | 'notes', id: string) =>
+    api.delete(`/trash/${type}/${id}`),
+  
+  empty: () =>
+    api.delete('/trash'),
+}
+
+// Shares API
+export const sharesAPI = {
+  getAll: (params?: { resource?: string; active?: boolean }) =>
+    api.get('/shares', { params }),
+  
+  getById: (id: string) =>
+    api.get(`/shares/${id}`),
+  
+  create: (data: {
+    resourceType: 'file' | 'folder';
+    resourceId: string;
+    expiresAt?: string | null;
+    password?: string | null;
+    maxDownloads?: number | null;
+  }) =>
+    api.post('/shares', data),
+  
+  update: (id: string, data: {
+    expiresAt?: string | null;
+    password?: string | null;
+    maxDownloads?: number | null;
+  }) =>
+    api.put(`/shares/${id}`, data),
+  
+  revoke: (id: string) =>
+    api.delete(`/shares/${id}`),
+}
+
+// Grants API
+export const grantsAPI = {
+  getSharedWithMe: () =>
+    api.get('/grants/shared-with-me'),
+  
+  getAll: (resourceType: 'file' | 'folder' | 'note', resourceId: string) =>
+    api.get('/grants', { params: { resourceType, resourceId } }),
+  
+  create: (data: {
+    resourceType: 'file' | 'folder' | 'note';
+    resourceId: string;
+    user: string;
+    role: 'viewer' | 'commenter' | 'editor';
+  }) =>
+    api.post('/grants', data),
+  
+  update: (id: string, role: 'viewer' | 'commenter' | 'editor') =>
+    api.put(`/grants/${id}`, { role }),
+  
+  delete: (id: string) =>
+    api.delete(`/grants/${id}`),
+}
+
+// Admin API
+export interface UploadPolicyFields {
+  allowedTypes?: string[] | null;
+  allowedExtensions?: string[] | null;
+  maxFileSize?: number | null;
+  maxFilesPerRequest?: number | null;
+  maxBytesPerDay?: number | null;
+}
+
+export const adminAPI = {
+  getUploadPolicies: () =>
+    api.get('/admin/upload-policies'),
+  
+  savePlanPolicy: (plan: string, data: UploadPolicyFields) =>
+    api.put(`/admin/upload-policies/plans/${plan}`, data),
+  
+  deletePlanPolicy: (plan: string) =>
+    api.delete(`/admin/upload-policies/plans/${plan}`),
+  
+  getUserPolicy: (userId: string) =>
+    api.get(`/admin/users/${userId}/upload-policy`),
+  
+  saveUserPolicy: (userId: string, data: UploadPolicyFields) =>
+    api.put(`/admin/users/${userId}/upload-policy`, data),
+  
+  deleteUserPolicy: (userId: string) =>
+    api.delete(`/admin/users/${userId}/upload-policy`),
+  
+  setUserPlan: (userId: string, plan: string) =>
+    api.put(`/admin/users/${userId}/plan`, { plan }),
+}
+
+// Search API
+export const searchAPI = {
+  search: (params: {
+    q?: string;
+    type?: string;
+    tag?: string;
+    folder?: string;
+    after?: string;
+    before?: string;
+    minSize?: number;
+    maxSize?: number;
+    favorite?: boolean;
+    page?: number;
+    limit?: number;
+  }) =>
+    api.get('/search', { params }),
+}
+
+// Smart folders API
+export const smartFoldersAPI = {
+  getAll: (params?: { parentFolder?: string; search?: string; favorite?: boolean }) =>
+    api.get('/smart-folders', { params }),
+  
+  open: (id: string, params?: { page?: number; limit?: number }) =>
+    api.get(`/smart-folders/${id}`, { params }),
+  
+  create: (data: { name: string; query: string; parentFolder?: string; color?: string }) =>
+    api.post('/smart-folders', data),
+  
+  update: (id: string, data: Partial<{ 
+    name: string; 
+    query: string; 
+    parentFolder: string | null; 
+    color: string; 
+    isFavorite: boolean 
+  }>) =>
+    api.put(`/smart-folders/${id}`, data),
+  
+  delete: (id: string) =>
+    api.delete(`/smart-folders/${id}`),
+}
+
+// Tags API
+export const tagsAPI = {
+  getAll: () =>
+    api.get('/tags'),
+  
+  create: (data: { name: string; color?: string }) =>
+    api.post('/tags', data),
+  
+  update: (id: string, data: Partial<{ name: string; color: string }>) =>
+    api.put(`/tags/${id}`, data),
+  
+  merge: (id: string, into: string) =>
+    api.post(`/tags/${id}/merge`, { into }),
+  
+  delete: (id: string) =>
+    api.delete(`/tags/${id}`),
+}
+
 // Summary API
 export const summaryAPI = {
   getSummary: () =>